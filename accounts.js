@@ -0,0 +1,56 @@
+// BetterStack accounts - the dashboard can follow several teams at once.
+// BETTERSTACK_ACCOUNTS holds a JSON array of { id, name, apiToken, teamId, apiUrl };
+// without it the single account from BETTERSTACK_API_TOKEN / BETTERSTACK_TEAM_ID is used.
+
+const ACCOUNT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const DEFAULT_ACCOUNT_ID = "default";
+
+// Validate the accounts config. Throws on invalid input.
+// defaults: { apiUrl, apiToken, teamId } used for fields an account leaves out (and for the single default account)
+const parseAccounts = (json, defaults = {}) => {
+  if (!json) {
+    return [{
+      id: DEFAULT_ACCOUNT_ID,
+      name: "BetterStack",
+      apiToken: defaults.apiToken,
+      teamId: defaults.teamId || "",
+      apiUrl: defaults.apiUrl,
+    }];
+  }
+
+  let list;
+  try {
+    list = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`not valid JSON (${error.message})`);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("expected a non-empty array of accounts");
+  }
+
+  const seen = new Set();
+  return list.map((entry, index) => {
+    const id = String(entry?.id ?? "").trim().toLowerCase();
+    if (!ACCOUNT_ID_PATTERN.test(id)) {
+      throw new Error(`account #${index + 1}: id must be 1-40 characters of a-z, 0-9, "-" or "_"`);
+    }
+    if (seen.has(id)) throw new Error(`account #${index + 1}: duplicate id "${id}"`);
+    seen.add(id);
+
+    const apiToken = entry.apiToken || defaults.apiToken;
+    if (!apiToken) throw new Error(`account "${id}": apiToken is required`);
+
+    return {
+      id,
+      name: String(entry.name || id).trim(),
+      apiToken,
+      teamId: entry.teamId ? String(entry.teamId) : "",
+      apiUrl: entry.apiUrl || defaults.apiUrl,
+    };
+  });
+};
+
+// What clients may see of an account (never the token)
+const publicAccount = ({ id, name, teamId }) => ({ id, name, teamId });
+
+module.exports = { DEFAULT_ACCOUNT_ID, parseAccounts, publicAccount };
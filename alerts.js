@@ -0,0 +1,245 @@
+// Outbound alerting - turns monitor status changes and new incidents into notifications
+// for a generic JSON webhook, a Slack-compatible webhook and SMTP email.
+const nodemailer = require("nodemailer");
+const database = require("./database");
+
+const ALL_CATEGORIES = ["production", "staging", "other"];
+
+// Parse a comma-separated category list (empty means all categories)
+const parseCategories = (value) => {
+  if (!value) return ALL_CATEGORIES;
+  return value.split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+};
+
+// Read the configured channels from environment variables
+const loadChannelsFromEnv = (env = process.env) => {
+  const channels = [];
+
+  if (env.ALERT_WEBHOOK_URL) {
+    channels.push({
+      name: "webhook",
+      type: "webhook",
+      url: env.ALERT_WEBHOOK_URL,
+      categories: parseCategories(env.ALERT_WEBHOOK_CATEGORIES),
+    });
+  }
+
+  if (env.ALERT_SLACK_WEBHOOK_URL) {
+    channels.push({
+      name: "slack",
+      type: "slack",
+      url: env.ALERT_SLACK_WEBHOOK_URL,
+      categories: parseCategories(env.ALERT_SLACK_CATEGORIES),
+    });
+  }
+
+  if (env.ALERT_EMAIL_TO && env.SMTP_HOST) {
+    channels.push({
+      name: "email",
+      type: "email",
+      to: env.ALERT_EMAIL_TO.split(',').map(a => a.trim()).filter(Boolean),
+      from: env.ALERT_EMAIL_FROM || env.SMTP_USER || "betterstack-dashboard@localhost",
+      smtp: {
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === "true",
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+      },
+      categories: parseCategories(env.ALERT_EMAIL_CATEGORIES),
+    });
+  }
+
+  return channels;
+};
+
+const monitorSummary = (monitor, monitorId) => ({
+  id: monitor?.id || monitorId,
+  name: monitor?.attributes?.pronounceable_name || monitor?.attributes?.url || `Monitor ${monitorId}`,
+  url: monitor?.attributes?.url || null,
+});
+
+// Events for monitors that went down or came back up
+const buildMonitorEvents = (transitions, monitorsById, categorize) => {
+  const events = [];
+
+  for (const t of transitions) {
+    const wentDown = t.newStatus === 'down' && t.oldStatus && t.oldStatus !== 'down' && t.oldStatus !== 'removed';
+    const recovered = t.oldStatus === 'down' && t.newStatus === 'up';
+    if (!wentDown && !recovered) continue;
+
+    const monitor = monitorsById.get(t.monitorId);
+    events.push({
+      key: `monitor:${t.monitorId}:${t.newStatus}:${t.changedAt}`,
+      type: wentDown ? "monitor_down" : "monitor_up",
+      category: monitor ? categorize(monitor) : "other",
+      monitor: monitorSummary(monitor, t.monitorId),
+      oldStatus: t.oldStatus,
+      newStatus: t.newStatus,
+      at: t.changedAt,
+    });
+  }
+
+  return events;
+};
+
+// Events for incidents that were not in the previous incidents list
+const buildIncidentEvents = (newIncidents, monitorsById, categorize) => {
+  return newIncidents.map(incident => {
+    const monitorId = incident.relationships?.monitor?.data?.id;
+    const monitor = monitorsById.get(monitorId);
+    return {
+      key: `incident:${incident.id}:started`,
+      type: "incident_started",
+      category: monitor ? categorize(monitor) : "other",
+      monitor: monitorSummary(monitor, monitorId),
+      incident: {
+        id: incident.id,
+        name: incident.attributes?.name,
+        cause: incident.attributes?.cause,
+        status: incident.attributes?.status,
+        startedAt: incident.attributes?.started_at,
+      },
+      at: incident.attributes?.started_at || new Date().toISOString(),
+    };
+  });
+};
+
+// One-line human readable summary of an event
+const describeEvent = (event) => {
+  switch (event.type) {
+    case "monitor_down":
+      return `[DOWN] ${event.monitor.name} is down (was ${event.oldStatus})`;
+    case "monitor_up":
+      return `[UP] ${event.monitor.name} is back up`;
+    case "test":
+      return `[TEST] Notification test from the BetterStack dashboard`;
+    case "incident_started":
+      return `[INCIDENT] ${event.monitor.name}: ${event.incident.cause || event.incident.name || 'new incident'}`;
+    default:
+      return `[${event.type}] ${event.monitor?.name || ''}`;
+  }
+};
+
+const postJson = async (url, body) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10000);
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+// Channel senders, keyed by channel type
+const senders = {
+  webhook: (channel, event) => postJson(channel.url, { ...event, message: describeEvent(event) }),
+
+  slack: (channel, event) => {
+    const emoji = event.type === "monitor_up" ? ":large_green_circle:" : ":red_circle:";
+    const details = [
+      `*Category:* ${event.category}`,
+      event.monitor.url ? `*URL:* ${event.monitor.url}` : null,
+      event.incident?.cause ? `*Cause:* ${event.incident.cause}` : null,
+      `*At:* ${event.at}`,
+    ].filter(Boolean).join('\n');
+    return postJson(channel.url, { text: `${emoji} ${describeEvent(event)}\n${details}` });
+  },
+
+  email: (channel, event) => {
+    if (!channel.transport) {
+      channel.transport = nodemailer.createTransport(channel.smtp);
+    }
+    const lines = [
+      describeEvent(event),
+      '',
+      `Monitor: ${event.monitor.name}`,
+      event.monitor.url ? `URL: ${event.monitor.url}` : null,
+      `Category: ${event.category}`,
+      event.incident?.cause ? `Cause: ${event.incident.cause}` : null,
+      `At: ${event.at}`,
+    ].filter(line => line !== null);
+    return channel.transport.sendMail({
+      from: channel.from,
+      to: channel.to.join(', '),
+      subject: describeEvent(event),
+      text: lines.join('\n'),
+    });
+  },
+};
+
+const createAlerter = ({ channels = loadChannelsFromEnv() } = {}) => {
+  // Send each event once per matching channel; every attempt goes to the delivery log
+  const dispatch = async (events) => {
+    let sent = 0;
+
+    for (const event of events) {
+      for (const channel of channels) {
+        if (!channel.categories.includes(event.category)) continue;
+        if (database.hasAlertDelivery(event.key, channel.name)) continue;
+
+        try {
+          await senders[channel.type](channel, event);
+          database.logAlertDelivery(event, channel.name, "sent");
+          sent++;
+        } catch (error) {
+          console.error(`Alert delivery to ${channel.name} failed:`, error.message);
+          database.logAlertDelivery(event, channel.name, "failed", error.message);
+        }
+      }
+    }
+
+    return sent;
+  };
+
+  // Send one test event to every channel, bypassing filters and deduplication
+  const sendTest = async () => {
+    const at = new Date().toISOString();
+    const results = [];
+
+    for (const channel of channels) {
+      const event = {
+        key: `test:${at}`,
+        type: "test",
+        category: channel.categories[0] || "other",
+        monitor: { id: null, name: "Test notification", url: null },
+        at,
+      };
+      try {
+        await senders[channel.type](channel, event);
+        database.logAlertDelivery(event, channel.name, "sent");
+        results.push({ channel: channel.name, success: true });
+      } catch (error) {
+        database.logAlertDelivery(event, channel.name, "failed", error.message);
+        results.push({ channel: channel.name, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  };
+
+  return {
+    dispatch,
+    sendTest,
+
+    // Channel list without URLs or credentials
+    describeChannels: () => channels.map(c => ({ name: c.name, type: c.type, categories: c.categories })),
+
+    isEnabled: () => channels.length > 0,
+  };
+};
+
+module.exports = {
+  createAlerter,
+  loadChannelsFromEnv,
+  buildMonitorEvents,
+  buildIncidentEvents,
+  describeEvent,
+};
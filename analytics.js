@@ -0,0 +1,178 @@
+// Incident analytics - MTTA/MTTR, incident counts per monitor and category, flapping monitors,
+// hour-of-day / day-of-week distribution and weekly trends over the incident archive
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Local calendar parts of an instant in a time zone (hour 0-23, weekday 0 = Monday)
+const createLocalParts = (timeZone) => {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    weekday: "short",
+  });
+  return (ms) => {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(ms)).map(p => [p.type, p.value]));
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      hour: Number(parts.hour),
+      weekday: WEEKDAYS.indexOf(parts.weekday),
+    };
+  };
+};
+
+// Monday (YYYY-MM-DD) of the week a local date falls in
+const weekStartOf = (date, weekday) => {
+  return new Date(Date.parse(`${date}T00:00:00.000Z`) - weekday * DAY_MS).toISOString().split("T")[0];
+};
+
+// { count, meanSeconds, medianSeconds } of a list of durations in ms
+const summarize = (durations) => {
+  if (durations.length === 0) return { count: 0, meanSeconds: null, medianSeconds: null };
+  const sorted = [...durations].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return {
+    count: sorted.length,
+    meanSeconds: Math.round(sorted.reduce((sum, d) => sum + d, 0) / sorted.length / 1000),
+    medianSeconds: Math.round(median / 1000),
+  };
+};
+
+// Acknowledge/resolve durations of an incident (null when not acknowledged/resolved yet)
+const incidentTimings = (incident) => {
+  const attributes = incident.attributes || {};
+  const startedMs = Date.parse(attributes.started_at);
+  const acknowledgedMs = Date.parse(attributes.acknowledged_at);
+  const resolvedMs = Date.parse(attributes.resolved_at);
+  return {
+    startedMs,
+    ackMs: acknowledgedMs >= startedMs ? acknowledgedMs - startedMs : null,
+    resolveMs: resolvedMs >= startedMs ? resolvedMs - startedMs : null,
+  };
+};
+
+// Running totals for one bucket (overall, a monitor, a category or a week)
+const createBucket = () => ({ incidents: 0, open: 0, acks: [], resolves: [] });
+
+const addToBucket = (bucket, timings) => {
+  bucket.incidents++;
+  if (timings.ackMs !== null) bucket.acks.push(timings.ackMs);
+  if (timings.resolveMs !== null) {
+    bucket.resolves.push(timings.resolveMs);
+  } else {
+    bucket.open++;
+  }
+};
+
+const finishBucket = ({ incidents, open, acks, resolves }) => {
+  const mtta = summarize(acks);
+  const mttr = summarize(resolves);
+  return {
+    incidents,
+    open,
+    mttaSeconds: mtta.meanSeconds,
+    mttaMedianSeconds: mtta.medianSeconds,
+    mttrSeconds: mttr.meanSeconds,
+    mttrMedianSeconds: mttr.medianSeconds,
+    downtimeSeconds: Math.round(resolves.reduce((sum, d) => sum + d, 0) / 1000),
+  };
+};
+
+// incidents: archived incidents started in [from, to] (YYYY-MM-DD, inclusive)
+// noise: noise ranking of the range (flapping.js), noisiest first
+// categorize: monitor -> "production" | "staging" | "other"
+const buildIncidentAnalytics = ({ incidents, monitors, categorize, noise = [], from, to, timeZone = "UTC", topCount = 10 }) => {
+  const localParts = createLocalParts(timeZone);
+  const monitorsById = new Map(monitors.map(m => [m.id, m]));
+
+  const overall = createBucket();
+  const byMonitor = new Map();
+  const byCategory = new Map();
+  const byWeek = new Map();
+  const hourOfDay = new Array(24).fill(0);
+  const dayOfWeek = new Array(7).fill(0);
+
+  const bucketIn = (map, key) => {
+    if (!map.has(key)) map.set(key, createBucket());
+    return map.get(key);
+  };
+
+  for (const incident of incidents) {
+    const timings = incidentTimings(incident);
+    if (isNaN(timings.startedMs)) continue;
+
+    const monitorId = incident.relationships?.monitor?.data?.id || null;
+    const monitor = monitorsById.get(monitorId);
+    const local = localParts(timings.startedMs);
+
+    addToBucket(overall, timings);
+    addToBucket(bucketIn(byMonitor, monitorId), timings);
+    addToBucket(bucketIn(byCategory, monitor ? categorize(monitor) : "other"), timings);
+    addToBucket(bucketIn(byWeek, weekStartOf(local.date, local.weekday)), timings);
+    hourOfDay[local.hour]++;
+    dayOfWeek[local.weekday]++;
+  }
+
+  const monitorInfo = (monitorId) => {
+    const monitor = monitorsById.get(monitorId);
+    return {
+      monitorId,
+      monitorName: monitor?.attributes?.pronounceable_name || monitor?.attributes?.url || (monitorId ? `#${monitorId}` : "Unknown monitor"),
+      category: monitor ? categorize(monitor) : "other",
+    };
+  };
+
+  const perMonitor = [...byMonitor.entries()]
+    .map(([monitorId, bucket]) => ({ ...monitorInfo(monitorId), ...finishBucket(bucket) }))
+    .sort((a, b) => b.incidents - a.incidents || (b.downtimeSeconds - a.downtimeSeconds));
+
+  // Flapping: the noisiest monitors that went down more than once
+  const flapping = noise
+    .filter(m => m.downTransitions >= 2)
+    .slice(0, topCount)
+    .map(m => ({
+      ...monitorInfo(m.monitorId),
+      transitions: m.transitions,
+      downTransitions: m.downTransitions,
+      incidents: m.incidents,
+      shortOutages: m.shortOutages,
+      noiseScore: m.noiseScore,
+    }));
+
+  // Every week of the range, including weeks without incidents, with the change against the week before
+  const weeks = [];
+  const fromLocal = localParts(Date.parse(`${from}T12:00:00.000Z`));
+  const lastWeek = weekStartOf(to, (new Date(`${to}T00:00:00.000Z`).getUTCDay() + 6) % 7);
+  for (let week = weekStartOf(fromLocal.date, fromLocal.weekday); week <= lastWeek;
+    week = new Date(Date.parse(`${week}T00:00:00.000Z`) + 7 * DAY_MS).toISOString().split("T")[0]) {
+    const stats = finishBucket(byWeek.get(week) || createBucket());
+    const previous = weeks[weeks.length - 1];
+    const weekEnd = new Date(Date.parse(`${week}T00:00:00.000Z`) + 6 * DAY_MS).toISOString().split("T")[0];
+    weeks.push({
+      weekStart: week,
+      partial: week < from || weekEnd > to, // only part of the week is inside the range
+      ...stats,
+      incidentsChange: previous && previous.incidents > 0
+        ? Math.round((stats.incidents - previous.incidents) / previous.incidents * 1000) / 10
+        : null,
+    });
+  }
+
+  return {
+    period: { from, to, timeZone },
+    summary: finishBucket(overall),
+    perCategory: Object.fromEntries([...byCategory.entries()].map(([category, bucket]) => [category, finishBucket(bucket)])),
+    perMonitor,
+    flapping,
+    hourOfDay,
+    dayOfWeek: WEEKDAYS.map((day, index) => ({ day, incidents: dayOfWeek[index] })),
+    weeks,
+  };
+};
+
+module.exports = { buildIncidentAnalytics };
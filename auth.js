@@ -0,0 +1,83 @@
+// Password hashing, roles and API tokens for dashboard accounts
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege
+const ROLES = ["viewer", "editor", "admin"];
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Read-only scopes an API token can be granted, and the routes each one opens
+const TOKEN_SCOPES = {
+  "dashboard:read": ["/api/dashboard", "/api/status"],
+  "heatmap:read": ["/api/heatmap"],
+  "sla:read": ["/api/sla", "/api/reports"],
+  "config:read": ["/api/configuration/export"],
+};
+
+const TOKEN_PREFIX = "bsd_";
+const KEY_LENGTH = 64;
+
+// Hash a password as "scrypt$<salt>$<hash>" (hex)
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+};
+
+// Constant-time check of a password against a stored hash
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hashHex] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Constant-time comparison of two secrets (hashed first, so their lengths don't matter either)
+const safeEqual = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash("sha256").update(String(a)).digest(),
+  crypto.createHash("sha256").update(String(b)).digest(),
+);
+
+// True when `role` is at least `required` (admin > editor > viewer)
+const hasRole = (role, required) => {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+};
+
+const isValidRole = (role) => ROLES.includes(role);
+
+// New random API token; only its hash is stored
+const generateApiToken = () => {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashApiToken(token), tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6) };
+};
+
+const hashApiToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Scope needed for a token to call this path, or null when tokens can't use it
+const scopeForPath = (pathname) => {
+  for (const [scope, prefixes] of Object.entries(TOKEN_SCOPES)) {
+    if (prefixes.some(prefix => pathname === prefix || pathname.startsWith(prefix + "/"))) {
+      return scope;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  TOKEN_SCOPES,
+  hashPassword,
+  verifyPassword,
+  safeEqual,
+  hasRole,
+  isValidRole,
+  generateApiToken,
+  hashApiToken,
+  scopeForPath,
+};
@@ -0,0 +1,98 @@
+// Database backups - online snapshots through SQLite's backup API (the dashboard keeps running meanwhile),
+// written on a schedule into a directory that keeps the newest few. Restoring replaces the database
+// contents with a snapshot, after taking a backup of the current state.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const database = require("./database");
+
+// betterstack-20260101T030000Z-scheduled.db
+const FILE_PATTERN = /^betterstack-\d{8}T\d{6}Z-[a-z-]+\.db$/;
+
+const timestamp = (date = new Date()) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+
+// dir: backup directory; keep: newest backups kept; intervalHours: scheduled backups (0 = off)
+const createBackupService = ({ dir, keep = 7, intervalHours = 24 }) => {
+  let timer = null;
+  let running = null; // promise of the backup being written
+
+  const list = () => {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => FILE_PATTERN.test(name))
+      .map(name => {
+        const stat = fs.statSync(path.join(dir, name));
+        return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+      })
+      .sort((a, b) => b.name.localeCompare(a.name));
+  };
+
+  const prune = () => {
+    list().slice(keep).forEach(backup => fs.unlinkSync(path.join(dir, backup.name)));
+  };
+
+  // Write a backup into the directory; label says why ("scheduled", "manual", "pre-restore")
+  // prune: drop the backups past `keep` afterwards (restore() does that itself once it's done)
+  const create = async (label = "manual", { prune: pruneAfter = true } = {}) => {
+    // One at a time: the backup API restarts from scratch when another write interrupts it
+    while (running) await running.catch(() => {});
+    fs.mkdirSync(dir, { recursive: true });
+    const name = `betterstack-${timestamp()}-${label}.db`;
+    running = database.backup(path.join(dir, name));
+    try {
+      await running;
+    } finally {
+      running = null;
+    }
+    if (pruneAfter) prune();
+    return list().find(backup => backup.name === name) || { name };
+  };
+
+  // Full path of a stored backup, or null (names outside the pattern are never resolved)
+  const pathOf = (name) => {
+    if (!FILE_PATTERN.test(name || "")) return null;
+    const file = path.join(dir, name);
+    return fs.existsSync(file) ? file : null;
+  };
+
+  // Snapshot into a temporary file for a download; the caller removes it
+  const snapshot = async () => {
+    const file = path.join(os.tmpdir(), `betterstack-${timestamp()}-${process.pid}-${Date.now()}.db`);
+    await database.backup(file);
+    return file;
+  };
+
+  // Replace the database with a snapshot file; returns the backup taken of the state before.
+  // Pruning waits until the restore is done: the file may be the oldest backup in the directory.
+  const restore = async (file) => {
+    const before = await create("pre-restore", { prune: false });
+    try {
+      database.restoreFrom(file);
+    } finally {
+      prune();
+    }
+    return before;
+  };
+
+  return {
+    dir,
+    keep,
+    intervalHours,
+    list,
+    create,
+    pathOf,
+    snapshot,
+    restore,
+
+    start: () => {
+      if (intervalHours <= 0 || timer) return;
+      timer = setInterval(() => {
+        create("scheduled")
+          .then(backup => console.log(`Database backup written: ${backup.name}`))
+          .catch(error => console.error("Database backup failed:", error.message));
+      }, intervalHours * 60 * 60 * 1000);
+    },
+  };
+};
+
+module.exports = { createBackupService };
@@ -0,0 +1,245 @@
+// Configuration as code - the dashboard settings (URL patterns, monitor groups) and the monitor definitions
+// from the monitors cache as one YAML or JSON file that can be reviewed in git. Importing a file is planned
+// first: the plan lists what would change, and only then are settings (and, on request, monitors) written.
+// Credentials (request header values, auth_password) are redacted in the file; redacted values keep the
+// monitor's current ones on import.
+const YAML = require("yaml");
+const { parseGroupInput } = require("./groups");
+const { STATE_ATTRIBUTES, SECRET_ATTRIBUTES, REDACTED, redactAttribute, diffAttributes } = require("./monitor-changes");
+
+const CONFIG_VERSION = 1;
+const FORMATS = ["yaml", "json"];
+const CATEGORIES = ["production", "staging"];
+
+// Monitor -> its entry in the file: id, account and the configuration attributes (BetterStack's names),
+// credentials redacted
+const toMonitorDefinition = (monitor) => {
+  const attributes = Object.fromEntries(Object.entries(monitor.attributes || {})
+    .filter(([field]) => !STATE_ATTRIBUTES.includes(field))
+    .map(([field, value]) => [field, redactAttribute(field, value)]));
+  return { id: monitor.id, account: monitor.account ?? null, ...attributes };
+};
+
+// urlPatterns: { production, staging }; groups as stored; monitors: BetterStack monitors (no synthetic ones)
+const buildConfigExport = ({ urlPatterns, groups, monitors, now = new Date() }) => ({
+  version: CONFIG_VERSION,
+  exportedAt: now.toISOString(),
+  settings: {
+    urlPatterns: { production: [...urlPatterns.production], staging: [...urlPatterns.staging] },
+    groups: groups.map(group => ({ name: group.name, matchMode: group.matchMode, rules: group.rules })),
+  },
+  monitors: monitors.map(toMonitorDefinition),
+});
+
+// { contentType, body, extension } of an export
+const renderConfig = (config, format = "yaml") => format === "json"
+  ? { contentType: "application/json", body: `${JSON.stringify(config, null, 2)}\n`, extension: "json" }
+  : { contentType: "application/yaml", body: YAML.stringify(config), extension: "yaml" };
+
+// Validate an imported file (YAML or JSON text, or an already parsed object): { value } or { error }.
+// Sections left out of the file stay as they are; value.settings.urlPatterns/groups and value.monitors are
+// null then. accountIds: configured accounts
+const parseConfigFile = (input, accountIds = []) => {
+  let config = input;
+  if (typeof input === "string") {
+    try {
+      config = YAML.parse(input);
+    } catch (error) {
+      return { error: `Invalid YAML/JSON: ${error.message}` };
+    }
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) return { error: "The file must contain an object" };
+  if (config.version !== undefined && config.version !== CONFIG_VERSION) {
+    return { error: `Unsupported version ${config.version} (expected ${CONFIG_VERSION})` };
+  }
+
+  const settings = config.settings || {};
+  let urlPatterns = null;
+  if (settings.urlPatterns !== undefined) {
+    urlPatterns = {};
+    for (const category of CATEGORIES) {
+      const patterns = settings.urlPatterns?.[category] ?? [];
+      if (!Array.isArray(patterns) || patterns.some(p => typeof p !== "string")) {
+        return { error: `settings.urlPatterns.${category} must be a list of strings` };
+      }
+      urlPatterns[category] = patterns.map(p => p.trim().toLowerCase()).filter(Boolean);
+    }
+  }
+
+  let groups = null;
+  if (settings.groups !== undefined) {
+    if (!Array.isArray(settings.groups)) return { error: "settings.groups must be a list" };
+    groups = [];
+    for (const [index, entry] of settings.groups.entries()) {
+      const { value, error } = parseGroupInput(entry);
+      if (error) return { error: `settings.groups #${index + 1}: ${error}` };
+      if (groups.some(g => g.name.toLowerCase() === value.name.toLowerCase())) {
+        return { error: `settings.groups #${index + 1}: duplicate name "${value.name}"` };
+      }
+      groups.push(value);
+    }
+  }
+
+  let monitors = null;
+  if (config.monitors !== undefined) {
+    if (!Array.isArray(config.monitors)) return { error: "monitors must be a list" };
+    monitors = [];
+    for (const [index, entry] of config.monitors.entries()) {
+      if (!entry || typeof entry !== "object" || Array.isArray(entry)) return { error: `monitors #${index + 1} must be an object` };
+      const { id, account, ...rest } = entry;
+      const attributes = Object.fromEntries(Object.entries(rest).filter(([field]) => !STATE_ATTRIBUTES.includes(field)));
+      if (account && accountIds.length > 0 && !accountIds.includes(account)) {
+        return { error: `monitors #${index + 1}: unknown account ${account}` };
+      }
+      const isNew = id === undefined || id === null;
+      if (isNew && (typeof attributes.url !== "string" || !attributes.url.trim())) {
+        return { error: `monitors #${index + 1}: url is required for a new monitor` };
+      }
+      monitors.push({ id: isNew ? null : String(id), account: account || null, attributes });
+    }
+    const ids = monitors.map(m => m.id).filter(Boolean);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) return { error: `monitors: ${duplicate} is listed twice` };
+  }
+
+  return { value: { settings: { urlPatterns, groups }, monitors } };
+};
+
+const monitorName = (attributes, fallback) => attributes.pronounceable_name || attributes.url || fallback;
+
+// Put the current credentials back where a definition has REDACTED (as exported): redacted header values
+// take the value of the monitor's header with the same name, other redacted attributes are left out.
+// existing: the monitor being updated (null for a new one). { attributes } or { error }
+const restoreRedacted = (attributes, existing, label) => {
+  const restored = { ...attributes };
+  for (const field of SECRET_ATTRIBUTES.filter(f => f !== "request_headers")) {
+    if (restored[field] !== REDACTED) continue;
+    if (!existing) return { error: `${label}: ${field} is redacted, set its value` };
+    delete restored[field];
+  }
+  if (Array.isArray(restored.request_headers)) {
+    const currentHeaders = existing?.attributes?.request_headers || [];
+    const headers = [];
+    for (const header of restored.request_headers) {
+      if (header?.value !== REDACTED) {
+        headers.push(header);
+        continue;
+      }
+      const name = String(header.name || "").toLowerCase();
+      const current = currentHeaders.find(h => String(h.name || "").toLowerCase() === name);
+      if (!current) return { error: `${label}: request header ${header.name} is redacted, set its value` };
+      headers.push({ ...header, value: current.value });
+    }
+    restored.request_headers = headers;
+  }
+  return { attributes: restored };
+};
+
+// What importing a parsed file would change, against the current urlPatterns, stored groups and cached
+// monitors. Groups are matched by name and monitors by ID (entries without one are new); groups and
+// monitors missing from the file are listed as unmanaged, never deleted. New monitors without an account go
+// to defaultAccount. { value: { urlPatterns, groups, monitors, unmanaged, unchanged } } or { error }
+const planConfigImport = (config, { urlPatterns, groups, monitors, defaultAccount = null }) => {
+  const plan = {
+    urlPatterns: [],
+    groups: [],
+    monitors: [],
+    unmanaged: { groups: [], monitors: 0 },
+    unchanged: { groups: 0, monitors: 0 },
+  };
+
+  if (config.settings.urlPatterns) {
+    for (const category of CATEGORIES) {
+      const oldValue = urlPatterns[category];
+      const newValue = config.settings.urlPatterns[category];
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) plan.urlPatterns.push({ category, oldValue, newValue });
+    }
+  }
+
+  if (config.settings.groups) {
+    const byName = new Map(groups.map(g => [g.name.toLowerCase(), g]));
+    for (const group of config.settings.groups) {
+      const existing = byName.get(group.name.toLowerCase());
+      byName.delete(group.name.toLowerCase());
+      if (!existing) {
+        plan.groups.push({ action: "create", name: group.name, value: group });
+        continue;
+      }
+      const changes = diffAttributes(
+        { attributes: { name: existing.name, matchMode: existing.matchMode, rules: existing.rules } },
+        { attributes: group },
+      );
+      if (changes.length === 0) {
+        plan.unchanged.groups++;
+      } else {
+        plan.groups.push({ action: "update", groupId: existing.id, name: group.name, value: group, changes });
+      }
+    }
+    plan.unmanaged.groups = [...byName.values()].map(g => g.name);
+  }
+
+  if (config.monitors) {
+    const byId = new Map(monitors.map(m => [m.id, m]));
+    for (const definition of config.monitors) {
+      if (!definition.id) {
+        const name = monitorName(definition.attributes, "new monitor");
+        const { attributes, error } = restoreRedacted(definition.attributes, null, `New monitor ${name}`);
+        if (error) return { error };
+        plan.monitors.push({
+          action: "create",
+          id: null,
+          account: definition.account || defaultAccount,
+          name,
+          attributes,
+        });
+        continue;
+      }
+      const existing = byId.get(definition.id);
+      if (!existing) {
+        return { error: `Monitor ${definition.id} doesn't exist (leave out the id to create it)` };
+      }
+      if (definition.account && existing.account !== definition.account) {
+        return { error: `Monitor ${existing.id} belongs to account ${existing.account}, not ${definition.account}` };
+      }
+      byId.delete(definition.id);
+      const { attributes, error } = restoreRedacted(definition.attributes, existing, `Monitor ${existing.id}`);
+      if (error) return { error };
+      // Only the attributes in the file are compared: definitions may be partial
+      const current = Object.fromEntries(Object.keys(attributes).map(field => [field, existing.attributes?.[field]]));
+      const changes = diffAttributes({ attributes: current }, { attributes });
+      if (changes.length === 0) {
+        plan.unchanged.monitors++;
+      } else {
+        plan.monitors.push({
+          action: "update",
+          id: existing.id,
+          account: existing.account,
+          name: monitorName(existing.attributes, existing.id),
+          attributes: Object.fromEntries(changes.map(c => [c.field, c.newValue])),
+          changes,
+        });
+      }
+    }
+    plan.unmanaged.monitors = byId.size;
+  }
+
+  return { value: plan };
+};
+
+// A plan as it is shown to the user: monitor attributes and changes with credentials redacted
+const redactPlan = (plan) => ({
+  ...plan,
+  monitors: plan.monitors.map(monitor => ({
+    ...monitor,
+    attributes: Object.fromEntries(Object.entries(monitor.attributes).map(([field, value]) => [field, redactAttribute(field, value)])),
+    ...(monitor.changes ? {
+      changes: monitor.changes.map(change => ({
+        ...change,
+        oldValue: redactAttribute(change.field, change.oldValue),
+        newValue: redactAttribute(change.field, change.newValue),
+      })),
+    } : {}),
+  })),
+});
+
+module.exports = { FORMATS, buildConfigExport, renderConfig, parseConfigFile, planConfigImport, redactPlan };
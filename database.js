@@ -1,7 +1,14 @@
 const Database = require("better-sqlite3");
+const fs = require("fs");
 const path = require("path");
+const { overlapMs, subtractIntervals } = require("./maintenance");
+const { SECRET_ATTRIBUTES, redactAttribute } = require("./monitor-changes");
 
-const db = new Database(path.join(__dirname, "betterstack.db"));
+// DATABASE_PATH: SQLite file (default: betterstack.db next to the code); point it at a volume in Docker/Railway
+const DATABASE_PATH = path.resolve(process.env.DATABASE_PATH || path.join(__dirname, "betterstack.db"));
+fs.mkdirSync(path.dirname(DATABASE_PATH), { recursive: true });
+
+const db = new Database(DATABASE_PATH);
 
 // Enable WAL mode for better performance
 db.pragma("journal_mode = WAL");
@@ -45,17 +52,411 @@ db.exec(`
 
   -- Index for faster queries
   CREATE INDEX IF NOT EXISTS idx_daily_status_date ON daily_status(date);
+
+  -- Daily status past the retention period, summed per week (from Monday) or calendar month
+  CREATE TABLE IF NOT EXISTS status_rollups (
+    monitor_id TEXT NOT NULL,
+    period TEXT NOT NULL,
+    period_start TEXT NOT NULL,
+    account_id TEXT,
+    days INTEGER NOT NULL DEFAULT 0,
+    down_days INTEGER NOT NULL DEFAULT 0,
+    downtime_minutes INTEGER NOT NULL DEFAULT 0,
+    tracked_minutes INTEGER NOT NULL DEFAULT 0,
+    maintenance_minutes INTEGER NOT NULL DEFAULT 0,
+    checks_total INTEGER NOT NULL DEFAULT 0,
+    checks_failed INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (monitor_id, period, period_start)
+  );
+
+  -- Status transitions: one row each time a monitor's status changes between refreshes
+  CREATE TABLE IF NOT EXISTS status_transitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    monitor_id TEXT NOT NULL,
+    old_status TEXT,
+    new_status TEXT NOT NULL,
+    changed_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_status_transitions_monitor ON status_transitions(monitor_id, changed_at);
+  CREATE INDEX IF NOT EXISTS idx_status_transitions_changed ON status_transitions(changed_at);
+
+  -- Outbound notifications: one row per delivery attempt (event x channel)
+  CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_key TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    channel TEXT NOT NULL,
+    category TEXT,
+    monitor_id TEXT,
+    status TEXT NOT NULL,
+    error TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_alert_deliveries_event ON alert_deliveries(event_key, channel);
+
+  -- Dashboard accounts (password_hash is scrypt, see auth.js)
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    disabled INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    last_login_at TEXT
+  );
+
+  -- Who did what (logins, refreshes, user management, ...)
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT,
+    action TEXT NOT NULL,
+    details TEXT,
+    ip TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+
+  -- Personal API tokens (only the SHA-256 of the token is stored)
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+
+  -- SLA results per monitor and date range (from BetterStack, or computed locally as a fallback)
+  CREATE TABLE IF NOT EXISTS sla_cache (
+    monitor_id TEXT NOT NULL,
+    from_date TEXT NOT NULL,
+    to_date TEXT NOT NULL,
+    availability REAL,
+    total_downtime INTEGER,
+    number_of_incidents INTEGER,
+    longest_incident INTEGER,
+    average_incident INTEGER,
+    source TEXT NOT NULL,
+    error TEXT,
+    fetched_at TEXT NOT NULL,
+    PRIMARY KEY (monitor_id, from_date, to_date)
+  );
+
+  -- User-defined monitor groups (rules as JSON: [{ field, value }])
+  CREATE TABLE IF NOT EXISTS monitor_groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    match_mode TEXT NOT NULL DEFAULT 'all',
+    rules TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  -- Maintenance windows (starts_at is wall-clock time in the window's timezone)
+  CREATE TABLE IF NOT EXISTS maintenance_windows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    starts_at TEXT NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    recurrence TEXT NOT NULL DEFAULT 'none',
+    until TEXT,
+    monitor_ids TEXT NOT NULL DEFAULT '[]',
+    group_ids TEXT NOT NULL DEFAULT '[]',
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  -- Generated SLA/uptime reports (data is the full report as JSON; CSV/HTML are rendered on download)
+  CREATE TABLE IF NOT EXISTS reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    from_date TEXT NOT NULL,
+    to_date TEXT NOT NULL,
+    group_id INTEGER,
+    scheduled INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL,
+    created_by TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_reports_period ON reports(from_date, to_date);
+
+  -- Synthetic checks run by the dashboard itself (synthetic.js); headers are a JSON object
+  CREATE TABLE IF NOT EXISTS synthetic_checks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    url TEXT NOT NULL,
+    method TEXT NOT NULL DEFAULT 'GET',
+    headers TEXT NOT NULL DEFAULT '{}',
+    body TEXT,
+    interval_seconds INTEGER NOT NULL,
+    timeout_ms INTEGER NOT NULL,
+    expected_status TEXT NOT NULL,
+    keyword TEXT,
+    json_path TEXT,
+    json_expected TEXT,
+    max_latency_ms INTEGER,
+    monitor_id TEXT,
+    account_id TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  -- One row per synthetic check run (the check's response-time history)
+  CREATE TABLE IF NOT EXISTS synthetic_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    check_id INTEGER NOT NULL,
+    checked_at TEXT NOT NULL,
+    ok INTEGER NOT NULL,
+    status_code INTEGER,
+    latency_ms INTEGER,
+    error TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_synthetic_results_check ON synthetic_results(check_id, checked_at);
+  CREATE INDEX IF NOT EXISTS idx_synthetic_results_checked ON synthetic_results(checked_at);
+
+  -- Response-time samples per monitor and region (ms), pulled from BetterStack or written by synthetic checks
+  CREATE TABLE IF NOT EXISTS response_time_samples (
+    monitor_id TEXT NOT NULL,
+    region TEXT NOT NULL,
+    at TEXT NOT NULL,
+    response_time INTEGER NOT NULL,
+    PRIMARY KEY (monitor_id, region, at)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_response_time_samples_at ON response_time_samples(at);
+
+  -- Percentiles per monitor, region ('all' = every region together) and hour/day bucket
+  CREATE TABLE IF NOT EXISTS response_time_stats (
+    monitor_id TEXT NOT NULL,
+    region TEXT NOT NULL,
+    bucket TEXT NOT NULL,
+    bucket_start TEXT NOT NULL,
+    samples INTEGER NOT NULL,
+    avg_ms REAL,
+    min_ms INTEGER,
+    max_ms INTEGER,
+    p50_ms INTEGER,
+    p95_ms INTEGER,
+    p99_ms INTEGER,
+    PRIMARY KEY (monitor_id, region, bucket, bucket_start)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_response_time_stats_bucket ON response_time_stats(bucket, bucket_start);
+
+  -- When each monitor's samples were last pulled from BetterStack
+  CREATE TABLE IF NOT EXISTS response_time_sync (
+    monitor_id TEXT PRIMARY KEY,
+    synced_at TEXT NOT NULL
+  );
+
+  -- Heartbeats (cron jobs) from BetterStack, stored on each refresh; data is the JSON:API object
+  CREATE TABLE IF NOT EXISTS heartbeats (
+    id TEXT PRIMARY KEY,
+    account_id TEXT,
+    name TEXT,
+    status TEXT,
+    period INTEGER,
+    grace INTEGER,
+    paused INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  -- Heartbeats pinged at the dashboard itself (/heartbeat/<token>), shown as "local-<id>"
+  CREATE TABLE IF NOT EXISTS local_heartbeats (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    period INTEGER NOT NULL,
+    grace INTEGER NOT NULL,
+    token TEXT NOT NULL UNIQUE,
+    account_id TEXT,
+    paused INTEGER NOT NULL DEFAULT 0,
+    last_ping_at TEXT,
+    last_failed_at TEXT,
+    ping_count INTEGER NOT NULL DEFAULT 0,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  -- Heartbeat status changes, like status_transitions for monitors
+  CREATE TABLE IF NOT EXISTS heartbeat_transitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    heartbeat_id TEXT NOT NULL,
+    old_status TEXT,
+    new_status TEXT NOT NULL,
+    changed_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_heartbeat_transitions_heartbeat ON heartbeat_transitions(heartbeat_id, changed_at);
+  CREATE INDEX IF NOT EXISTS idx_heartbeat_transitions_changed ON heartbeat_transitions(changed_at);
+
+  -- Monitor configuration changes seen between refreshes: one row per changed attribute (values as JSON),
+  -- or per added/removed monitor (field NULL). source: "refresh", or "dashboard" for writes made here
+  CREATE TABLE IF NOT EXISTS monitor_config_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    monitor_id TEXT NOT NULL,
+    account_id TEXT,
+    monitor_name TEXT,
+    change_type TEXT NOT NULL,
+    field TEXT,
+    old_value TEXT,
+    new_value TEXT,
+    source TEXT NOT NULL DEFAULT 'refresh',
+    changed_by TEXT,
+    changed_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_monitor_config_changes_changed ON monitor_config_changes(changed_at);
+  CREATE INDEX IF NOT EXISTS idx_monitor_config_changes_monitor ON monitor_config_changes(monitor_id, changed_at);
+
+  -- Requests saved in the request builder (/api/proxy); headers are a JSON object
+  CREATE TABLE IF NOT EXISTS saved_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    method TEXT NOT NULL DEFAULT 'GET',
+    url TEXT NOT NULL,
+    headers TEXT NOT NULL DEFAULT '{}',
+    body TEXT,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+`);
+
+// Add a column to an existing table if an older database doesn't have it yet
+const addColumnIfMissing = (table, column, definition) => {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+// Minutes of the day covered by a known status (downtime is computed against this)
+addColumnIfMissing("daily_status", "tracked_minutes", "INTEGER DEFAULT 0");
+// Minutes inside maintenance windows (excluded from tracked and downtime minutes)
+addColumnIfMissing("daily_status", "maintenance_minutes", "INTEGER DEFAULT 0");
+addColumnIfMissing("sla_cache", "maintenance_seconds", "INTEGER DEFAULT 0");
+// Local fallback after a temporary upstream error (rate limit, outage): fetched again sooner
+addColumnIfMissing("sla_cache", "retryable", "INTEGER DEFAULT 0");
+// BetterStack account (accounts.js) a monitor and its daily status belong to
+addColumnIfMissing("monitors", "account_id", "TEXT");
+addColumnIfMissing("daily_status", "account_id", "TEXT");
+
+// Incident archive: incidents are kept forever; these columns mirror the JSON for filtering
+const INCIDENT_COLUMNS = {
+  account_id: "TEXT",
+  monitor_id: "TEXT",
+  name: "TEXT",
+  cause: "TEXT",
+  url: "TEXT",
+  status: "TEXT",
+  started_at: "TEXT",
+  acknowledged_at: "TEXT",
+  acknowledged_by: "TEXT",
+  resolved_at: "TEXT",
+  resolved_by: "TEXT",
+};
+Object.entries(INCIDENT_COLUMNS).forEach(([column, definition]) => addColumnIfMissing("incidents", column, definition));
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_incidents_started ON incidents(started_at);
+  CREATE INDEX IF NOT EXISTS idx_incidents_monitor ON incidents(monitor_id, started_at);
+  CREATE INDEX IF NOT EXISTS idx_incidents_account ON incidents(account_id, started_at);
+
+  -- Full-text index over the archive (rowid = incidents.rowid)
+  CREATE VIRTUAL TABLE IF NOT EXISTS incidents_fts USING fts5(name, cause, url, response_content);
 `);
 
+// Column values of an incident (JSON:API object) for the archive
+const incidentRow = (incident) => {
+  const attributes = incident.attributes || {};
+  return {
+    id: incident.id,
+    data: JSON.stringify(incident),
+    accountId: incident.account ?? null,
+    monitorId: incident.relationships?.monitor?.data?.id ?? null,
+    name: attributes.name ?? null,
+    cause: attributes.cause ?? null,
+    url: attributes.url ?? null,
+    status: attributes.status ? String(attributes.status).toLowerCase() : null,
+    startedAt: attributes.started_at ?? null,
+    acknowledgedAt: attributes.acknowledged_at ?? null,
+    acknowledgedBy: attributes.acknowledged_by ?? null,
+    resolvedAt: attributes.resolved_at ?? null,
+    resolvedBy: attributes.resolved_by ?? null,
+    responseContent: attributes.response_content ?? null,
+  };
+};
+
+// Search text -> FTS5 query: every word must match (as a prefix), operators are taken literally
+const toFtsQuery = (text) => String(text || "")
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => `"${word.replace(/"/g, '""')}"*`)
+  .join(" ");
+
 // Prepared statements for better performance
 const stmts = {
   upsertMonitor: db.prepare(`
-    INSERT OR REPLACE INTO monitors (id, data, updated_at)
-    VALUES (?, ?, ?)
+    INSERT OR REPLACE INTO monitors (id, data, updated_at, account_id)
+    VALUES (?, ?, ?, ?)
   `),
+  // Only rewrites rows whose JSON changed (keeps the rowid the FTS index points to)
   upsertIncident: db.prepare(`
-    INSERT OR REPLACE INTO incidents (id, data, updated_at)
-    VALUES (?, ?, ?)
+    INSERT INTO incidents (id, data, updated_at, account_id, monitor_id, name, cause, url, status,
+      started_at, acknowledged_at, acknowledged_by, resolved_at, resolved_by)
+    VALUES (@id, @data, @updatedAt, @accountId, @monitorId, @name, @cause, @url, @status,
+      @startedAt, @acknowledgedAt, @acknowledgedBy, @resolvedAt, @resolvedBy)
+    ON CONFLICT(id) DO UPDATE SET
+      data = excluded.data,
+      updated_at = excluded.updated_at,
+      account_id = excluded.account_id,
+      monitor_id = excluded.monitor_id,
+      name = excluded.name,
+      cause = excluded.cause,
+      url = excluded.url,
+      status = excluded.status,
+      started_at = excluded.started_at,
+      acknowledged_at = excluded.acknowledged_at,
+      acknowledged_by = excluded.acknowledged_by,
+      resolved_at = excluded.resolved_at,
+      resolved_by = excluded.resolved_by
+    WHERE incidents.data != excluded.data OR incidents.started_at IS NULL
+  `),
+  getIncidentRowid: db.prepare(`SELECT rowid FROM incidents WHERE id = ?`),
+  deleteIncidentFts: db.prepare(`DELETE FROM incidents_fts WHERE rowid = ?`),
+  insertIncidentFts: db.prepare(`
+    INSERT INTO incidents_fts (rowid, name, cause, url, response_content)
+    VALUES (@rowid, @name, @cause, @url, @responseContent)
+  `),
+  getIncidentsToIndex: db.prepare(`SELECT data FROM incidents WHERE started_at IS NULL`),
+  getIncidentById: db.prepare(`SELECT data FROM incidents WHERE id = ?`),
+  getIncidentsStartedBetween: db.prepare(`
+    SELECT data FROM incidents
+    WHERE started_at >= ? AND started_at < ?
+    ORDER BY started_at ASC
+  `),
+  // Newest incidents plus every one still open (the in-memory working set)
+  getRecentIncidents: db.prepare(`
+    SELECT data FROM incidents
+    WHERE resolved_at IS NULL
+      OR id IN (SELECT id FROM incidents ORDER BY started_at DESC LIMIT ?)
+    ORDER BY started_at DESC
   `),
   upsertStatusChange: db.prepare(`
     INSERT OR REPLACE INTO status_changes (id, data, updated_at)
@@ -66,14 +467,28 @@ const stmts = {
   getAllStatusChanges: db.prepare(`SELECT data FROM status_changes`),
   clearMonitors: db.prepare(`DELETE FROM monitors`),
   clearIncidents: db.prepare(`DELETE FROM incidents`),
+  clearIncidentsFts: db.prepare(`DELETE FROM incidents_fts`),
   clearStatusChanges: db.prepare(`DELETE FROM status_changes`),
+  // Rows stored before accounts existed (account_id NULL) belong to the first configured account
+  assignMonitorsAccount: db.prepare(`
+    UPDATE monitors SET account_id = @accountId, data = json_set(data, '$.account', @accountId)
+    WHERE account_id IS NULL
+  `),
+  assignIncidentsAccount: db.prepare(`
+    UPDATE incidents SET account_id = @accountId, data = json_set(data, '$.account', @accountId)
+    WHERE account_id IS NULL
+  `),
+  assignDailyStatusAccount: db.prepare(`
+    UPDATE daily_status SET account_id = (SELECT account_id FROM monitors WHERE id = daily_status.monitor_id)
+    WHERE account_id IS NULL
+  `),
   getMetadata: db.prepare(`SELECT value FROM metadata WHERE key = ?`),
   setMetadata: db.prepare(`INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)`),
   
   // Daily status statements
   upsertDailyStatus: db.prepare(`
-    INSERT INTO daily_status (monitor_id, date, status, downtime_minutes, checks_total, checks_failed, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO daily_status (monitor_id, date, status, downtime_minutes, checks_total, checks_failed, updated_at, account_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT account_id FROM monitors WHERE id = ?))
     ON CONFLICT(monitor_id, date) DO UPDATE SET
       status = CASE 
         WHEN excluded.status = 'down' THEN 'down'
@@ -95,13 +510,735 @@ const stmts = {
     WHERE date >= ?
     ORDER BY monitor_id, date ASC
   `),
+  getDailyStatusBetween: db.prepare(`
+    SELECT * FROM daily_status
+    WHERE date >= ? AND date <= ?
+    ORDER BY monitor_id, date ASC
+  `),
   getLatestDailyStatusDate: db.prepare(`
     SELECT MAX(date) as max_date FROM daily_status WHERE monitor_id = ?
   `),
   setDailyStatusDirect: db.prepare(`
-    INSERT OR REPLACE INTO daily_status (monitor_id, date, status, downtime_minutes, checks_total, checks_failed, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT OR REPLACE INTO daily_status (monitor_id, date, status, downtime_minutes, checks_total, checks_failed, updated_at, account_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT account_id FROM monitors WHERE id = ?))
+  `),
+  setDailyIntervals: db.prepare(`
+    INSERT INTO daily_status (monitor_id, date, status, downtime_minutes, tracked_minutes, maintenance_minutes, checks_total, checks_failed, updated_at, account_id)
+    VALUES (?, ?, ?, ?, ?, ?, 0, 0, ?, (SELECT account_id FROM monitors WHERE id = ?))
+    ON CONFLICT(monitor_id, date) DO UPDATE SET
+      status = excluded.status,
+      downtime_minutes = excluded.downtime_minutes,
+      tracked_minutes = excluded.tracked_minutes,
+      maintenance_minutes = excluded.maintenance_minutes,
+      updated_at = excluded.updated_at
+  `),
+  // Days before @before summed into their week/month; a period already (partly) rolled up is added to
+  rollupDailyStatus: db.prepare(`
+    INSERT INTO status_rollups
+      (monitor_id, period, period_start, account_id, days, down_days, downtime_minutes, tracked_minutes, maintenance_minutes, checks_total, checks_failed, updated_at)
+    SELECT
+      monitor_id,
+      @period,
+      CASE WHEN @period = 'month'
+        THEN strftime('%Y-%m-01', date)
+        ELSE date(date, '-' || ((CAST(strftime('%w', date) AS INTEGER) + 6) % 7) || ' days')
+      END AS period_start,
+      MAX(account_id),
+      COUNT(*),
+      SUM(status = 'down'),
+      SUM(COALESCE(downtime_minutes, 0)),
+      SUM(COALESCE(tracked_minutes, 0)),
+      SUM(COALESCE(maintenance_minutes, 0)),
+      SUM(COALESCE(checks_total, 0)),
+      SUM(COALESCE(checks_failed, 0)),
+      @now
+    FROM daily_status
+    WHERE date < @before
+    GROUP BY monitor_id, period_start
+    ON CONFLICT(monitor_id, period, period_start) DO UPDATE SET
+      account_id = COALESCE(excluded.account_id, status_rollups.account_id),
+      days = status_rollups.days + excluded.days,
+      down_days = status_rollups.down_days + excluded.down_days,
+      downtime_minutes = status_rollups.downtime_minutes + excluded.downtime_minutes,
+      tracked_minutes = status_rollups.tracked_minutes + excluded.tracked_minutes,
+      maintenance_minutes = status_rollups.maintenance_minutes + excluded.maintenance_minutes,
+      checks_total = status_rollups.checks_total + excluded.checks_total,
+      checks_failed = status_rollups.checks_failed + excluded.checks_failed,
+      updated_at = excluded.updated_at
+  `),
+  deleteDailyStatusBefore: db.prepare(`DELETE FROM daily_status WHERE date < ?`),
+  getStatusRollups: db.prepare(`
+    SELECT * FROM status_rollups
+    WHERE monitor_id = ? AND period = ?
+    ORDER BY period_start ASC
+  `),
+
+  // Status transition statements
+  insertTransition: db.prepare(`
+    INSERT INTO status_transitions (monitor_id, old_status, new_status, changed_at)
+    VALUES (?, ?, ?, ?)
+  `),
+  getLatestStatuses: db.prepare(`
+    SELECT monitor_id, new_status FROM status_transitions
+    WHERE id IN (SELECT MAX(id) FROM status_transitions GROUP BY monitor_id)
+  `),
+  getStatusesBefore: db.prepare(`
+    SELECT monitor_id, new_status FROM status_transitions
+    WHERE id IN (SELECT MAX(id) FROM status_transitions WHERE changed_at < ? GROUP BY monitor_id)
+  `),
+  getTransitionsBetween: db.prepare(`
+    SELECT * FROM status_transitions
+    WHERE changed_at >= ? AND changed_at < ?
+    ORDER BY changed_at ASC, id ASC
+  `),
+  getTransitionsForMonitor: db.prepare(`
+    SELECT * FROM status_transitions
+    WHERE monitor_id = ? AND changed_at >= ?
+    ORDER BY changed_at ASC, id ASC
+  `),
+  getMonitorStatusBefore: db.prepare(`
+    SELECT new_status FROM status_transitions
+    WHERE monitor_id = ? AND changed_at < ?
+    ORDER BY changed_at DESC, id DESC
+    LIMIT 1
+  `),
+  getMonitorTransitionsBetween: db.prepare(`
+    SELECT * FROM status_transitions
+    WHERE monitor_id = ? AND changed_at >= ? AND changed_at < ?
+    ORDER BY changed_at ASC, id ASC
+  `),
+
+  // Report statements
+  insertReport: db.prepare(`
+    INSERT INTO reports (name, from_date, to_date, group_id, scheduled, data, created_by, created_at)
+    VALUES (@name, @fromDate, @toDate, @groupId, @scheduled, @data, @createdBy, @createdAt)
+  `),
+  getReports: db.prepare(`
+    SELECT id, name, from_date, to_date, group_id, scheduled, created_by, created_at FROM reports
+    ORDER BY from_date DESC, id DESC
+    LIMIT ?
+  `),
+  getReportById: db.prepare(`SELECT * FROM reports WHERE id = ?`),
+  getScheduledReport: db.prepare(`
+    SELECT id FROM reports
+    WHERE scheduled = 1 AND from_date = ? AND to_date = ? AND group_id IS ?
+  `),
+  deleteReport: db.prepare(`DELETE FROM reports WHERE id = ?`),
+
+  // Alert delivery statements
+  insertAlertDelivery: db.prepare(`
+    INSERT INTO alert_deliveries (event_key, event_type, channel, category, monitor_id, status, error, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  getSentAlertDelivery: db.prepare(`
+    SELECT id FROM alert_deliveries WHERE event_key = ? AND channel = ? AND status = 'sent' LIMIT 1
+  `),
+  getRecentAlertDeliveries: db.prepare(`
+    SELECT * FROM alert_deliveries ORDER BY id DESC LIMIT ?
+  `),
+
+  // User statements
+  countUsers: db.prepare(`SELECT COUNT(*) as count FROM users`),
+  countActiveAdmins: db.prepare(`SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND disabled = 0`),
+  insertUser: db.prepare(`
+    INSERT INTO users (username, password_hash, role, disabled, created_at, updated_at)
+    VALUES (?, ?, ?, 0, ?, ?)
+  `),
+  getUserById: db.prepare(`SELECT * FROM users WHERE id = ?`),
+  getUserByUsername: db.prepare(`SELECT * FROM users WHERE username = ?`),
+  getAllUsers: db.prepare(`SELECT * FROM users ORDER BY username`),
+  updateUserRole: db.prepare(`UPDATE users SET role = ?, updated_at = ? WHERE id = ?`),
+  updateUserDisabled: db.prepare(`UPDATE users SET disabled = ?, updated_at = ? WHERE id = ?`),
+  updateUserPassword: db.prepare(`UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?`),
+  updateUserLogin: db.prepare(`UPDATE users SET last_login_at = ? WHERE id = ?`),
+
+  // Audit statements
+  insertAuditEntry: db.prepare(`
+    INSERT INTO audit_log (username, action, details, ip, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  getAuditEntries: db.prepare(`
+    SELECT * FROM audit_log
+    WHERE (@username IS NULL OR username = @username)
+      AND (@action IS NULL OR action = @action)
+    ORDER BY id DESC
+    LIMIT @limit
+  `),
+
+  // API token statements
+  insertApiToken: db.prepare(`
+    INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  getApiTokenById: db.prepare(`SELECT * FROM api_tokens WHERE id = ?`),
+  getApiTokenByHash: db.prepare(`SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL`),
+  getApiTokensForUser: db.prepare(`SELECT * FROM api_tokens WHERE user_id = ? ORDER BY id DESC`),
+  revokeApiToken: db.prepare(`UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`),
+  touchApiToken: db.prepare(`UPDATE api_tokens SET last_used_at = ? WHERE id = ?`),
+
+  // SLA cache statements
+  upsertSlaCache: db.prepare(`
+    INSERT OR REPLACE INTO sla_cache
+      (monitor_id, from_date, to_date, availability, total_downtime, number_of_incidents, longest_incident, average_incident, maintenance_seconds, source, error, retryable, fetched_at)
+    VALUES (@monitorId, @fromDate, @toDate, @availability, @totalDowntime, @numberOfIncidents, @longestIncident, @averageIncident, @maintenanceSeconds, @source, @error, @retryable, @fetchedAt)
+  `),
+  getSlaCacheForRange: db.prepare(`SELECT * FROM sla_cache WHERE from_date = ? AND to_date = ?`),
+  getSlaCacheEntry: db.prepare(`SELECT * FROM sla_cache WHERE monitor_id = ? AND from_date = ? AND to_date = ?`),
+  pruneSlaCache: db.prepare(`DELETE FROM sla_cache WHERE fetched_at < ?`),
+
+  // Monitor group statements
+  insertMonitorGroup: db.prepare(`
+    INSERT INTO monitor_groups (name, match_mode, rules, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  updateMonitorGroup: db.prepare(`
+    UPDATE monitor_groups SET name = ?, match_mode = ?, rules = ?, updated_at = ? WHERE id = ?
+  `),
+  deleteMonitorGroup: db.prepare(`DELETE FROM monitor_groups WHERE id = ?`),
+  getMonitorGroupById: db.prepare(`SELECT * FROM monitor_groups WHERE id = ?`),
+  getMonitorGroups: db.prepare(`SELECT * FROM monitor_groups ORDER BY name COLLATE NOCASE`),
+  clearSlaCache: db.prepare(`DELETE FROM sla_cache`),
+
+  // Maintenance window statements
+  insertMaintenanceWindow: db.prepare(`
+    INSERT INTO maintenance_windows
+      (name, starts_at, duration_minutes, timezone, recurrence, until, monitor_ids, group_ids, created_by, created_at, updated_at)
+    VALUES (@name, @startsAt, @durationMinutes, @timezone, @recurrence, @until, @monitorIds, @groupIds, @createdBy, @now, @now)
+  `),
+  updateMaintenanceWindow: db.prepare(`
+    UPDATE maintenance_windows SET
+      name = @name, starts_at = @startsAt, duration_minutes = @durationMinutes, timezone = @timezone,
+      recurrence = @recurrence, until = @until, monitor_ids = @monitorIds, group_ids = @groupIds, updated_at = @now
+    WHERE id = @id
+  `),
+  deleteMaintenanceWindow: db.prepare(`DELETE FROM maintenance_windows WHERE id = ?`),
+  getMaintenanceWindowById: db.prepare(`SELECT * FROM maintenance_windows WHERE id = ?`),
+  getMaintenanceWindows: db.prepare(`SELECT * FROM maintenance_windows ORDER BY starts_at DESC`),
+
+  // Synthetic check statements
+  insertSyntheticCheck: db.prepare(`
+    INSERT INTO synthetic_checks
+      (name, url, method, headers, body, interval_seconds, timeout_ms, expected_status, keyword, json_path,
+       json_expected, max_latency_ms, monitor_id, account_id, enabled, created_by, created_at, updated_at)
+    VALUES (@name, @url, @method, @headers, @body, @intervalSeconds, @timeoutMs, @expectedStatus, @keyword, @jsonPath,
+      @jsonExpected, @maxLatencyMs, @monitorId, @account, @enabled, @createdBy, @now, @now)
+  `),
+  updateSyntheticCheck: db.prepare(`
+    UPDATE synthetic_checks SET
+      name = @name, url = @url, method = @method, headers = @headers, body = @body,
+      interval_seconds = @intervalSeconds, timeout_ms = @timeoutMs, expected_status = @expectedStatus,
+      keyword = @keyword, json_path = @jsonPath, json_expected = @jsonExpected, max_latency_ms = @maxLatencyMs,
+      monitor_id = @monitorId, account_id = @account, enabled = @enabled, updated_at = @now
+    WHERE id = @id
+  `),
+  setSyntheticCheckEnabled: db.prepare(`UPDATE synthetic_checks SET enabled = ?, updated_at = ? WHERE id = ?`),
+  deleteSyntheticCheck: db.prepare(`DELETE FROM synthetic_checks WHERE id = ?`),
+  deleteSyntheticResults: db.prepare(`DELETE FROM synthetic_results WHERE check_id = ?`),
+  getSyntheticCheckById: db.prepare(`SELECT * FROM synthetic_checks WHERE id = ?`),
+  getSyntheticChecks: db.prepare(`SELECT * FROM synthetic_checks ORDER BY name COLLATE NOCASE`),
+  insertSyntheticResult: db.prepare(`
+    INSERT INTO synthetic_results (check_id, checked_at, ok, status_code, latency_ms, error)
+    VALUES (@checkId, @checkedAt, @ok, @statusCode, @latencyMs, @error)
+  `),
+  getSyntheticResults: db.prepare(`
+    SELECT * FROM synthetic_results
+    WHERE check_id = ? AND checked_at >= ? AND checked_at < ?
+    ORDER BY checked_at ASC
+  `),
+  getLastSyntheticResult: db.prepare(`
+    SELECT * FROM synthetic_results WHERE check_id = ? ORDER BY checked_at DESC LIMIT 1
+  `),
+  getSyntheticStatsSince: db.prepare(`
+    SELECT check_id, COUNT(*) AS runs, SUM(ok) AS passed, ROUND(AVG(latency_ms)) AS avg_latency_ms
+    FROM synthetic_results WHERE checked_at >= ?
+    GROUP BY check_id
+  `),
+  pruneSyntheticResults: db.prepare(`DELETE FROM synthetic_results WHERE checked_at < ?`),
+  deleteMonitor: db.prepare(`DELETE FROM monitors WHERE id = ?`),
+
+  // Saved request statements
+  insertSavedRequest: db.prepare(`
+    INSERT INTO saved_requests (name, method, url, headers, body, created_by, created_at, updated_at)
+    VALUES (@name, @method, @url, @headers, @body, @createdBy, @now, @now)
+  `),
+  updateSavedRequest: db.prepare(`
+    UPDATE saved_requests SET name = @name, method = @method, url = @url, headers = @headers, body = @body, updated_at = @now
+    WHERE id = @id
+  `),
+  deleteSavedRequest: db.prepare(`DELETE FROM saved_requests WHERE id = ?`),
+  getSavedRequestById: db.prepare(`SELECT * FROM saved_requests WHERE id = ?`),
+  getSavedRequests: db.prepare(`SELECT * FROM saved_requests ORDER BY name COLLATE NOCASE`),
+
+  // Response-time statements
+  insertResponseTimeSample: db.prepare(`
+    INSERT OR IGNORE INTO response_time_samples (monitor_id, region, at, response_time)
+    VALUES (?, ?, ?, ?)
+  `),
+  getResponseTimeSamples: db.prepare(`
+    SELECT region, at, response_time FROM response_time_samples
+    WHERE monitor_id = ? AND at >= ?
+    ORDER BY at ASC
+  `),
+  getAllResponseTimeSamplesSince: db.prepare(`
+    SELECT monitor_id, region, at, response_time FROM response_time_samples
+    WHERE at >= ?
+    ORDER BY monitor_id, at ASC
+  `),
+  upsertResponseTimeStats: db.prepare(`
+    INSERT OR REPLACE INTO response_time_stats
+      (monitor_id, region, bucket, bucket_start, samples, avg_ms, min_ms, max_ms, p50_ms, p95_ms, p99_ms)
+    VALUES (@monitorId, @region, @bucket, @bucketStart, @samples, @avgMs, @minMs, @maxMs, @p50Ms, @p95Ms, @p99Ms)
+  `),
+  getResponseTimeStats: db.prepare(`
+    SELECT * FROM response_time_stats
+    WHERE monitor_id = ? AND bucket = ? AND bucket_start >= ?
+    ORDER BY region, bucket_start ASC
+  `),
+  getResponseTimeSyncs: db.prepare(`SELECT monitor_id, synced_at FROM response_time_sync`),
+  setResponseTimeSynced: db.prepare(`INSERT OR REPLACE INTO response_time_sync (monitor_id, synced_at) VALUES (?, ?)`),
+  pruneResponseTimeSamples: db.prepare(`DELETE FROM response_time_samples WHERE at < ?`),
+  pruneResponseTimeStats: db.prepare(`DELETE FROM response_time_stats WHERE bucket = ? AND bucket_start < ?`),
+  deleteResponseTimeSamples: db.prepare(`DELETE FROM response_time_samples WHERE monitor_id = ?`),
+  deleteResponseTimeStats: db.prepare(`DELETE FROM response_time_stats WHERE monitor_id = ?`),
+
+  // Heartbeat statements
+  insertHeartbeat: db.prepare(`
+    INSERT INTO heartbeats (id, account_id, name, status, period, grace, paused, data, updated_at)
+    VALUES (@id, @account, @name, @status, @period, @grace, @paused, @data, @updatedAt)
+  `),
+  deleteAccountHeartbeats: db.prepare(`DELETE FROM heartbeats WHERE account_id = ?`),
+  getHeartbeats: db.prepare(`SELECT * FROM heartbeats ORDER BY name COLLATE NOCASE`),
+  insertLocalHeartbeat: db.prepare(`
+    INSERT INTO local_heartbeats (name, period, grace, token, account_id, paused, created_by, created_at, updated_at)
+    VALUES (@name, @period, @grace, @token, @account, @paused, @createdBy, @now, @now)
+  `),
+  updateLocalHeartbeat: db.prepare(`
+    UPDATE local_heartbeats SET
+      name = @name, period = @period, grace = @grace, account_id = @account, paused = @paused, updated_at = @now
+    WHERE id = @id
+  `),
+  recordLocalHeartbeatPing: db.prepare(`
+    UPDATE local_heartbeats SET last_ping_at = @at, ping_count = ping_count + 1 WHERE id = @id
+  `),
+  recordLocalHeartbeatFailure: db.prepare(`
+    UPDATE local_heartbeats SET last_failed_at = @at, ping_count = ping_count + 1 WHERE id = @id
+  `),
+  deleteLocalHeartbeat: db.prepare(`DELETE FROM local_heartbeats WHERE id = ?`),
+  getLocalHeartbeatById: db.prepare(`SELECT * FROM local_heartbeats WHERE id = ?`),
+  getLocalHeartbeatByToken: db.prepare(`SELECT * FROM local_heartbeats WHERE token = ?`),
+  getLocalHeartbeats: db.prepare(`SELECT * FROM local_heartbeats ORDER BY name COLLATE NOCASE`),
+  insertHeartbeatTransition: db.prepare(`
+    INSERT INTO heartbeat_transitions (heartbeat_id, old_status, new_status, changed_at)
+    VALUES (?, ?, ?, ?)
+  `),
+  deleteHeartbeatTransitions: db.prepare(`DELETE FROM heartbeat_transitions WHERE heartbeat_id = ?`),
+  getLatestHeartbeatStatuses: db.prepare(`
+    SELECT heartbeat_id, new_status FROM heartbeat_transitions
+    WHERE id IN (SELECT MAX(id) FROM heartbeat_transitions GROUP BY heartbeat_id)
+  `),
+  // Column names as in the status_transitions statements, for computeDailyIntervals
+  getHeartbeatStatusesBefore: db.prepare(`
+    SELECT heartbeat_id AS monitor_id, new_status FROM heartbeat_transitions
+    WHERE id IN (SELECT MAX(id) FROM heartbeat_transitions WHERE changed_at < ? GROUP BY heartbeat_id)
   `),
+  getHeartbeatTransitionsBetween: db.prepare(`
+    SELECT heartbeat_id AS monitor_id, old_status, new_status, changed_at FROM heartbeat_transitions
+    WHERE changed_at >= ? AND changed_at < ?
+    ORDER BY changed_at ASC, id ASC
+  `),
+  // Down periods with the transition that ended them (none while still down)
+  getHeartbeatMissedRuns: db.prepare(`
+    SELECT * FROM (
+      SELECT heartbeat_id, old_status, new_status, changed_at,
+        LEAD(changed_at) OVER (PARTITION BY heartbeat_id ORDER BY id) AS ended_at,
+        LEAD(new_status) OVER (PARTITION BY heartbeat_id ORDER BY id) AS ended_status
+      FROM heartbeat_transitions
+    )
+    WHERE new_status = 'down' AND (ended_at IS NULL OR ended_at >= @since)
+      AND (@heartbeatId IS NULL OR heartbeat_id = @heartbeatId)
+    ORDER BY changed_at DESC
+    LIMIT @limit
+  `),
+
+  // Monitor config change statements
+  insertMonitorConfigChange: db.prepare(`
+    INSERT INTO monitor_config_changes
+      (monitor_id, account_id, monitor_name, change_type, field, old_value, new_value, source, changed_by, changed_at)
+    VALUES (@monitorId, @account, @monitorName, @changeType, @field, @oldValue, @newValue, @source, @changedBy, @changedAt)
+  `),
+  getMonitorConfigFields: db.prepare(`
+    SELECT DISTINCT field FROM monitor_config_changes WHERE field IS NOT NULL ORDER BY field
+  `),
+};
+
+// Report row -> API object (the report itself only when the row has its data)
+const toReport = (row) => row && ({
+  id: row.id,
+  name: row.name,
+  from: row.from_date,
+  to: row.to_date,
+  groupId: row.group_id,
+  scheduled: !!row.scheduled,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  ...(row.data ? { report: JSON.parse(row.data) } : {}),
+});
+
+// Public shape of a maintenance_windows row
+const toMaintenanceWindow = (row) => row && ({
+  id: row.id,
+  name: row.name,
+  startsAt: row.starts_at,
+  durationMinutes: row.duration_minutes,
+  timezone: row.timezone,
+  recurrence: row.recurrence,
+  until: row.until,
+  monitorIds: JSON.parse(row.monitor_ids),
+  groupIds: JSON.parse(row.group_ids),
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Named parameters for the maintenance window statements
+const maintenanceWindowParams = (window) => ({
+  name: window.name,
+  startsAt: window.startsAt,
+  durationMinutes: window.durationMinutes,
+  timezone: window.timezone,
+  recurrence: window.recurrence,
+  until: window.until,
+  monitorIds: JSON.stringify(window.monitorIds),
+  groupIds: JSON.stringify(window.groupIds),
+  now: new Date().toISOString(),
+});
+
+// Public shape of a synthetic_checks row
+const toSyntheticCheck = (row) => row && ({
+  id: row.id,
+  name: row.name,
+  url: row.url,
+  method: row.method,
+  headers: JSON.parse(row.headers),
+  body: row.body,
+  intervalSeconds: row.interval_seconds,
+  timeoutMs: row.timeout_ms,
+  expectedStatus: row.expected_status,
+  keyword: row.keyword,
+  jsonPath: row.json_path,
+  jsonExpected: row.json_expected,
+  maxLatencyMs: row.max_latency_ms,
+  monitorId: row.monitor_id,
+  account: row.account_id,
+  enabled: !!row.enabled,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const toSyntheticResult = (row) => row && ({
+  checkedAt: row.checked_at,
+  ok: !!row.ok,
+  statusCode: row.status_code,
+  latencyMs: row.latency_ms,
+  error: row.error,
+});
+
+const toHeartbeat = (row) => row && ({
+  ...JSON.parse(row.data),
+  account: row.account_id,
+});
+
+const toLocalHeartbeat = (row) => row && ({
+  id: row.id,
+  name: row.name,
+  period: row.period,
+  grace: row.grace,
+  token: row.token,
+  account: row.account_id,
+  paused: !!row.paused,
+  lastPingAt: row.last_ping_at,
+  lastFailedAt: row.last_failed_at,
+  pingCount: row.ping_count,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const toMissedRun = (row, nowMs = Date.now()) => ({
+  heartbeatId: row.heartbeat_id,
+  missedAt: row.changed_at,
+  previousStatus: row.old_status,
+  endedAt: row.ended_at,
+  endedStatus: row.ended_status,
+  ongoing: row.ended_at === null,
+  durationMinutes: Math.round(((row.ended_at ? Date.parse(row.ended_at) : nowMs) - Date.parse(row.changed_at)) / 60000),
+});
+
+const toMonitorConfigChange = (row) => ({
+  id: row.id,
+  monitorId: row.monitor_id,
+  account: row.account_id,
+  monitorName: row.monitor_name,
+  changeType: row.change_type,
+  field: row.field,
+  oldValue: row.old_value === null ? null : JSON.parse(row.old_value),
+  newValue: row.new_value === null ? null : JSON.parse(row.new_value),
+  source: row.source,
+  changedBy: row.changed_by,
+  changedAt: row.changed_at,
+});
+
+// Named parameters for the synthetic check statements
+const syntheticCheckParams = (check) => ({
+  ...check,
+  headers: JSON.stringify(check.headers || {}),
+  enabled: check.enabled ? 1 : 0,
+  now: new Date().toISOString(),
+});
+
+const toSavedRequest = (row) => row && ({
+  id: row.id,
+  name: row.name,
+  method: row.method,
+  url: row.url,
+  headers: JSON.parse(row.headers),
+  body: row.body,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const savedRequestParams = (request) => ({
+  name: request.name,
+  method: request.method,
+  url: request.url,
+  headers: JSON.stringify(request.headers || {}),
+  body: request.body,
+  now: new Date().toISOString(),
+});
+
+// Public shape of an sla_cache row
+const toSlaEntry = (row) => row && ({
+  monitorId: row.monitor_id,
+  from: row.from_date,
+  to: row.to_date,
+  availability: row.availability,
+  totalDowntime: row.total_downtime,
+  numberOfIncidents: row.number_of_incidents,
+  longestIncident: row.longest_incident,
+  averageIncident: row.average_incident,
+  maintenanceSeconds: row.maintenance_seconds || 0,
+  source: row.source,
+  error: row.error,
+  retryable: row.retryable === 1,
+  fetchedAt: row.fetched_at,
+});
+
+// Public shape of a monitor_groups row
+const toMonitorGroup = (row) => row && ({
+  id: row.id,
+  name: row.name,
+  matchMode: row.match_mode,
+  rules: JSON.parse(row.rules),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Public shape of an api_tokens row (never includes the hash)
+const toApiToken = (row) => row && ({
+  id: row.id,
+  userId: row.user_id,
+  name: row.name,
+  prefix: row.token_prefix,
+  scopes: JSON.parse(row.scopes),
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at,
+  revokedAt: row.revoked_at,
+});
+
+// Public shape of a users row (never includes the password hash)
+const toUser = (row) => row && ({
+  id: row.id,
+  username: row.username,
+  role: row.role,
+  disabled: !!row.disabled,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  lastLoginAt: row.last_login_at,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses that don't count towards tracked time (monitor gone or not yet known)
+const UNTRACKED_STATUSES = ["removed", "unknown"];
+
+// Where computeDailyIntervals reads transitions from: monitors by default, or heartbeats
+const MONITOR_TRANSITIONS = { statusesBefore: stmts.getStatusesBefore, transitionsBetween: stmts.getTransitionsBetween };
+const HEARTBEAT_TRANSITIONS = {
+  statusesBefore: stmts.getHeartbeatStatusesBefore,
+  transitionsBetween: stmts.getHeartbeatTransitionsBetween,
+};
+
+// Split known status intervals over each UTC day in [startDate, endDate]
+// Time inside maintenance windows (maintenance: { [monitorId]: merged intervals }) is counted
+// as maintenanceMinutes instead of tracked or downtime minutes.
+// Returns { [monitorId]: { [date]: { status, downtimeMinutes, trackedMinutes, maintenanceMinutes } } }
+const computeDailyIntervals = (startDate, endDate, nowMs = Date.now(), maintenance = {}, source = MONITOR_TRANSITIONS) => {
+  const startMs = Date.parse(`${startDate}T00:00:00.000Z`);
+  const endMs = Math.min(Date.parse(`${endDate}T00:00:00.000Z`) + DAY_MS, nowMs);
+  const startIso = new Date(startMs).toISOString();
+  const endIso = new Date(endMs).toISOString();
+
+  // Status each monitor had when the window opened, then every change inside it
+  const segmentsByMonitor = {};
+  for (const row of source.statusesBefore.all(startIso)) {
+    segmentsByMonitor[row.monitor_id] = [{ status: row.new_status, from: startMs }];
+  }
+  for (const row of source.transitionsBetween.all(startIso, endIso)) {
+    if (!segmentsByMonitor[row.monitor_id]) segmentsByMonitor[row.monitor_id] = [];
+    segmentsByMonitor[row.monitor_id].push({ status: row.new_status, from: Date.parse(row.changed_at) });
+  }
+
+  const result = {};
+  for (const [monitorId, segments] of Object.entries(segmentsByMonitor)) {
+    const days = {};
+    segments.forEach((segment, index) => {
+      const segmentEnd = index + 1 < segments.length ? segments[index + 1].from : endMs;
+      if (UNTRACKED_STATUSES.includes(segment.status)) return;
+
+      // Walk the segment one UTC day at a time
+      let cursor = segment.from;
+      while (cursor < segmentEnd) {
+        const dayStart = cursor - (cursor % DAY_MS);
+        const sliceEnd = Math.min(dayStart + DAY_MS, segmentEnd);
+        const date = new Date(dayStart).toISOString().split('T')[0];
+        const maintenanceMinutes = overlapMs(cursor, sliceEnd, maintenance[monitorId]) / 60000;
+        const minutes = (sliceEnd - cursor) / 60000 - maintenanceMinutes;
+
+        const day = days[date] || (days[date] = { status: null, downtimeMinutes: 0, trackedMinutes: 0, maintenanceMinutes: 0 });
+        day.trackedMinutes += minutes;
+        day.maintenanceMinutes += maintenanceMinutes;
+        if (segment.status === 'down' && minutes > 0) {
+          day.downtimeMinutes += minutes;
+          day.status = 'down';
+        } else if (day.status !== 'down' && segment.status !== 'down') {
+          day.status = segment.status;
+        }
+        cursor = sliceEnd;
+      }
+    });
+
+    for (const day of Object.values(days)) {
+      day.downtimeMinutes = Math.round(day.downtimeMinutes);
+      day.trackedMinutes = Math.round(day.trackedMinutes);
+      day.maintenanceMinutes = Math.round(day.maintenanceMinutes);
+      // Only down inside maintenance windows
+      if (!day.status) day.status = 'maintenance';
+    }
+    result[monitorId] = days;
+  }
+
+  return result;
+};
+
+// Upsert one incident and re-index it when it changed; returns true if it was new or changed
+const archiveIncident = (incident, now) => {
+  const row = incidentRow(incident);
+  const { changes } = stmts.upsertIncident.run({ ...row, updatedAt: now });
+  if (changes === 0) return false;
+  const { rowid } = stmts.getIncidentRowid.get(row.id);
+  stmts.deleteIncidentFts.run(rowid);
+  stmts.insertIncidentFts.run({ ...row, rowid });
+  return true;
+};
+
+// Databases from before the archive: fill the new columns and the FTS index once
+const indexPendingIncidents = () => {
+  const pendingIncidents = stmts.getIncidentsToIndex.all();
+  if (pendingIncidents.length === 0) return;
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    pendingIncidents.forEach((row) => archiveIncident(JSON.parse(row.data), now));
+  })();
+  console.log(`Indexed ${pendingIncidents.length} archived incidents`);
+};
+indexPendingIncidents();
+
+// Change log rows stored before credentials were redacted (or restored from such a snapshot): redact them
+const redactStoredConfigChanges = () => {
+  const rows = db.prepare(`
+    SELECT id, field, old_value, new_value FROM monitor_config_changes
+    WHERE field IN (${SECRET_ATTRIBUTES.map(() => "?").join(", ")})
+  `).all(...SECRET_ATTRIBUTES);
+  const update = db.prepare(`UPDATE monitor_config_changes SET old_value = ?, new_value = ? WHERE id = ?`);
+  const redact = (field, value) => value === null ? null : JSON.stringify(redactAttribute(field, JSON.parse(value)));
+  db.transaction(() => {
+    for (const row of rows) {
+      const oldValue = redact(row.field, row.old_value);
+      const newValue = redact(row.field, row.new_value);
+      if (oldValue !== row.old_value || newValue !== row.new_value) update.run(oldValue, newValue, row.id);
+    }
+  })();
+};
+redactStoredConfigChanges();
+
+const toStatusRollup = (row) => ({
+  periodStart: row.period_start,
+  days: row.days,
+  downDays: row.down_days,
+  downtimeMinutes: row.downtime_minutes,
+  trackedMinutes: row.tracked_minutes,
+  maintenanceMinutes: row.maintenance_minutes,
+  checksTotal: row.checks_total,
+  checksFailed: row.checks_failed,
+  uptime: row.tracked_minutes > 0
+    ? Math.round((1 - row.downtime_minutes / row.tracked_minutes) * 100000) / 1000
+    : null,
+});
+
+const toResponseTimeStats = (row) => ({
+  region: row.region,
+  bucketStart: row.bucket_start,
+  samples: row.samples,
+  avgMs: row.avg_ms === null ? null : Math.round(row.avg_ms),
+  minMs: row.min_ms,
+  maxMs: row.max_ms,
+  p50Ms: row.p50_ms,
+  p95Ms: row.p95_ms,
+  p99Ms: row.p99_ms,
+});
+
+const quoteName = (name) => `"${name.replace(/"/g, '""')}"`;
+
+// Accounts, tokens and the audit log stay as they are on a restore: sessions and tokens resolve users by ID,
+// so restored rows could hand a session to another user or bring back deleted users and revoked tokens
+const ACCOUNT_TABLES = ["users", "api_tokens", "audit_log"];
+
+// Tables a restore copies: everything but SQLite's own, the FTS index (rebuilt from incidents) and ACCOUNT_TABLES
+const restorableTables = (schema) => db.prepare(`
+  SELECT name FROM ${schema}.sqlite_master
+  WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'incidents_fts%'
+`).all().map(row => row.name).filter(name => !ACCOUNT_TABLES.includes(name));
+
+// Open a snapshot read-only and check it is an intact dashboard database; throws (status 400) otherwise
+const checkSnapshot = (file) => {
+  let snapshot;
+  try {
+    snapshot = new Database(file, { readonly: true, fileMustExist: true });
+    const [{ quick_check: result }] = snapshot.pragma("quick_check");
+    if (result !== "ok") throw new Error(`integrity check failed (${result})`);
+    const tables = snapshot.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(row => row.name);
+    if (!["monitors", "metadata", "users"].every(table => tables.includes(table))) {
+      throw new Error("not a dashboard database");
+    }
+  } catch (error) {
+    const invalid = new Error(`Invalid snapshot: ${error.message}`);
+    invalid.status = 400;
+    throw invalid;
+  } finally {
+    snapshot?.close();
+  }
 };
 
 // Database operations
@@ -111,23 +1248,38 @@ const database = {
     const now = new Date().toISOString();
     const insertMany = db.transaction((items) => {
       for (const monitor of items) {
-        stmts.upsertMonitor.run(monitor.id, JSON.stringify(monitor), now);
+        stmts.upsertMonitor.run(monitor.id, JSON.stringify(monitor), now, monitor.account ?? null);
       }
     });
     insertMany(monitors);
     stmts.setMetadata.run("lastUpdated", now);
   },
 
-  // Save incidents
+  // Add incidents to the archive (existing ones are updated, nothing is removed).
+  // Returns how many were new or changed.
   saveIncidents: (incidents) => {
     const now = new Date().toISOString();
     const insertMany = db.transaction((items) => {
-      stmts.clearIncidents.run();
+      let changed = 0;
       for (const incident of items) {
-        stmts.upsertIncident.run(incident.id, JSON.stringify(incident), now);
+        if (archiveIncident(incident, now)) changed++;
       }
+      return changed;
     });
-    insertMany(incidents);
+    return insertMany(incidents);
+  },
+
+  // Update a single monitor / incident after a write from the dashboard (leaves lastUpdated alone)
+  saveMonitor: (monitor) => {
+    stmts.upsertMonitor.run(monitor.id, JSON.stringify(monitor), new Date().toISOString(), monitor.account ?? null);
+  },
+
+  deleteMonitor: (monitorId) => {
+    return stmts.deleteMonitor.run(monitorId).changes > 0;
+  },
+
+  saveIncident: (incident) => {
+    db.transaction(() => archiveIncident(incident, new Date().toISOString()))();
   },
 
   // Save status changes
@@ -154,18 +1306,118 @@ const database = {
     return rows.map((row) => JSON.parse(row.data));
   },
 
+  // The `limit` newest incidents plus all unresolved ones, newest first
+  getRecentIncidents: (limit) => {
+    return stmts.getRecentIncidents.all(limit).map((row) => JSON.parse(row.data));
+  },
+
+  getIncidentById: (incidentId) => {
+    const row = stmts.getIncidentById.get(incidentId);
+    return row ? JSON.parse(row.data) : null;
+  },
+
+  // Incidents that started in [fromDate, toDate] (YYYY-MM-DD, inclusive), oldest first
+  getIncidentsStartedBetween: (fromDate, toDate) => {
+    return stmts.getIncidentsStartedBetween.all(fromDate, `${toDate}\uffff`).map((row) => JSON.parse(row.data));
+  },
+
+  // True when the archive already has this exact version of the incident
+  isIncidentArchived: (incident) => {
+    const row = stmts.getIncidentById.get(incident.id);
+    return !!row && row.data === JSON.stringify(incident);
+  },
+
+  // Search the archive. Filters: q (full text over name, cause, URL and response content),
+  // accountId, monitorId, from/to (YYYY-MM-DD, on started_at), status, acknowledgedBy, resolvedBy.
+  // Returns { incidents, total, counts } with counts per status for the filters except status.
+  searchIncidents: ({ q, accountId, monitorId, from, to, status, acknowledgedBy, resolvedBy, page = 1, perPage = 50 }) => {
+    const conditions = [];
+    const params = {};
+    const ftsQuery = toFtsQuery(q);
+    if (ftsQuery) {
+      conditions.push(`rowid IN (SELECT rowid FROM incidents_fts WHERE incidents_fts MATCH @ftsQuery)`);
+      params.ftsQuery = ftsQuery;
+    }
+    if (accountId) {
+      conditions.push(`account_id = @accountId`);
+      params.accountId = accountId;
+    }
+    if (monitorId) {
+      conditions.push(`monitor_id = @monitorId`);
+      params.monitorId = monitorId;
+    }
+    if (from) {
+      conditions.push(`started_at >= @from`);
+      params.from = from;
+    }
+    if (to) {
+      // Whole "to" day: anything before the next day's date string
+      conditions.push(`started_at < @toExclusive`);
+      params.toExclusive = `${to}\uffff`;
+    }
+    if (acknowledgedBy) {
+      conditions.push(`acknowledged_by LIKE @acknowledgedBy`);
+      params.acknowledgedBy = `%${acknowledgedBy}%`;
+    }
+    if (resolvedBy) {
+      conditions.push(`resolved_by LIKE @resolvedBy`);
+      params.resolvedBy = `%${resolvedBy}%`;
+    }
+
+    const where = (extra = []) => {
+      const all = [...conditions, ...extra];
+      return all.length > 0 ? `WHERE ${all.join(" AND ")}` : "";
+    };
+
+    const counts = {};
+    for (const row of db.prepare(`SELECT status, COUNT(*) AS count FROM incidents ${where()} GROUP BY status`).all(params)) {
+      counts[row.status || "unknown"] = row.count;
+    }
+
+    const statusCondition = status ? [`status = @status`] : [];
+    if (status) params.status = status.toLowerCase();
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM incidents ${where(statusCondition)}`).get(params);
+    const rows = db.prepare(`
+      SELECT data FROM incidents ${where(statusCondition)}
+      ORDER BY started_at DESC, id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: perPage, offset: (page - 1) * perPage });
+
+    return { incidents: rows.map((row) => JSON.parse(row.data)), total, counts };
+  },
+
   // Get all status changes
   getStatusChanges: () => {
     const rows = stmts.getAllStatusChanges.all();
     return rows.map((row) => JSON.parse(row.data));
   },
 
+  // Dashboard settings changed at runtime (JSON in metadata, under "setting:<key>"); null when never set
+  getSetting: (key) => {
+    const row = stmts.getMetadata.get(`setting:${key}`);
+    return row ? JSON.parse(row.value) : null;
+  },
+
+  setSetting: (key, value) => {
+    stmts.setMetadata.run(`setting:${key}`, JSON.stringify(value));
+  },
+
   // Get last updated timestamp
   getLastUpdated: () => {
     const row = stmts.getMetadata.get("lastUpdated");
     return row ? row.value : null;
   },
 
+  // Tag rows from before multi-account support with an account; returns how many rows changed
+  assignUntaggedRows: (accountId) => {
+    return db.transaction(() => {
+      const monitors = stmts.assignMonitorsAccount.run({ accountId }).changes;
+      const incidents = stmts.assignIncidentsAccount.run({ accountId }).changes;
+      const days = stmts.assignDailyStatusAccount.run().changes;
+      return monitors + incidents + days;
+    })();
+  },
+
   // Check if database has data
   hasData: () => {
     const monitors = stmts.getAllMonitors.all();
@@ -177,6 +1429,7 @@ const database = {
     db.transaction(() => {
       stmts.clearMonitors.run();
       stmts.clearIncidents.run();
+      stmts.clearIncidentsFts.run();
       stmts.clearStatusChanges.run();
     })();
   },
@@ -197,36 +1450,215 @@ const database = {
       downtimeToAdd,
       1, // checks_total
       isDown ? 1 : 0, // checks_failed
-      updatedAt
+      updatedAt,
+      monitorId
     );
   },
 
   // Record daily status for all monitors at once (batch)
-  recordAllDailyStatus: (monitors) => {
+  // Checks are counted per refresh; status and downtime come from the transition intervals
+  // maintenance: { [monitorId]: merged intervals } covering yesterday and today;
+  // monitors inside a window right now don't get a check counted
+  recordAllDailyStatus: (monitors, maintenance = {}) => {
     const now = new Date();
     const today = now.toISOString().split('T')[0];
+    const yesterday = new Date(now.getTime() - DAY_MS).toISOString().split('T')[0];
     const updatedAt = now.toISOString();
     
     const insertMany = db.transaction((items) => {
       for (const monitor of items) {
+        if (overlapMs(now.getTime(), now.getTime() + 1, maintenance[monitor.id]) > 0) continue;
         const status = monitor.attributes?.status || 'unknown';
         const isDown = status === 'down';
-        const downtimeToAdd = isDown ? 1 : 0;
         
         stmts.upsertDailyStatus.run(
           monitor.id,
           today,
           status,
-          downtimeToAdd,
+          0,
           1,
           isDown ? 1 : 0,
-          updatedAt
+          updatedAt,
+          monitor.id
         );
       }
+
+      // Yesterday is included so the interval spanning midnight is closed properly
+      const intervals = computeDailyIntervals(yesterday, today, now.getTime(), maintenance);
+      for (const [monitorId, days] of Object.entries(intervals)) {
+        for (const [date, day] of Object.entries(days)) {
+          stmts.setDailyIntervals.run(monitorId, date, day.status, day.downtimeMinutes, day.trackedMinutes, day.maintenanceMinutes, updatedAt, monitorId);
+        }
+      }
     });
     insertMany(monitors);
   },
 
+  // Recompute interval-based daily status for [startDate, today], e.g. after maintenance windows changed.
+  // Days recorded before transitions existed have no intervals and are left alone.
+  rebuildDailyStatus: (startDate, maintenance = {}) => {
+    const now = new Date();
+    const today = now.toISOString().split('T')[0];
+    const updatedAt = now.toISOString();
+    
+    db.transaction(() => {
+      const intervals = computeDailyIntervals(startDate, today, now.getTime(), maintenance);
+      for (const [monitorId, days] of Object.entries(intervals)) {
+        for (const [date, day] of Object.entries(days)) {
+          stmts.setDailyIntervals.run(monitorId, date, day.status, day.downtimeMinutes, day.trackedMinutes, day.maintenanceMinutes, updatedAt, monitorId);
+        }
+      }
+    })();
+  },
+
+  // Diff a fresh monitors list against the last recorded status of each monitor
+  // and store one transition per change. Monitors missing from the list become "removed".
+  // Returns the recorded transitions.
+  recordStatusTransitions: (monitors, changedAt = new Date().toISOString()) => {
+    const previous = new Map(stmts.getLatestStatuses.all().map((row) => [row.monitor_id, row.new_status]));
+    const transitions = [];
+
+    for (const monitor of monitors) {
+      const newStatus = monitor.attributes?.status || 'unknown';
+      const oldStatus = previous.has(monitor.id) ? previous.get(monitor.id) : null;
+      if (oldStatus !== newStatus) {
+        transitions.push({ monitorId: monitor.id, oldStatus, newStatus, changedAt });
+      }
+      previous.delete(monitor.id);
+    }
+
+    for (const [monitorId, oldStatus] of previous) {
+      if (oldStatus !== 'removed') {
+        transitions.push({ monitorId, oldStatus, newStatus: 'removed', changedAt });
+      }
+    }
+
+    db.transaction((items) => {
+      for (const t of items) {
+        stmts.insertTransition.run(t.monitorId, t.oldStatus, t.newStatus, t.changedAt);
+      }
+    })(transitions);
+
+    return transitions;
+  },
+
+  // SLA for one monitor over [fromDate, toDate] computed from our own transitions
+  // (same shape as BetterStack's SLA, durations in seconds). Returns null without tracked data.
+  // Time inside `maintenance` (merged intervals) is left out; maintenanceDowntime is the downtime it hid.
+  computeLocalSla: (monitorId, fromDate, toDate, nowMs = Date.now(), maintenance = []) => {
+    const startMs = Date.parse(`${fromDate}T00:00:00.000Z`);
+    const endMs = Math.min(Date.parse(`${toDate}T00:00:00.000Z`) + DAY_MS, nowMs);
+    if (!(endMs > startMs)) return null;
+    const startIso = new Date(startMs).toISOString();
+
+    const segments = [];
+    const initial = stmts.getMonitorStatusBefore.get(monitorId, startIso);
+    if (initial) segments.push({ status: initial.new_status, from: startMs });
+    for (const row of stmts.getMonitorTransitionsBetween.all(monitorId, startIso, new Date(endMs).toISOString())) {
+      segments.push({ status: row.new_status, from: Date.parse(row.changed_at) });
+    }
+
+    let trackedMs = 0;
+    let maintenanceDownMs = 0;
+    const outages = [];
+    segments.forEach((segment, index) => {
+      const segmentEnd = index + 1 < segments.length ? segments[index + 1].from : endMs;
+      if (UNTRACKED_STATUSES.includes(segment.status)) return;
+
+      const parts = subtractIntervals(segment.from, segmentEnd, maintenance);
+      parts.forEach(part => { trackedMs += part.end - part.start; });
+      if (segment.status !== 'down') return;
+      maintenanceDownMs += overlapMs(segment.from, segmentEnd, maintenance);
+
+      // Consecutive down segments (e.g. down -> down after a restart) are one outage
+      for (const part of parts) {
+        const last = outages[outages.length - 1];
+        if (last && last.end === part.start) {
+          last.end = part.end;
+        } else {
+          outages.push({ ...part });
+        }
+      }
+    });
+
+    if (trackedMs <= 0) return null;
+
+    const durations = outages.map(o => Math.round((o.end - o.start) / 1000));
+    const totalDowntime = durations.reduce((sum, d) => sum + d, 0);
+    // From the exact durations: rounded seconds can exceed a short tracked period
+    const downMs = outages.reduce((sum, o) => sum + o.end - o.start, 0);
+    return {
+      availability: Math.round((1 - downMs / trackedMs) * 100000) / 1000,
+      totalDowntime,
+      numberOfIncidents: durations.length,
+      longestIncident: durations.length ? Math.max(...durations) : 0,
+      averageIncident: durations.length ? Math.round(totalDowntime / durations.length) : 0,
+      maintenanceDowntime: Math.round(maintenanceDownMs / 1000),
+    };
+  },
+
+  // Cached results are invalid once maintenance windows change
+  clearSlaCache: () => {
+    stmts.clearSlaCache.run();
+  },
+
+  // Store one SLA result (source: "betterstack" or "local")
+  saveSlaEntry: (entry) => {
+    stmts.upsertSlaCache.run({
+      availability: null,
+      totalDowntime: null,
+      numberOfIncidents: null,
+      longestIncident: null,
+      averageIncident: null,
+      maintenanceSeconds: 0,
+      error: null,
+      fetchedAt: new Date().toISOString(),
+      ...entry,
+      retryable: entry.retryable ? 1 : 0,
+    });
+  },
+
+  // Cached SLA entries for a date range, keyed by monitor ID
+  getSlaCache: (fromDate, toDate) => {
+    const byMonitor = {};
+    for (const row of stmts.getSlaCacheForRange.all(fromDate, toDate)) {
+      byMonitor[row.monitor_id] = toSlaEntry(row);
+    }
+    return byMonitor;
+  },
+
+  getSlaCacheEntry: (monitorId, fromDate, toDate) => {
+    return toSlaEntry(stmts.getSlaCacheEntry.get(monitorId, fromDate, toDate));
+  },
+
+  // Drop cached SLA entries fetched before a timestamp
+  pruneSlaCache: (olderThan) => {
+    return stmts.pruneSlaCache.run(olderThan).changes;
+  },
+
+  // Get status transitions for one monitor over the last N days
+  getStatusTransitions: (monitorId, days = 30) => {
+    const since = new Date(Date.now() - days * DAY_MS).toISOString();
+    return stmts.getTransitionsForMonitor.all(monitorId, since).map((row) => ({
+      oldStatus: row.old_status,
+      newStatus: row.new_status,
+      changedAt: row.changed_at,
+    }));
+  },
+
+  // Status transitions of every monitor in [from, to) (ISO timestamps), grouped by monitor, oldest first
+  getStatusTransitionsBetween: (from, to) => {
+    const byMonitor = {};
+    for (const row of stmts.getTransitionsBetween.all(from, to)) {
+      (byMonitor[row.monitor_id] || (byMonitor[row.monitor_id] = [])).push({
+        oldStatus: row.old_status,
+        newStatus: row.new_status,
+        changedAt: row.changed_at,
+      });
+    }
+    return byMonitor;
+  },
+
   // Get daily status for heatmap (last N days)
   getDailyStatusForHeatmap: (days = 30) => {
     const startDate = new Date();
@@ -245,6 +1677,8 @@ const database = {
         date: row.date,
         status: row.status,
         downtimeMinutes: row.downtime_minutes,
+        trackedMinutes: row.tracked_minutes || 0,
+        maintenanceMinutes: row.maintenance_minutes || 0,
         checksTotal: row.checks_total,
         checksFailed: row.checks_failed,
       });
@@ -272,7 +1706,8 @@ const database = {
             0,
             0,
             0,
-            updatedAt
+            updatedAt,
+            monitor.id
           );
         }
       }
@@ -280,6 +1715,629 @@ const database = {
     insertMany(monitors);
   },
 
+  // Check whether an event was already delivered to a channel
+  hasAlertDelivery: (eventKey, channel) => {
+    return !!stmts.getSentAlertDelivery.get(eventKey, channel);
+  },
+
+  // Log one delivery attempt ("sent" or "failed")
+  logAlertDelivery: (event, channel, status, error = null) => {
+    stmts.insertAlertDelivery.run(
+      event.key,
+      event.type,
+      channel,
+      event.category || null,
+      event.monitor?.id || null,
+      status,
+      error,
+      new Date().toISOString()
+    );
+  },
+
+  // Most recent delivery attempts, newest first
+  getAlertDeliveries: (limit = 100) => {
+    return stmts.getRecentAlertDeliveries.all(limit).map((row) => ({
+      id: row.id,
+      eventKey: row.event_key,
+      eventType: row.event_type,
+      channel: row.channel,
+      category: row.category,
+      monitorId: row.monitor_id,
+      status: row.status,
+      error: row.error,
+      createdAt: row.created_at,
+    }));
+  },
+
+  // Number of user accounts
+  countUsers: () => {
+    return stmts.countUsers.get().count;
+  },
+
+  // Number of enabled admins (the last one can't be disabled or demoted)
+  countActiveAdmins: () => {
+    return stmts.countActiveAdmins.get().count;
+  },
+
+  // Create a user and return it
+  createUser: ({ username, passwordHash, role }) => {
+    const now = new Date().toISOString();
+    const result = stmts.insertUser.run(username, passwordHash, role, now, now);
+    return toUser(stmts.getUserById.get(result.lastInsertRowid));
+  },
+
+  getUserById: (id) => {
+    return toUser(stmts.getUserById.get(id));
+  },
+
+  // User plus password hash, for login
+  getUserCredentials: (username) => {
+    const row = stmts.getUserByUsername.get(username);
+    return row ? { ...toUser(row), passwordHash: row.password_hash } : null;
+  },
+
+  getUsers: () => {
+    return stmts.getAllUsers.all().map(toUser);
+  },
+
+  // Update role, disabled flag and/or password hash of a user
+  updateUser: (id, { role, disabled, passwordHash }) => {
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      if (role !== undefined) stmts.updateUserRole.run(role, now, id);
+      if (disabled !== undefined) stmts.updateUserDisabled.run(disabled ? 1 : 0, now, id);
+      if (passwordHash !== undefined) stmts.updateUserPassword.run(passwordHash, now, id);
+    })();
+    return toUser(stmts.getUserById.get(id));
+  },
+
+  recordUserLogin: (id) => {
+    stmts.updateUserLogin.run(new Date().toISOString(), id);
+  },
+
+  // Store a new API token (hash only) and return it
+  createApiToken: ({ userId, name, tokenHash, tokenPrefix, scopes }) => {
+    const result = stmts.insertApiToken.run(userId, name, tokenHash, tokenPrefix, JSON.stringify(scopes), new Date().toISOString());
+    return toApiToken(stmts.getApiTokenById.get(result.lastInsertRowid));
+  },
+
+  getApiTokenById: (id) => {
+    return toApiToken(stmts.getApiTokenById.get(id));
+  },
+
+  // Active (not revoked) token by hash
+  getApiTokenByHash: (tokenHash) => {
+    return toApiToken(stmts.getApiTokenByHash.get(tokenHash));
+  },
+
+  getApiTokensForUser: (userId) => {
+    return stmts.getApiTokensForUser.all(userId).map(toApiToken);
+  },
+
+  revokeApiToken: (id) => {
+    return stmts.revokeApiToken.run(new Date().toISOString(), id).changes > 0;
+  },
+
+  markApiTokenUsed: (id) => {
+    stmts.touchApiToken.run(new Date().toISOString(), id);
+  },
+
+  getMaintenanceWindows: () => {
+    return stmts.getMaintenanceWindows.all().map(toMaintenanceWindow);
+  },
+
+  getMaintenanceWindowById: (id) => {
+    return toMaintenanceWindow(stmts.getMaintenanceWindowById.get(id));
+  },
+
+  createMaintenanceWindow: (window, createdBy = null) => {
+    const result = stmts.insertMaintenanceWindow.run({ ...maintenanceWindowParams(window), createdBy });
+    return toMaintenanceWindow(stmts.getMaintenanceWindowById.get(result.lastInsertRowid));
+  },
+
+  updateMaintenanceWindow: (id, window) => {
+    stmts.updateMaintenanceWindow.run({ ...maintenanceWindowParams(window), id });
+    return toMaintenanceWindow(stmts.getMaintenanceWindowById.get(id));
+  },
+
+  deleteMaintenanceWindow: (id) => {
+    return stmts.deleteMaintenanceWindow.run(id).changes > 0;
+  },
+
+  getMonitorGroups: () => {
+    return stmts.getMonitorGroups.all().map(toMonitorGroup);
+  },
+
+  getMonitorGroupById: (id) => {
+    return toMonitorGroup(stmts.getMonitorGroupById.get(id));
+  },
+
+  createMonitorGroup: ({ name, matchMode, rules }) => {
+    const now = new Date().toISOString();
+    const result = stmts.insertMonitorGroup.run(name, matchMode, JSON.stringify(rules), now, now);
+    return toMonitorGroup(stmts.getMonitorGroupById.get(result.lastInsertRowid));
+  },
+
+  updateMonitorGroup: (id, { name, matchMode, rules }) => {
+    stmts.updateMonitorGroup.run(name, matchMode, JSON.stringify(rules), new Date().toISOString(), id);
+    return toMonitorGroup(stmts.getMonitorGroupById.get(id));
+  },
+
+  deleteMonitorGroup: (id) => {
+    return stmts.deleteMonitorGroup.run(id).changes > 0;
+  },
+
+  // Append an audit entry; details is any JSON-serializable value
+  addAuditEntry: ({ username = null, action, details = null, ip = null }) => {
+    stmts.insertAuditEntry.run(
+      username,
+      action,
+      details === null ? null : JSON.stringify(details),
+      ip,
+      new Date().toISOString()
+    );
+  },
+
+  // Most recent audit entries, newest first, optionally filtered by user or action
+  getAuditLog: ({ username = null, action = null, limit = 200 } = {}) => {
+    return stmts.getAuditEntries.all({ username, action, limit }).map((row) => ({
+      id: row.id,
+      username: row.username,
+      action: row.action,
+      details: row.details ? JSON.parse(row.details) : null,
+      ip: row.ip,
+      createdAt: row.created_at,
+    }));
+  },
+
+  // Daily status rows per monitor for [fromDate, toDate] (same shape as getDailyStatusForHeatmap)
+  getDailyStatusBetween: (fromDate, toDate) => {
+    const byMonitor = {};
+    for (const row of stmts.getDailyStatusBetween.all(fromDate, toDate)) {
+      (byMonitor[row.monitor_id] || (byMonitor[row.monitor_id] = [])).push({
+        date: row.date,
+        status: row.status,
+        downtimeMinutes: row.downtime_minutes,
+        trackedMinutes: row.tracked_minutes || 0,
+        maintenanceMinutes: row.maintenance_minutes || 0,
+        checksTotal: row.checks_total,
+        checksFailed: row.checks_failed,
+      });
+    }
+    return byMonitor;
+  },
+
+  // Stored reports (newest period first, without their data)
+  getReports: (limit = 200) => {
+    return stmts.getReports.all(limit).map(toReport);
+  },
+
+  getReportById: (id) => {
+    return toReport(stmts.getReportById.get(id));
+  },
+
+  saveReport: ({ name, report, groupId = null, scheduled = false, createdBy = null }) => {
+    const result = stmts.insertReport.run({
+      name,
+      fromDate: report.period.from,
+      toDate: report.period.to,
+      groupId,
+      scheduled: scheduled ? 1 : 0,
+      data: JSON.stringify(report),
+      createdBy,
+      createdAt: new Date().toISOString(),
+    });
+    return toReport(stmts.getReportById.get(result.lastInsertRowid));
+  },
+
+  // Whether the scheduler already generated the report for a period and group (null = all monitors)
+  hasScheduledReport: (fromDate, toDate, groupId = null) => {
+    return !!stmts.getScheduledReport.get(fromDate, toDate, groupId);
+  },
+
+  deleteReport: (id) => {
+    return stmts.deleteReport.run(id).changes > 0;
+  },
+
+  getSyntheticChecks: () => {
+    return stmts.getSyntheticChecks.all().map(toSyntheticCheck);
+  },
+
+  getSyntheticCheckById: (id) => {
+    return toSyntheticCheck(stmts.getSyntheticCheckById.get(id));
+  },
+
+  createSyntheticCheck: (check, createdBy = null) => {
+    const result = stmts.insertSyntheticCheck.run({ ...syntheticCheckParams(check), createdBy });
+    return toSyntheticCheck(stmts.getSyntheticCheckById.get(result.lastInsertRowid));
+  },
+
+  updateSyntheticCheck: (id, check) => {
+    stmts.updateSyntheticCheck.run({ ...syntheticCheckParams(check), id });
+    return toSyntheticCheck(stmts.getSyntheticCheckById.get(id));
+  },
+
+  setSyntheticCheckEnabled: (id, enabled) => {
+    stmts.setSyntheticCheckEnabled.run(enabled ? 1 : 0, new Date().toISOString(), id);
+    return toSyntheticCheck(stmts.getSyntheticCheckById.get(id));
+  },
+
+  // Removes the check with its results, response-time history and its monitor row
+  deleteSyntheticCheck: (id, monitorId) => {
+    return db.transaction(() => {
+      stmts.deleteSyntheticResults.run(id);
+      stmts.deleteResponseTimeSamples.run(monitorId);
+      stmts.deleteResponseTimeStats.run(monitorId);
+      stmts.deleteMonitor.run(monitorId);
+      return stmts.deleteSyntheticCheck.run(id).changes > 0;
+    })();
+  },
+
+  saveSyntheticResult: (checkId, result) => {
+    stmts.insertSyntheticResult.run({
+      checkId,
+      checkedAt: result.checkedAt,
+      ok: result.ok ? 1 : 0,
+      statusCode: result.statusCode,
+      latencyMs: result.latencyMs,
+      error: result.error,
+    });
+  },
+
+  // Results of a check in [fromIso, toIso), oldest first
+  getSyntheticResults: (checkId, fromIso, toIso) => {
+    return stmts.getSyntheticResults.all(checkId, fromIso, toIso).map(toSyntheticResult);
+  },
+
+  getLastSyntheticResult: (checkId) => {
+    return toSyntheticResult(stmts.getLastSyntheticResult.get(checkId)) || null;
+  },
+
+  // { [checkId]: { runs, passed, avgLatencyMs } } since an ISO timestamp
+  getSyntheticStatsSince: (sinceIso) => {
+    return Object.fromEntries(stmts.getSyntheticStatsSince.all(sinceIso).map(row => [row.check_id, {
+      runs: row.runs,
+      passed: row.passed,
+      avgLatencyMs: row.avg_latency_ms,
+    }]));
+  },
+
+  pruneSyntheticResults: (beforeIso) => {
+    return stmts.pruneSyntheticResults.run(beforeIso).changes;
+  },
+
+  getSavedRequests: () => {
+    return stmts.getSavedRequests.all().map(toSavedRequest);
+  },
+
+  getSavedRequestById: (id) => {
+    return toSavedRequest(stmts.getSavedRequestById.get(id));
+  },
+
+  createSavedRequest: (request, createdBy = null) => {
+    const result = stmts.insertSavedRequest.run({ ...savedRequestParams(request), createdBy });
+    return toSavedRequest(stmts.getSavedRequestById.get(result.lastInsertRowid));
+  },
+
+  updateSavedRequest: (id, request) => {
+    stmts.updateSavedRequest.run({ ...savedRequestParams(request), id });
+    return toSavedRequest(stmts.getSavedRequestById.get(id));
+  },
+
+  deleteSavedRequest: (id) => {
+    return stmts.deleteSavedRequest.run(id).changes > 0;
+  },
+
+  // Store samples ([{ region, at, responseTime }]); already stored ones are skipped. Returns how many were new.
+  saveResponseTimeSamples: (monitorId, samples) => {
+    return db.transaction(() => samples.reduce((added, sample) =>
+      added + stmts.insertResponseTimeSample.run(monitorId, sample.region, sample.at, Math.round(sample.responseTime)).changes, 0))();
+  },
+
+  // Samples of one monitor since an ISO timestamp, oldest first: [{ region, at, responseTime }]
+  getResponseTimeSamples: (monitorId, sinceIso) => {
+    return stmts.getResponseTimeSamples.all(monitorId, sinceIso)
+      .map(row => ({ region: row.region, at: row.at, responseTime: row.response_time }));
+  },
+
+  // Samples of every monitor since an ISO timestamp: { [monitorId]: [{ region, at, responseTime }] }
+  getAllResponseTimeSamplesSince: (sinceIso) => {
+    const byMonitor = {};
+    for (const row of stmts.getAllResponseTimeSamplesSince.all(sinceIso)) {
+      (byMonitor[row.monitor_id] || (byMonitor[row.monitor_id] = []))
+        .push({ region: row.region, at: row.at, responseTime: row.response_time });
+    }
+    return byMonitor;
+  },
+
+  // Replace stats rows ([{ region, bucket, bucketStart, samples, avgMs, minMs, maxMs, p50Ms, p95Ms, p99Ms }])
+  saveResponseTimeStats: (monitorId, rows) => {
+    db.transaction(() => rows.forEach(row => stmts.upsertResponseTimeStats.run({ ...row, monitorId })))();
+  },
+
+  // Stats of one monitor for "hour" or "day" buckets starting at or after an ISO timestamp
+  getResponseTimeStats: (monitorId, bucket, sinceIso) => {
+    return stmts.getResponseTimeStats.all(monitorId, bucket, sinceIso).map(toResponseTimeStats);
+  },
+
+  // { [monitorId]: syncedAt }
+  getResponseTimeSyncs: () => {
+    return Object.fromEntries(stmts.getResponseTimeSyncs.all().map(row => [row.monitor_id, row.synced_at]));
+  },
+
+  setResponseTimeSynced: (monitorId, syncedAt) => {
+    stmts.setResponseTimeSynced.run(monitorId, syncedAt);
+  },
+
+  // Drop raw samples and hourly/daily stats older than their cutoffs (ISO timestamps)
+  pruneResponseTimes: ({ samplesBefore, hourlyBefore, dailyBefore }) => {
+    return db.transaction(() =>
+      stmts.pruneResponseTimeSamples.run(samplesBefore).changes +
+      stmts.pruneResponseTimeStats.run("hour", hourlyBefore).changes +
+      stmts.pruneResponseTimeStats.run("day", dailyBefore).changes)();
+  },
+
+  // Replace one account's stored heartbeats (BetterStack JSON:API objects)
+  saveHeartbeats: (accountId, heartbeats) => {
+    const updatedAt = new Date().toISOString();
+    db.transaction(() => {
+      stmts.deleteAccountHeartbeats.run(accountId);
+      for (const hb of heartbeats) {
+        stmts.insertHeartbeat.run({
+          id: hb.id,
+          account: accountId,
+          name: hb.attributes?.name || null,
+          status: hb.attributes?.status || null,
+          period: hb.attributes?.period ?? null,
+          grace: hb.attributes?.grace ?? null,
+          paused: hb.attributes?.paused ? 1 : 0,
+          data: JSON.stringify(hb),
+          updatedAt,
+        });
+      }
+    })();
+  },
+
+  // Stored BetterStack heartbeats, tagged with their account
+  getHeartbeats: () => {
+    return stmts.getHeartbeats.all().map(toHeartbeat);
+  },
+
+  getLocalHeartbeats: () => {
+    return stmts.getLocalHeartbeats.all().map(toLocalHeartbeat);
+  },
+
+  getLocalHeartbeatById: (id) => {
+    return toLocalHeartbeat(stmts.getLocalHeartbeatById.get(id));
+  },
+
+  getLocalHeartbeatByToken: (token) => {
+    return toLocalHeartbeat(stmts.getLocalHeartbeatByToken.get(token));
+  },
+
+  createLocalHeartbeat: (heartbeat, token, createdBy) => {
+    const { lastInsertRowid } = stmts.insertLocalHeartbeat.run({
+      ...heartbeat,
+      token,
+      paused: heartbeat.paused ? 1 : 0,
+      createdBy,
+      now: new Date().toISOString(),
+    });
+    return toLocalHeartbeat(stmts.getLocalHeartbeatById.get(lastInsertRowid));
+  },
+
+  updateLocalHeartbeat: (id, heartbeat) => {
+    stmts.updateLocalHeartbeat.run({ ...heartbeat, id, paused: heartbeat.paused ? 1 : 0, now: new Date().toISOString() });
+    return toLocalHeartbeat(stmts.getLocalHeartbeatById.get(id));
+  },
+
+  // A ping arrived: ok = the job reported success (otherwise it reported a failed run)
+  recordLocalHeartbeatPing: (id, at, ok = true) => {
+    (ok ? stmts.recordLocalHeartbeatPing : stmts.recordLocalHeartbeatFailure).run({ id, at });
+    return toLocalHeartbeat(stmts.getLocalHeartbeatById.get(id));
+  },
+
+  // Removes a local heartbeat with its status history
+  deleteLocalHeartbeat: (id, heartbeatId) => {
+    return db.transaction(() => {
+      stmts.deleteHeartbeatTransitions.run(heartbeatId);
+      return stmts.deleteLocalHeartbeat.run(id).changes > 0;
+    })();
+  },
+
+  // Like recordStatusTransitions, for heartbeats ([{ id, status, statusChangedAt }]); heartbeats missing
+  // from the list become "removed". statusChangedAt (when known, e.g. a missed deadline) overrides changedAt.
+  recordHeartbeatTransitions: (heartbeats, changedAt = new Date().toISOString()) => {
+    const previous = new Map(stmts.getLatestHeartbeatStatuses.all().map((row) => [row.heartbeat_id, row.new_status]));
+    const transitions = [];
+
+    for (const hb of heartbeats) {
+      const oldStatus = previous.has(hb.id) ? previous.get(hb.id) : null;
+      if (oldStatus !== hb.status) {
+        transitions.push({ heartbeatId: hb.id, oldStatus, newStatus: hb.status, changedAt: hb.statusChangedAt || changedAt });
+      }
+      previous.delete(hb.id);
+    }
+
+    for (const [heartbeatId, oldStatus] of previous) {
+      if (oldStatus !== 'removed') {
+        transitions.push({ heartbeatId, oldStatus, newStatus: 'removed', changedAt });
+      }
+    }
+
+    db.transaction((items) => {
+      for (const t of items) {
+        stmts.insertHeartbeatTransition.run(t.heartbeatId, t.oldStatus, t.newStatus, t.changedAt);
+      }
+    })(transitions);
+
+    return transitions;
+  },
+
+  // Daily status of every heartbeat over the last `days` days, from its transitions, in the shape
+  // buildHeatmapDays takes: { [heartbeatId]: [{ date, status, downtimeMinutes, trackedMinutes, missedRuns, ... }] }
+  getHeartbeatDailyStatus: (days = 30, nowMs = Date.now()) => {
+    const today = new Date(nowMs).toISOString().split('T')[0];
+    const startDate = new Date(nowMs - (days - 1) * DAY_MS).toISOString().split('T')[0];
+    const intervals = computeDailyIntervals(startDate, today, nowMs, {}, HEARTBEAT_TRANSITIONS);
+
+    // Runs missed per day: changes to down (like getHeartbeatMissedRuns, a heartbeat first seen down counts)
+    const missed = {};
+    for (const row of stmts.getHeartbeatTransitionsBetween.all(`${startDate}T00:00:00.000Z`, new Date(nowMs).toISOString())) {
+      if (row.new_status !== 'down') continue;
+      const key = `${row.monitor_id}|${row.changed_at.split('T')[0]}`;
+      missed[key] = (missed[key] || 0) + 1;
+    }
+
+    const result = {};
+    for (const [heartbeatId, byDate] of Object.entries(intervals)) {
+      result[heartbeatId] = Object.entries(byDate).map(([date, day]) => ({
+        date,
+        status: day.status,
+        downtimeMinutes: day.downtimeMinutes,
+        trackedMinutes: day.trackedMinutes,
+        maintenanceMinutes: 0,
+        checksTotal: 0,
+        checksFailed: 0,
+        missedRuns: missed[`${heartbeatId}|${date}`] || 0,
+      }));
+    }
+    return result;
+  },
+
+  // Missed runs (down periods) that lasted into the last `days` days, newest first
+  getHeartbeatMissedRuns: ({ heartbeatId = null, days = 30, limit = 200 } = {}) => {
+    const nowMs = Date.now();
+    return stmts.getHeartbeatMissedRuns.all({
+      heartbeatId,
+      since: new Date(nowMs - days * DAY_MS).toISOString(),
+      limit,
+    }).map(row => toMissedRun(row, nowMs));
+  },
+
+  // Store change log rows (from diffMonitorConfigs); returns how many were stored
+  saveMonitorConfigChanges: (changes, { source = "refresh", changedBy = null, changedAt = new Date().toISOString() } = {}) => {
+    return db.transaction(() => {
+      for (const change of changes) {
+        stmts.insertMonitorConfigChange.run({
+          ...change,
+          oldValue: change.oldValue === null ? null : JSON.stringify(change.oldValue),
+          newValue: change.newValue === null ? null : JSON.stringify(change.newValue),
+          source,
+          changedBy,
+          changedAt,
+        });
+      }
+      return changes.length;
+    })();
+  },
+
+  // Change log, newest first. Filters: accountId, monitorId, field, changeType, from/to (YYYY-MM-DD).
+  // Returns { changes, total, counts } with counts per change type for the other filters.
+  getMonitorConfigChanges: ({ accountId, monitorId, field, changeType, from, to, page = 1, perPage = 50 } = {}) => {
+    const conditions = [];
+    const params = {};
+    if (accountId) {
+      conditions.push(`account_id = @accountId`);
+      params.accountId = accountId;
+    }
+    if (monitorId) {
+      conditions.push(`monitor_id = @monitorId`);
+      params.monitorId = monitorId;
+    }
+    if (field) {
+      conditions.push(`field = @field`);
+      params.field = field;
+    }
+    if (from) {
+      conditions.push(`changed_at >= @from`);
+      params.from = from;
+    }
+    if (to) {
+      conditions.push(`changed_at < @toExclusive`);
+      params.toExclusive = `${to}\uffff`;
+    }
+
+    const where = (extra = []) => {
+      const all = [...conditions, ...extra];
+      return all.length > 0 ? `WHERE ${all.join(" AND ")}` : "";
+    };
+
+    const counts = {};
+    for (const row of db.prepare(`SELECT change_type, COUNT(*) AS count FROM monitor_config_changes ${where()} GROUP BY change_type`).all(params)) {
+      counts[row.change_type] = row.count;
+    }
+
+    const typeCondition = changeType ? [`change_type = @changeType`] : [];
+    if (changeType) params.changeType = changeType;
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM monitor_config_changes ${where(typeCondition)}`).get(params);
+    const rows = db.prepare(`
+      SELECT * FROM monitor_config_changes ${where(typeCondition)}
+      ORDER BY changed_at DESC, id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: perPage, offset: (page - 1) * perPage });
+
+    return { changes: rows.map(toMonitorConfigChange), total, counts };
+  },
+
+  // Attributes that appear in the change log, for the field filter
+  getMonitorConfigFields: () => {
+    return stmts.getMonitorConfigFields.all().map(row => row.field);
+  },
+
+  // Sum daily status rows before a date (YYYY-MM-DD) into weekly or monthly rollups and delete them.
+  // Returns how many daily rows were rolled up.
+  rollupDailyStatus: (beforeDate, period = "month") => {
+    return db.transaction(() => {
+      stmts.rollupDailyStatus.run({ before: beforeDate, period, now: new Date().toISOString() });
+      return stmts.deleteDailyStatusBefore.run(beforeDate).changes;
+    })();
+  },
+
+  // Rollups of one monitor ("week" or "month"), oldest first
+  getStatusRollups: (monitorId, period = "month") => {
+    return stmts.getStatusRollups.all(monitorId, period).map(toStatusRollup);
+  },
+
+  path: DATABASE_PATH,
+
+  // Online snapshot into a file (SQLite backup API; reads and writes continue meanwhile)
+  backup: (destination) => db.backup(destination),
+
+  // Replace the contents of every table but the user accounts, API tokens and audit log with the snapshot's,
+  // in one transaction. Columns the snapshot doesn't have get their defaults; the incident search index is rebuilt.
+  restoreFrom: (file) => {
+    checkSnapshot(file);
+    db.prepare("ATTACH DATABASE ? AS snapshot").run(file);
+    try {
+      const snapshotTables = new Set(restorableTables("snapshot"));
+      db.transaction(() => {
+        for (const table of restorableTables("main")) {
+          db.exec(`DELETE FROM main.${quoteName(table)}`);
+          if (!snapshotTables.has(table)) continue;
+          const snapshotColumns = new Set(db.pragma(`snapshot.table_info(${quoteName(table)})`).map(c => c.name));
+          const columns = db.pragma(`main.table_info(${quoteName(table)})`)
+            .map(c => c.name)
+            .filter(name => snapshotColumns.has(name))
+            .map(quoteName)
+            .join(", ");
+          db.exec(`INSERT INTO main.${quoteName(table)} (${columns}) SELECT ${columns} FROM snapshot.${quoteName(table)}`);
+        }
+        stmts.clearIncidentsFts.run();
+        db.exec(`
+          INSERT INTO incidents_fts (rowid, name, cause, url, response_content)
+          SELECT rowid, name, cause, url, json_extract(data, '$.attributes.response_content')
+          FROM incidents WHERE started_at IS NOT NULL
+        `);
+      })();
+    } finally {
+      db.prepare("DETACH DATABASE snapshot").run();
+    }
+    // Snapshots from before the archive columns existed, or with unredacted change log rows
+    indexPendingIncidents();
+    redactStoredConfigChanges();
+  },
+
   // Close database connection
   close: () => {
     db.close();
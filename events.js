@@ -0,0 +1,96 @@
+// Server-Sent Events - pushes refresh progress, monitor diffs and incident changes to open dashboards
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Attributes that change on every check and would make every monitor look "changed"
+const VOLATILE_ATTRIBUTES = ["last_checked_at", "updated_at"];
+
+const createEventBroadcaster = () => {
+  const clients = new Set();
+
+  const write = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Keep proxies from closing idle connections
+  const heartbeat = setInterval(() => {
+    for (const res of clients) {
+      res.write(`: ping\n\n`);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  return {
+    // Register an SSE response; `initial` is sent right away as a "hello" event
+    addClient: (req, res, initial) => {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write(`retry: 5000\n\n`);
+      write(res, "hello", initial);
+
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+    },
+
+    broadcast: (event, data) => {
+      for (const res of clients) {
+        write(res, event, data);
+      }
+    },
+
+    clientCount: () => clients.size,
+  };
+};
+
+const stableAttributes = (monitor) => {
+  const attributes = { ...monitor.attributes };
+  VOLATILE_ATTRIBUTES.forEach(key => delete attributes[key]);
+  return JSON.stringify(attributes);
+};
+
+// Monitors added, changed (any attribute except the volatile ones) or removed between two lists
+const diffMonitors = (previous, current) => {
+  const previousById = new Map(previous.map(m => [m.id, m]));
+  const added = [];
+  const changed = [];
+
+  for (const monitor of current) {
+    const before = previousById.get(monitor.id);
+    if (!before) {
+      added.push(monitor);
+    } else if (stableAttributes(before) !== stableAttributes(monitor)) {
+      changed.push(monitor);
+    }
+    previousById.delete(monitor.id);
+  }
+
+  return { added, changed, removed: [...previousById.keys()] };
+};
+
+const isResolved = (incident) => !!incident.attributes?.resolved_at ||
+  (incident.attributes?.status || "").toLowerCase() === "resolved";
+
+// Incidents that are new, and incidents that were open before and are resolved now
+const diffIncidents = (previous, current) => {
+  const previousById = new Map(previous.map(i => [i.id, i]));
+  const opened = [];
+  const resolved = [];
+
+  for (const incident of current) {
+    const before = previousById.get(incident.id);
+    if (!before) {
+      opened.push(incident);
+    } else if (!isResolved(before) && isResolved(incident)) {
+      resolved.push(incident);
+    }
+  }
+
+  return { opened, resolved };
+};
+
+module.exports = { createEventBroadcaster, diffMonitors, diffIncidents };
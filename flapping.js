@@ -0,0 +1,138 @@
+// Flapping detection - monitors that keep going down and coming back. Up/down changes are counted from
+// the consecutive status observations (status_transitions) and from incident start/resolve pairs, taking
+// whichever of the two saw more, and turned into a noise score by how often they happen per day.
+// A monitor is flagged as flapping while it changed at least minTransitions times within windowHours.
+const database = require("./database");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Down periods shorter than this count as short outages
+const SHORT_OUTAGE_MS = 15 * 60 * 1000;
+// Up/down changes per day that score 50; the score approaches 100 above that
+const HALF_SCORE_TRANSITIONS_PER_DAY = 4;
+
+// Only up and down count; validating, paused, maintenance, ... in between are skipped
+const flapStatus = (status) => (status === "up" || status === "down" ? status : null);
+
+// Up/down changes in one monitor's ordered transitions ([{ oldStatus, newStatus, changedAt }]):
+// { transitions, downTransitions, shortOutages }. First-seen statuses don't count.
+const countStatusChanges = (rows) => {
+  const counts = { transitions: 0, downTransitions: 0, shortOutages: 0 };
+  let current = null;
+  let downSinceMs = null;
+  for (const row of rows) {
+    if (current === null) current = flapStatus(row.oldStatus);
+    const next = flapStatus(row.newStatus);
+    if (!next || next === current) continue;
+    const atMs = Date.parse(row.changedAt);
+    if (current) {
+      counts.transitions++;
+      if (next === "down") counts.downTransitions++;
+    }
+    if (next === "down") {
+      downSinceMs = atMs;
+    } else if (downSinceMs !== null) {
+      if (atMs - downSinceMs < SHORT_OUTAGE_MS) counts.shortOutages++;
+      downSinceMs = null;
+    }
+    current = next;
+  }
+  return counts;
+};
+
+// Start/resolve pairs of one monitor's incidents up to toMs: { incidents, transitions, shortOutages }
+const countIncidentChanges = (incidents, toMs) => {
+  const counts = { incidents: incidents.length, transitions: incidents.length, shortOutages: 0 };
+  for (const incident of incidents) {
+    const startedMs = Date.parse(incident.attributes?.started_at);
+    const resolvedMs = Date.parse(incident.attributes?.resolved_at);
+    if (isNaN(resolvedMs) || resolvedMs > toMs) continue;
+    counts.transitions++;
+    if (resolvedMs - startedMs < SHORT_OUTAGE_MS) counts.shortOutages++;
+  }
+  return counts;
+};
+
+// 0-100 from up/down changes per day
+const noiseScore = (transitionsPerDay) => Math.round(100 * (1 - 0.5 ** (transitionsPerDay / HALF_SCORE_TRANSITIONS_PER_DAY)));
+
+// Monitors with up/down changes in [fromMs, toMs), noisiest first
+// transitions: { [monitorId]: [{ oldStatus, newStatus, changedAt }] }; incidents: incidents started in the range
+const buildNoiseRanking = ({ transitions, incidents, monitors, fromMs, toMs }) => {
+  const days = Math.max(toMs - fromMs, HOUR_MS) / DAY_MS;
+  const incidentsByMonitor = new Map();
+  for (const incident of incidents) {
+    const monitorId = incident.relationships?.monitor?.data?.id;
+    const startedMs = Date.parse(incident.attributes?.started_at);
+    if (!monitorId || isNaN(startedMs) || startedMs < fromMs || startedMs >= toMs) continue;
+    if (!incidentsByMonitor.has(monitorId)) incidentsByMonitor.set(monitorId, []);
+    incidentsByMonitor.get(monitorId).push(incident);
+  }
+
+  return monitors
+    .map((monitor) => {
+      const status = countStatusChanges(transitions[monitor.id] || []);
+      const fromIncidents = countIncidentChanges(incidentsByMonitor.get(monitor.id) || [], toMs);
+      const count = Math.max(status.transitions, fromIncidents.transitions);
+      const transitionsPerDay = count / days;
+      return {
+        monitorId: monitor.id,
+        monitorName: monitor.attributes?.pronounceable_name || monitor.attributes?.url || monitor.id,
+        account: monitor.account ?? null,
+        transitions: count,
+        downTransitions: Math.max(status.downTransitions, fromIncidents.incidents),
+        statusTransitions: status.transitions,
+        incidents: fromIncidents.incidents,
+        shortOutages: Math.max(status.shortOutages, fromIncidents.shortOutages),
+        transitionsPerDay: Math.round(transitionsPerDay * 10) / 10,
+        noiseScore: noiseScore(transitionsPerDay),
+      };
+    })
+    .filter(m => m.transitions > 0)
+    .sort((a, b) => b.noiseScore - a.noiseScore || b.transitions - a.transitions ||
+      b.shortOutages - a.shortOutages || a.monitorName.localeCompare(b.monitorName));
+};
+
+// windowHours/minTransitions: how many up/down changes within how long make a monitor flap
+const createFlappingDetector = ({ getMonitors, windowHours = 24, minTransitions = 6 }) => {
+  let flapping = new Map(); // monitorId -> { transitions, noiseScore, windowHours, since }, from the last check
+
+  // Noise ranking over [fromMs, toMs) from the stored transitions and incidents
+  const rank = (fromMs, toMs, monitors = getMonitors()) => {
+    const fromIso = new Date(fromMs).toISOString();
+    const toIso = new Date(toMs).toISOString();
+    return buildNoiseRanking({
+      transitions: database.getStatusTransitionsBetween(fromIso, toIso),
+      incidents: database.getIncidentsStartedBetween(fromIso, toIso),
+      monitors,
+      fromMs,
+      toMs,
+    });
+  };
+
+  // Recompute the flags from the last windowHours: { added, cleared }
+  const check = (now = Date.now()) => {
+    const next = new Map(rank(now - windowHours * HOUR_MS, now)
+      .filter(m => m.transitions >= minTransitions)
+      .map(m => [m.monitorId, {
+        transitions: m.transitions,
+        noiseScore: m.noiseScore,
+        windowHours,
+        since: flapping.get(m.monitorId)?.since || new Date(now).toISOString(),
+      }]));
+    const added = [...next.keys()].filter(id => !flapping.has(id));
+    const cleared = [...flapping.keys()].filter(id => !next.has(id));
+    flapping = next;
+    return { added, cleared };
+  };
+
+  return {
+    windowHours,
+    minTransitions,
+    rank,
+    check,
+    flapping: () => Object.fromEntries(flapping),
+  };
+};
+
+module.exports = { buildNoiseRanking, createFlappingDetector };
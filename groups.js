@@ -0,0 +1,110 @@
+// Monitor groups - user-defined rules that sort monitors into extra dashboard tabs.
+// A group matches a monitor when all (or any, with matchMode "any") of its rules match.
+
+// Rule fields and how they compare against the monitor attributes
+const RULE_FIELDS = {
+  url: "URL regex",
+  name: "Name contains",
+  monitor_type: "Monitor type",
+  monitor_group_id: "BetterStack group ID",
+  tag: "Tag",
+};
+
+const MATCH_MODES = ["all", "any"];
+
+// Tags may come as an array or a comma-separated string
+const monitorTags = (monitor) => {
+  const tags = monitor.attributes?.tags;
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return list.map(t => String(t).trim().toLowerCase()).filter(Boolean);
+};
+
+// Validate and normalize a group from a request body: { value } or { error }
+const parseGroupInput = (body = {}) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) return { error: "Group name is required" };
+  if (name.length > 60) return { error: "Group name is too long (max. 60 characters)" };
+
+  const matchMode = body.matchMode || "all";
+  if (!MATCH_MODES.includes(matchMode)) {
+    return { error: `matchMode must be one of: ${MATCH_MODES.join(", ")}` };
+  }
+
+  if (!Array.isArray(body.rules) || body.rules.length === 0) {
+    return { error: "At least one rule is required" };
+  }
+
+  const rules = [];
+  for (const [index, rule] of body.rules.entries()) {
+    const value = String(rule?.value ?? "").trim();
+    if (!RULE_FIELDS[rule?.field]) {
+      return { error: `Rule #${index + 1}: field must be one of: ${Object.keys(RULE_FIELDS).join(", ")}` };
+    }
+    if (!value) return { error: `Rule #${index + 1}: value is required` };
+    if (rule.field === "url") {
+      try {
+        new RegExp(value, "i");
+      } catch (error) {
+        return { error: `Rule #${index + 1}: invalid regex (${error.message})` };
+      }
+    }
+    rules.push({ field: rule.field, value });
+  }
+
+  return { value: { name, matchMode, rules } };
+};
+
+// One predicate per rule
+const compileRule = ({ field, value }) => {
+  const needle = value.toLowerCase();
+  switch (field) {
+    case "url": {
+      const regex = new RegExp(value, "i");
+      return (monitor) => regex.test(monitor.attributes?.url || "");
+    }
+    case "name":
+      return (monitor) => (monitor.attributes?.pronounceable_name || "").toLowerCase().includes(needle);
+    case "monitor_type":
+      return (monitor) => (monitor.attributes?.monitor_type || "").toLowerCase() === needle;
+    case "monitor_group_id":
+      return (monitor) => String(monitor.attributes?.monitor_group_id ?? "") === value;
+    case "tag":
+      return (monitor) => monitorTags(monitor).includes(needle);
+    default:
+      return () => false;
+  }
+};
+
+// Groups as stored in the database -> groups with a matches(monitor) function
+const compileGroups = (groups) => groups.map(group => {
+  const predicates = group.rules.map(compileRule);
+  const matches = group.matchMode === "any"
+    ? (monitor) => predicates.some(p => p(monitor))
+    : (monitor) => predicates.every(p => p(monitor));
+  return { ...group, matches };
+});
+
+// IDs of the groups a monitor belongs to
+const groupIdsForMonitor = (compiledGroups, monitor) => {
+  return compiledGroups.filter(g => g.matches(monitor)).map(g => g.id);
+};
+
+// { [groupId]: [monitorId, ...] } for every group (a monitor can be in several groups)
+const groupMonitors = (compiledGroups, monitors) => {
+  const grouped = Object.fromEntries(compiledGroups.map(g => [g.id, []]));
+  for (const monitor of monitors) {
+    for (const group of compiledGroups) {
+      if (group.matches(monitor)) grouped[group.id].push(monitor.id);
+    }
+  }
+  return grouped;
+};
+
+module.exports = {
+  RULE_FIELDS,
+  MATCH_MODES,
+  parseGroupInput,
+  compileGroups,
+  groupIdsForMonitor,
+  groupMonitors,
+};
@@ -0,0 +1,102 @@
+// Heartbeats - cron jobs that report in. BetterStack's heartbeats are stored on each refresh; local ones
+// are pinged at the dashboard itself (/heartbeat/<token>) by jobs that can't reach BetterStack, and count
+// as missed once no ping arrived within their period plus grace. Both share one shape and status history.
+const crypto = require("crypto");
+
+const LOCAL_PREFIX = "local-";
+// BetterStack's limits for period and grace
+const MIN_PERIOD_SECONDS = 30;
+const MAX_PERIOD_SECONDS = 31 * 24 * 60 * 60;
+
+const isLocalHeartbeatId = (heartbeatId) => String(heartbeatId || "").startsWith(LOCAL_PREFIX);
+const localIdOf = (heartbeatId) => Number(String(heartbeatId).slice(LOCAL_PREFIX.length));
+
+const generatePingToken = () => crypto.randomBytes(18).toString("base64url");
+
+// Validate and normalize a local heartbeat from a request body: { value } or { error }
+// accountIds: configured accounts (the first one is the default)
+const parseHeartbeatInput = (body = {}, accountIds = []) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) return { error: "Name is required" };
+  if (name.length > 100) return { error: "Name is too long (max. 100 characters)" };
+
+  const period = Number(body.period);
+  if (!Number.isInteger(period) || period < MIN_PERIOD_SECONDS || period > MAX_PERIOD_SECONDS) {
+    return { error: `period must be between ${MIN_PERIOD_SECONDS} and ${MAX_PERIOD_SECONDS} seconds` };
+  }
+
+  const grace = body.grace === undefined ? Math.round(period * 0.2) : Number(body.grace);
+  if (!Number.isInteger(grace) || grace < 0 || grace > MAX_PERIOD_SECONDS) {
+    return { error: `grace must be between 0 and ${MAX_PERIOD_SECONDS} seconds` };
+  }
+
+  const account = body.account || accountIds[0] || null;
+  if (accountIds.length > 0 && !accountIds.includes(account)) return { error: `Unknown account: ${account}` };
+
+  return { value: { name, period, grace, account, paused: body.paused === true } };
+};
+
+// Status of a local heartbeat at `now` and since when: paused, pending (never pinged), down (the last ping
+// reported a failure, or the next one is overdue past the grace time) or up
+const localHeartbeatStatus = (local, now = Date.now()) => {
+  if (local.paused) return { status: "paused", since: null };
+  const lastPingMs = local.lastPingAt ? Date.parse(local.lastPingAt) : null;
+  const lastFailedMs = local.lastFailedAt ? Date.parse(local.lastFailedAt) : null;
+  if (lastFailedMs !== null && (lastPingMs === null || lastFailedMs > lastPingMs)) {
+    return { status: "down", since: local.lastFailedAt };
+  }
+  if (lastPingMs === null) return { status: "pending", since: null };
+  const deadlineMs = lastPingMs + (local.period + local.grace) * 1000;
+  if (now > deadlineMs) return { status: "down", since: new Date(deadlineMs).toISOString() };
+  return { status: "up", since: local.lastPingAt };
+};
+
+// BetterStack heartbeat (JSON:API, tagged with its account) -> dashboard heartbeat
+const fromBetterStack = (hb) => ({
+  id: hb.id,
+  account: hb.account,
+  source: "betterstack",
+  name: hb.attributes?.name,
+  status: hb.attributes?.status,
+  period: hb.attributes?.period,
+  grace: hb.attributes?.grace,
+  paused: !!hb.attributes?.paused,
+  url: hb.attributes?.url,
+  createdAt: hb.attributes?.created_at,
+  updatedAt: hb.attributes?.updated_at,
+});
+
+// Local heartbeat -> dashboard heartbeat; statusChangedAt is when the current status began
+const fromLocal = (local, now = Date.now()) => {
+  const { status, since } = localHeartbeatStatus(local, now);
+  return {
+    id: `${LOCAL_PREFIX}${local.id}`,
+    account: local.account,
+    source: "local",
+    name: local.name,
+    status,
+    statusChangedAt: since,
+    period: local.period,
+    grace: local.grace,
+    paused: local.paused,
+    url: null,
+    lastPingAt: local.lastPingAt,
+    lastFailedAt: local.lastFailedAt,
+    expectedAt: local.lastPingAt && !local.paused
+      ? new Date(Date.parse(local.lastPingAt) + local.period * 1000).toISOString()
+      : null,
+    pingCount: local.pingCount,
+    createdAt: local.createdAt,
+    updatedAt: local.updatedAt,
+  };
+};
+
+module.exports = {
+  LOCAL_PREFIX,
+  isLocalHeartbeatId,
+  localIdOf,
+  generatePingToken,
+  parseHeartbeatInput,
+  fromBetterStack,
+  fromLocal,
+};
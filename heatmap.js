@@ -0,0 +1,85 @@
+// Heatmap helpers - turn tracked daily_status rows into per-day bars
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Build one entry per day for the last `numDays` days (oldest first)
+// trackedDays: rows from database.getDailyStatusForHeatmap for a single monitor
+const buildHeatmapDays = (trackedDays = [], numDays = 30, now = new Date()) => {
+  const byDate = new Map(trackedDays.map(d => [d.date, d]));
+  const days = [];
+
+  for (let i = numDays - 1; i >= 0; i--) {
+    const date = new Date(now.getTime() - i * DAY_MS);
+    const dateStr = date.toISOString().split('T')[0];
+    
+    // Check if we have tracked data for this day
+    const trackedDay = byDate.get(dateStr);
+    
+    if (trackedDay) {
+      // We have real data from our tracking: downtime share of the tracked minutes,
+      // falling back to failed checks for days recorded before transitions existed
+      // (a day spent entirely in maintenance has intervals but no tracked minutes)
+      const maintenanceMinutes = trackedDay.maintenanceMinutes || 0;
+      const failRate = trackedDay.trackedMinutes > 0
+        ? trackedDay.downtimeMinutes / trackedDay.trackedMinutes
+        : trackedDay.checksTotal > 0 && maintenanceMinutes === 0
+          ? trackedDay.checksFailed / trackedDay.checksTotal
+          : 0;
+      
+      let status = 'up';
+      if (failRate >= 0.5) {
+        status = 'down'; // Down for more than half of the day
+      } else if (failRate > 0) {
+        status = 'partial'; // Some downtime
+      } else if (maintenanceMinutes > 0) {
+        status = 'maintenance'; // No downtime outside maintenance windows
+      }
+      
+      days.push({
+        date: dateStr,
+        status,
+        downtime: trackedDay.downtimeMinutes,
+        trackedMinutes: trackedDay.trackedMinutes,
+        maintenanceMinutes,
+        uptime: trackedDay.trackedMinutes > 0
+          ? Math.round((1 - failRate) * 10000) / 100
+          : null,
+        checksTotal: trackedDay.checksTotal,
+        checksFailed: trackedDay.checksFailed,
+        failRate: Math.round(failRate * 100),
+      });
+    } else {
+      // No data for this day (before we started tracking)
+      days.push({
+        date: dateStr,
+        status: 'unknown',
+        downtime: 0,
+        trackedMinutes: 0,
+        maintenanceMinutes: 0,
+        uptime: null,
+        checksTotal: 0,
+        checksFailed: 0,
+        failRate: 0,
+      });
+    }
+  }
+
+  return days;
+};
+
+// Uptime percentage over a list of heatmap days, from the tracked intervals (null without data)
+const summarizeUptime = (days) => {
+  let trackedMinutes = 0;
+  let downtimeMinutes = 0;
+  for (const day of days) {
+    if (day.trackedMinutes > 0) {
+      trackedMinutes += day.trackedMinutes;
+      downtimeMinutes += day.downtime;
+    }
+  }
+  return trackedMinutes > 0
+    ? Math.round((1 - downtimeMinutes / trackedMinutes) * 10000) / 100
+    : null;
+};
+
+module.exports = { buildHeatmapDays, summarizeUptime };
@@ -0,0 +1,225 @@
+// Shared HTTP client for upstream APIs: bounded concurrency, retries with exponential backoff and jitter
+// (honouring Retry-After), a circuit breaker that fails fast after repeated failures, ETag-based
+// conditional GETs and per-endpoint request/error counters.
+const { createLimiter } = require("./limiter");
+
+// Error carrying the upstream HTTP status so routes can forward it.
+// retryable: the failure was temporary (rate limit, server error, network, open circuit)
+class ProviderError extends Error {
+  constructor(message, status, { retryable = false } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+// Conditional GET responses kept per client (oldest dropped first)
+const MAX_CACHED_RESPONSES = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After as ms (seconds or an HTTP date); null when missing or invalid
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return isNaN(at) ? null : Math.max(0, at - now);
+};
+
+// "Full jitter": a random delay up to the exponential step for this attempt
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) => {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+};
+
+// Closed until `threshold` requests in a row failed, then open (failing fast) for cooldownMs;
+// after that one trial request is let through (half-open) and decides whether it closes again
+const createCircuitBreaker = ({ threshold, cooldownMs }) => {
+  let state = "closed";
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialRunning = false;
+
+  return {
+    // Throws when requests may not go out right now
+    before: () => {
+      if (state === "open" && Date.now() - openedAt >= cooldownMs) {
+        state = "half-open";
+        trialRunning = false;
+      }
+      if (state === "open" || (state === "half-open" && trialRunning)) {
+        const retryInSeconds = Math.ceil((cooldownMs - (Date.now() - openedAt)) / 1000);
+        throw new ProviderError(`Circuit open after ${consecutiveFailures} failed requests (retry in ${Math.max(retryInSeconds, 1)}s)`,
+          503, { retryable: true });
+      }
+      if (state === "half-open") trialRunning = true;
+    },
+
+    success: () => {
+      state = "closed";
+      consecutiveFailures = 0;
+      trialRunning = false;
+    },
+
+    failure: () => {
+      consecutiveFailures++;
+      trialRunning = false;
+      if (state === "half-open" || consecutiveFailures >= threshold) {
+        state = "open";
+        openedAt = Date.now();
+      }
+    },
+
+    status: () => ({
+      state,
+      consecutiveFailures,
+      openedAt: openedAt && state !== "closed" ? new Date(openedAt).toISOString() : null,
+    }),
+  };
+};
+
+// maxConcurrency: requests in flight at once; maxRetries: retries after the first attempt
+// maxRetryAfterMs: longer Retry-After waits fail right away instead of holding the caller
+const createHttpClient = ({
+  maxConcurrency = 4,
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 15000,
+  maxRetryAfterMs = 60000,
+  timeoutMs = 30000,
+  breakerThreshold = 5,
+  breakerCooldownMs = 60000,
+} = {}) => {
+  const limit = createLimiter(maxConcurrency);
+  const breaker = createCircuitBreaker({ threshold: breakerThreshold, cooldownMs: breakerCooldownMs });
+  const cache = new Map(); // url -> { etag, data } of GET responses with an ETag
+  const endpointStats = new Map(); // endpoint -> counters
+
+  const statsFor = (endpoint) => {
+    if (!endpointStats.has(endpoint)) {
+      endpointStats.set(endpoint, {
+        requests: 0,
+        failures: 0,
+        retries: 0,
+        rateLimited: 0,
+        notModified: 0,
+        lastStatus: null,
+        lastError: null,
+        lastErrorAt: null,
+      });
+    }
+    return endpointStats.get(endpoint);
+  };
+
+  const recordFailure = (stats, error) => {
+    stats.failures++;
+    stats.lastError = error.message;
+    stats.lastErrorAt = new Date().toISOString();
+  };
+
+  // One attempt: parsed JSON, or a ProviderError
+  const attempt = async (url, { method, headers, body }, stats) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const cached = method === "GET" ? cache.get(url) : null;
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        // fetch() adds "Cache-Control: no-cache" to conditional requests unless one is set,
+        // and servers never answer 304 to that
+        headers: { ...headers, ...(cached ? { "If-None-Match": cached.etag, "Cache-Control": "max-age=0" } : {}) },
+        body,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw new ProviderError(error.name === "AbortError" ? `Timeout (${timeoutMs / 1000}s)` : (error.cause?.code || error.message),
+        502, { retryable: true });
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    stats.lastStatus = response.status;
+    if (response.status === 304 && cached) {
+      stats.notModified++;
+      return cached.data;
+    }
+    if (!response.ok) {
+      const error = new ProviderError(response.statusText || `HTTP ${response.status}`, response.status, {
+        retryable: RETRYABLE_STATUSES.includes(response.status),
+      });
+      error.retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+      throw error;
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch {
+      throw new ProviderError("Invalid JSON response", 502);
+    }
+    const etag = response.headers.get("etag");
+    if (method === "GET" && etag) {
+      cache.delete(url);
+      cache.set(url, { etag, data });
+      if (cache.size > MAX_CACHED_RESPONSES) cache.delete(cache.keys().next().value);
+    }
+    return data;
+  };
+
+  // Request with retries. Only GETs are retried on server errors; writes are retried on 429 only,
+  // since the upstream may have applied them already.
+  // endpoint: label for the stats ("GET /monitors/:id/sla"), defaults to method and path
+  const request = async (url, { method = "GET", headers = {}, body, endpoint } = {}) => {
+    const stats = statsFor(endpoint || `${method} ${new URL(url).pathname}`);
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      let error = null;
+      // Each attempt takes a concurrency slot of its own, so waiting for a retry doesn't hold one
+      const data = await limit(async () => {
+        try {
+          breaker.before();
+        } catch (openError) {
+          recordFailure(stats, openError);
+          throw openError;
+        }
+        stats.requests++;
+        try {
+          const result = await attempt(url, { method, headers, body }, stats);
+          breaker.success();
+          return result;
+        } catch (attemptError) {
+          error = attemptError;
+          if (error.status === 429) stats.rateLimited++;
+          // Only server errors and network failures count against the upstream's health: client errors
+          // (404, 422, ...), rate limits and unreadable bodies still mean it answered (and end a half-open trial)
+          if (error.retryable && error.status !== 429) breaker.failure();
+          else breaker.success();
+          return null;
+        }
+      });
+      if (!error) return data;
+
+      const canRetry = error.retryable && attemptNumber < maxRetries && (method === "GET" || error.status === 429);
+      const delayMs = error.retryAfterMs ?? backoffDelay(attemptNumber, baseDelayMs, maxDelayMs);
+      if (!canRetry || delayMs > maxRetryAfterMs) {
+        recordFailure(stats, error);
+        throw error;
+      }
+      stats.retries++;
+      await sleep(delayMs);
+    }
+  };
+
+  return {
+    request,
+
+    // { circuit: { state, consecutiveFailures, openedAt }, endpoints: { [endpoint]: counters } }
+    stats: () => ({
+      circuit: breaker.status(),
+      endpoints: Object.fromEntries([...endpointStats.entries()].map(([endpoint, stats]) => [endpoint, { ...stats }])),
+    }),
+  };
+};
+
+module.exports = { ProviderError, createHttpClient, parseRetryAfter };
@@ -0,0 +1,25 @@
+// Concurrency limiter - queues async tasks so at most `limit` run at once.
+// Shared by the upstream HTTP client and the SLA cache.
+
+// Returns run(task): task is started once a slot is free; resolves/rejects like task()
+const createLimiter = (limit) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+module.exports = { createLimiter };
@@ -0,0 +1,227 @@
+// Maintenance windows - planned downtime that doesn't count against uptime.
+// A window starts at a wall-clock time in its own time zone and can repeat daily, weekly or monthly;
+// it applies to explicit monitors and/or every monitor of the selected groups.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RECURRENCES = ["none", "daily", "weekly", "monthly"];
+
+const formatters = new Map();
+
+// Intl formatter per time zone (throws RangeError for unknown zones)
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset of a time zone from UTC at an instant, in ms
+const zoneOffsetMs = (utcMs, timeZone) => {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(new Date(utcMs)).map(p => [p.type, p.value]));
+  const wallMs = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return wallMs - (utcMs - (utcMs % 1000));
+};
+
+// Wall-clock time in a zone -> UTC ms. Out-of-range days/months roll over like Date.UTC.
+const zonedTimeToUtc = (year, month, day, hour, minute, timeZone) => {
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wallMs - zoneOffsetMs(wallMs, timeZone);
+  // Second pass picks up a DST change between the guess and the wall time
+  return wallMs - zoneOffsetMs(guess, timeZone);
+};
+
+// Validate and normalize a window from a request body: { value } or { error }
+const parseMaintenanceInput = (body = {}) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) return { error: "Name is required" };
+
+  const startsAt = String(body.startsAt || "");
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(startsAt) || isNaN(Date.parse(`${startsAt}:00Z`))) {
+    return { error: "startsAt must be a local date and time (YYYY-MM-DDTHH:mm)" };
+  }
+
+  const durationMinutes = Number(body.durationMinutes);
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > 7 * 24 * 60) {
+    return { error: "durationMinutes must be between 1 and 10080 (one week)" };
+  }
+
+  const timezone = body.timezone || "UTC";
+  if (!isValidTimeZone(timezone)) return { error: `Unknown time zone: ${timezone}` };
+
+  const recurrence = body.recurrence || "none";
+  if (!RECURRENCES.includes(recurrence)) {
+    return { error: `recurrence must be one of: ${RECURRENCES.join(", ")}` };
+  }
+
+  const until = body.until || null;
+  if (until && (!/^\d{4}-\d{2}-\d{2}$/.test(until) || until < startsAt.slice(0, 10))) {
+    return { error: "until must be a date (YYYY-MM-DD) on or after the start date" };
+  }
+
+  const monitorIds = Array.isArray(body.monitorIds) ? [...new Set(body.monitorIds.map(id => String(id).trim()).filter(Boolean))] : [];
+  const groupIds = Array.isArray(body.groupIds) ? [...new Set(body.groupIds.map(Number))].filter(Number.isInteger) : [];
+  if (monitorIds.length === 0 && groupIds.length === 0) {
+    return { error: "Select at least one monitor or group" };
+  }
+
+  return {
+    value: {
+      name,
+      startsAt,
+      durationMinutes,
+      timezone,
+      recurrence,
+      until: recurrence === "none" ? null : until,
+      monitorIds,
+      groupIds,
+    },
+  };
+};
+
+// Occurrences of a window overlapping [fromMs, toMs), as [{ start, end }] in UTC ms
+const expandOccurrences = (window, fromMs, toMs) => {
+  const [year, month, day] = window.startsAt.slice(0, 10).split("-").map(Number);
+  const [hour, minute] = window.startsAt.slice(11, 16).split(":").map(Number);
+  const durationMs = window.durationMinutes * 60000;
+  const at = (offsetDays, offsetMonths = 0) =>
+    zonedTimeToUtc(year, month + offsetMonths, day + offsetDays, hour, minute, window.timezone);
+
+  const occurrences = [];
+  const add = (start) => {
+    if (start + durationMs > fromMs && start < toMs) occurrences.push({ start, end: start + durationMs });
+  };
+
+  if (window.recurrence === "none") {
+    add(at(0));
+    return occurrences;
+  }
+
+  // End of the "until" day in the window's time zone
+  const [untilYear, untilMonth, untilDay] = (window.until || "").split("-").map(Number);
+  const untilMs = window.until
+    ? zonedTimeToUtc(untilYear, untilMonth, untilDay + 1, 0, 0, window.timezone)
+    : Infinity;
+  const endMs = Math.min(toMs, untilMs);
+  const firstStart = at(0);
+
+  if (window.recurrence === "monthly") {
+    // Skip straight to the month before fromMs; months without that day (e.g. the 31st) are skipped
+    const from = new Date(Math.max(fromMs - durationMs, firstStart));
+    let k = Math.max(0, (from.getUTCFullYear() - year) * 12 + from.getUTCMonth() - (month - 1) - 1);
+    for (; ; k++) {
+      const daysInMonth = new Date(Date.UTC(year, month - 1 + k + 1, 0)).getUTCDate();
+      if (day > daysInMonth) continue;
+      const start = at(0, k);
+      if (start >= endMs) break;
+      add(start);
+    }
+    return occurrences;
+  }
+
+  const stepDays = window.recurrence === "weekly" ? 7 : 1;
+  let k = Math.max(0, Math.floor((fromMs - durationMs - firstStart) / (stepDays * DAY_MS)) - 1);
+  for (; ; k++) {
+    const start = at(k * stepDays);
+    if (start >= endMs) break;
+    add(start);
+  }
+  return occurrences;
+};
+
+// Sort and merge overlapping intervals
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+};
+
+// Milliseconds of [from, to) covered by merged intervals
+const overlapMs = (from, to, intervals = []) => {
+  let total = 0;
+  for (const interval of intervals) {
+    if (interval.end <= from) continue;
+    if (interval.start >= to) break;
+    total += Math.min(to, interval.end) - Math.max(from, interval.start);
+  }
+  return total;
+};
+
+// Parts of [from, to) outside merged intervals, as [{ start, end }]
+const subtractIntervals = (from, to, intervals = []) => {
+  const parts = [];
+  let cursor = from;
+  for (const interval of intervals) {
+    if (interval.end <= cursor) continue;
+    if (interval.start >= to) break;
+    if (interval.start > cursor) parts.push({ start: cursor, end: interval.start });
+    cursor = Math.max(cursor, interval.end);
+  }
+  if (cursor < to) parts.push({ start: cursor, end: to });
+  return parts;
+};
+
+// { [monitorId]: merged maintenance intervals } over [fromMs, toMs)
+// compiledGroups come from groups.compileGroups, so group windows follow the current group rules
+const maintenanceByMonitor = (windows, monitors, compiledGroups, fromMs, toMs) => {
+  const intervals = {};
+  const add = (monitorId, occurrences) => {
+    (intervals[monitorId] || (intervals[monitorId] = [])).push(...occurrences);
+  };
+
+  for (const window of windows) {
+    const occurrences = expandOccurrences(window, fromMs, toMs);
+    if (occurrences.length === 0) continue;
+
+    const covered = new Set(window.monitorIds);
+    const groups = compiledGroups.filter(g => window.groupIds.includes(g.id));
+    for (const monitor of monitors) {
+      if (groups.some(g => g.matches(monitor))) covered.add(monitor.id);
+    }
+    covered.forEach(monitorId => add(monitorId, occurrences));
+  }
+
+  for (const monitorId of Object.keys(intervals)) {
+    intervals[monitorId] = mergeIntervals(intervals[monitorId]);
+  }
+  return intervals;
+};
+
+module.exports = {
+  RECURRENCES,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  parseMaintenanceInput,
+  expandOccurrences,
+  mergeIntervals,
+  overlapMs,
+  subtractIntervals,
+  maintenanceByMonitor,
+};
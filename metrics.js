@@ -0,0 +1,127 @@
+// Prometheus exporter - renders dashboard state in the text exposition format (0.0.4)
+
+const MONITOR_STATUSES = ["up", "down", "paused", "validating"];
+
+// Escape a label value (backslash, double quote, newline)
+const escapeLabel = (value) => String(value ?? "")
+  .replace(/\\/g, "\\\\")
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, "\\n");
+
+const formatLabels = (labels = {}) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+};
+
+// One metric family: HELP, TYPE and its samples ([{ labels, value }])
+const formatFamily = (name, type, help, samples) => {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const sample of samples) {
+    lines.push(`${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+  }
+  return lines.join("\n");
+};
+
+const countBy = (items, keyFn) => {
+  const counts = {};
+  for (const item of items) {
+    const key = keyFn(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+};
+
+const isOpenIncident = (incident) => {
+  return !incident.attributes?.resolved_at && (incident.attributes?.status || "").toLowerCase() !== "resolved";
+};
+
+// Build the full /metrics payload
+// responseTimes: Map monitorId -> { [region]: { responseTime (ms), at } }
+// refreshStats: { total, failures, lastDurationSeconds }
+// upstream: { [account]: provider.stats() } (circuit state and per-endpoint counters)
+const renderMetrics = ({ monitors, incidents, categorize, responseTimes, refreshStats, upstream = {}, lastUpdated, isLoading, now = Date.now() }) => {
+  const monitorLabels = (monitor) => ({
+    monitor_id: monitor.id,
+    monitor_name: monitor.attributes?.pronounceable_name || monitor.attributes?.url || monitor.id,
+    category: categorize(monitor),
+    account: monitor.account || "",
+  });
+
+  const statusSamples = [];
+  for (const monitor of monitors) {
+    const labels = monitorLabels(monitor);
+    for (const status of MONITOR_STATUSES) {
+      statusSamples.push({ labels: { ...labels, status }, value: monitor.attributes?.status === status ? 1 : 0 });
+    }
+  }
+
+  const monitorsById = new Map(monitors.map(m => [m.id, m]));
+  const openIncidentsByCategory = { production: 0, staging: 0, other: 0 };
+  for (const incident of incidents.filter(isOpenIncident)) {
+    const monitor = monitorsById.get(incident.relationships?.monitor?.data?.id);
+    const category = monitor ? categorize(monitor) : "other";
+    openIncidentsByCategory[category] = (openIncidentsByCategory[category] || 0) + 1;
+  }
+
+  const responseTimeSamples = [];
+  for (const [monitorId, regions] of responseTimes) {
+    const monitor = monitorsById.get(monitorId);
+    if (!monitor) continue;
+    for (const [region, sample] of Object.entries(regions)) {
+      responseTimeSamples.push({
+        labels: { ...monitorLabels(monitor), region },
+        value: sample.responseTime / 1000,
+      });
+    }
+  }
+
+  const endpointSamples = (key) => Object.entries(upstream).flatMap(([account, stats]) =>
+    Object.entries(stats.endpoints).map(([endpoint, counters]) => ({ labels: { account, endpoint }, value: counters[key] })));
+
+  const families = [
+    formatFamily("betterstack_monitor_status", "gauge",
+      "Current monitor status (1 for the active status, 0 otherwise).", statusSamples),
+    formatFamily("betterstack_monitors", "gauge",
+      "Number of monitors per category.",
+      Object.entries(countBy(monitors, categorize)).map(([category, value]) => ({ labels: { category }, value }))),
+    formatFamily("betterstack_open_incidents", "gauge",
+      "Incidents that are not resolved yet, per category.",
+      Object.entries(openIncidentsByCategory).map(([category, value]) => ({ labels: { category }, value }))),
+    formatFamily("betterstack_monitor_response_time_seconds", "gauge",
+      "Last known response time per monitor and region.", responseTimeSamples),
+    formatFamily("betterstack_refresh_total", "counter",
+      "Monitor refresh cycles started since the server started.", [{ value: refreshStats.total }]),
+    formatFamily("betterstack_refresh_failures_total", "counter",
+      "Monitor refresh cycles that failed since the server started.", [{ value: refreshStats.failures }]),
+    formatFamily("betterstack_refresh_duration_seconds", "gauge",
+      "Duration of the last finished monitor refresh.", [{ value: refreshStats.lastDurationSeconds }]),
+    formatFamily("betterstack_refresh_in_progress", "gauge",
+      "1 while a monitor refresh is running.", [{ value: isLoading ? 1 : 0 }]),
+    formatFamily("betterstack_upstream_requests_total", "counter",
+      "Upstream API requests (including retries) per account and endpoint.", endpointSamples("requests")),
+    formatFamily("betterstack_upstream_failures_total", "counter",
+      "Upstream API calls that failed after all retries, per account and endpoint.", endpointSamples("failures")),
+    formatFamily("betterstack_upstream_retries_total", "counter",
+      "Upstream API requests that were retried, per account and endpoint.", endpointSamples("retries")),
+    formatFamily("betterstack_upstream_rate_limited_total", "counter",
+      "Upstream API responses with status 429, per account and endpoint.", endpointSamples("rateLimited")),
+    formatFamily("betterstack_upstream_circuit_open", "gauge",
+      "1 while the upstream circuit breaker of an account is open or half-open.",
+      Object.entries(upstream).map(([account, stats]) => ({ labels: { account }, value: stats.circuit.state === "closed" ? 0 : 1 }))),
+    formatFamily("betterstack_last_updated_age_seconds", "gauge",
+      "Seconds since monitor data was last refreshed successfully.",
+      [{ value: lastUpdated ? Math.max(0, Math.round((now - Date.parse(lastUpdated)) / 1000)) : NaN }]),
+  ];
+
+  return families.join("\n") + "\n";
+};
+
+module.exports = { renderMetrics };
@@ -0,0 +1,420 @@
+// Local fake of the BetterStack Uptime API (v2) for offline development and tests.
+// Serves seeded monitors, incidents, heartbeats, SLA and response-time payloads.
+//
+// Standalone:   npm run mock            (listens on MOCK_BETTERSTACK_PORT, default 4010)
+// In-process:   MOCK_BETTERSTACK=true npm start
+
+const express = require("express");
+
+const DEFAULT_PORT = 4010;
+const REGIONS = ["us", "eu", "as", "au"];
+const MONITOR_TYPES = ["status", "keyword", "expected_status_code", "ping"];
+
+// Small deterministic PRNG so the same seed always produces the same data
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+// Build the seeded dataset (idOffset shifts every ID, so datasets of several accounts don't collide)
+const createSeedData = ({ seed = 42, monitorCount = 120, incidentCount = 80, heartbeatCount = 8, idOffset = 0 } = {}) => {
+  const random = createRandom(seed);
+  const now = Date.now();
+
+  const monitors = [];
+  for (let i = 1; i <= monitorCount; i++) {
+    const env = i % 3 === 0 ? "staging" : i % 3 === 1 ? "api" : "internal";
+    const service = pick(random, ["auth", "billing", "search", "users", "orders", "files", "mail"]);
+    const url = `https://${env}.example.com/${service}/health?i=${i}`;
+    const roll = random();
+    const status = roll < 0.06 ? "down" : roll < 0.12 ? "paused" : roll < 0.14 ? "validating" : "up";
+
+    monitors.push({
+      id: String(idOffset + 100000 + i),
+      type: "monitor",
+      attributes: {
+        url,
+        pronounceable_name: `${env} ${service} ${i}`,
+        monitor_type: pick(random, MONITOR_TYPES),
+        monitor_group_id: i % 5 === 0 ? null : 500 + (i % 4),
+        tags: [env, service],
+        last_checked_at: new Date(now - Math.floor(random() * 60000)).toISOString(),
+        status,
+        paused: status === "paused",
+        check_frequency: pick(random, [30, 60, 180, 300]),
+        request_timeout: 30,
+        regions: REGIONS.slice(0, 1 + Math.floor(random() * REGIONS.length)),
+        http_method: "get",
+        request_headers: i % 7 === 0
+          ? [{ id: String(i), name: "Authorization", value: `Bearer mock-secret-${i}` }]
+          : [],
+        created_at: new Date(now - 200 * 86400000).toISOString(),
+        updated_at: new Date(now - Math.floor(random() * 30) * 86400000).toISOString(),
+      },
+      relationships: {},
+    });
+  }
+
+  const incidents = [];
+  for (let i = 1; i <= incidentCount; i++) {
+    const monitor = pick(random, monitors);
+    const startedAt = now - Math.floor(random() * 30 * 86400000);
+    const roll = random();
+    const resolved = roll < 0.8 || monitor.attributes.status !== "down";
+    const acknowledged = resolved || roll < 0.9;
+    const ackAt = startedAt + Math.floor(random() * 600000);
+    const resolvedAt = ackAt + Math.floor(random() * 3 * 3600000);
+    const cause = pick(random, ["Status 500", "Status 503", "Timeout (30s)", "Keyword not found", "Connection refused"]);
+
+    incidents.push({
+      id: String(idOffset + 900000 + i),
+      type: "incident",
+      attributes: {
+        name: monitor.attributes.pronounceable_name,
+        url: monitor.attributes.url,
+        http_method: "get",
+        cause,
+        incident_group_id: null,
+        started_at: new Date(startedAt).toISOString(),
+        acknowledged_at: acknowledged ? new Date(ackAt).toISOString() : null,
+        acknowledged_by: acknowledged ? "oncall@example.com" : null,
+        resolved_at: resolved ? new Date(resolvedAt).toISOString() : null,
+        resolved_by: resolved ? pick(random, ["oncall@example.com", "Automatically"]) : null,
+        status: resolved ? "Resolved" : acknowledged ? "Acknowledged" : "Started",
+        team_name: "Mock team",
+        response_content: cause.startsWith("Status") ? `{"error":"${cause}"}` : "",
+        response_options: JSON.stringify({ status: cause.startsWith("Status") ? Number(cause.slice(7)) : null }),
+        regions: monitor.attributes.regions,
+        response_url: null,
+        screenshot_url: null,
+        metadata: {},
+      },
+      relationships: {
+        monitor: { data: { id: monitor.id, type: "monitor" } },
+      },
+    });
+  }
+  incidents.sort((a, b) => b.attributes.started_at.localeCompare(a.attributes.started_at));
+
+  const heartbeats = [];
+  for (let i = 1; i <= heartbeatCount; i++) {
+    const period = pick(random, [60, 300, 3600, 86400]);
+    const roll = random();
+    heartbeats.push({
+      id: String(idOffset + 700000 + i),
+      type: "heartbeat",
+      attributes: {
+        url: `https://uptime.betterstack.com/api/v1/heartbeat/mock${i}`,
+        name: `${pick(random, ["backup", "report", "cleanup", "sync"])} job ${i}`,
+        period,
+        grace: Math.round(period * 0.2),
+        status: roll < 0.15 ? "down" : roll < 0.25 ? "paused" : "up",
+        paused: roll >= 0.15 && roll < 0.25,
+        created_at: new Date(now - 100 * 86400000).toISOString(),
+        updated_at: new Date(now - 86400000).toISOString(),
+      },
+    });
+  }
+
+  return { monitors, incidents, heartbeats, seed };
+};
+
+// Build a JSON:API page plus BetterStack-style pagination links
+const paginate = (req, items) => {
+  const perPage = Math.min(Math.max(parseInt(req.query.per_page, 10) || 50, 1), 250);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const lastPage = Math.max(Math.ceil(items.length / perPage), 1);
+  const base = `${req.protocol}://${req.get("host")}${req.baseUrl}${req.path}`;
+  const link = (p) => `${base}?page=${p}&per_page=${perPage}`;
+
+  return {
+    data: items.slice((page - 1) * perPage, page * perPage),
+    pagination: {
+      first: link(1),
+      last: link(lastPage),
+      prev: page > 1 ? link(page - 1) : null,
+      next: page < lastPage ? link(page + 1) : null,
+    },
+  };
+};
+
+// Deterministic SLA derived from the seeded incidents of a monitor
+const buildSla = (data, monitorId, from, to) => {
+  const fromMs = new Date(from).getTime();
+  const toMs = new Date(to).getTime() + 86400000;
+  const periodSeconds = Math.max((toMs - fromMs) / 1000, 1);
+
+  const durations = data.incidents
+    .filter(i => i.relationships.monitor.data.id === monitorId)
+    .filter(i => {
+      const started = new Date(i.attributes.started_at).getTime();
+      return started >= fromMs && started < toMs;
+    })
+    .map(i => {
+      const started = new Date(i.attributes.started_at).getTime();
+      const ended = i.attributes.resolved_at ? new Date(i.attributes.resolved_at).getTime() : Date.now();
+      return Math.max(Math.round((ended - started) / 1000), 0);
+    });
+
+  const totalDowntime = durations.reduce((sum, d) => sum + d, 0);
+
+  return {
+    id: monitorId,
+    type: "monitor_sla",
+    attributes: {
+      availability: Math.max(0, Math.round((1 - totalDowntime / periodSeconds) * 100000) / 1000),
+      total_downtime: totalDowntime,
+      number_of_incidents: durations.length,
+      longest_incident: durations.length ? Math.max(...durations) : 0,
+      average_incident: durations.length ? Math.round(totalDowntime / durations.length) : 0,
+    },
+  };
+};
+
+// Synthetic response times, one sample every 30 minutes per region
+const buildResponseTimes = (monitor, from, to) => {
+  const random = createRandom(Number(monitor.id));
+  const fromMs = new Date(from).getTime();
+  const toMs = Math.min(new Date(to).getTime() + 86400000, Date.now());
+  const base = 80 + Math.floor(random() * 900);
+
+  return {
+    id: monitor.id,
+    type: "monitor_response_times",
+    attributes: {
+      regions: monitor.attributes.regions.map(region => {
+        const responseTimes = [];
+        for (let at = fromMs; at < toMs; at += 30 * 60000) {
+          responseTimes.push({
+            at: new Date(at).toISOString(),
+            response_time: Math.round(base * (0.7 + random() * 0.6)),
+          });
+        }
+        return { region, response_times: responseTimes };
+      }),
+    },
+  };
+};
+
+const createMockApp = (options = {}) => {
+  const data = createSeedData(options);
+  // Tokens "mock-token-<n>" get a dataset of their own (seed + n, IDs shifted by n million),
+  // so several dashboard accounts can share one mock; any other token sees the default dataset
+  const accountData = new Map();
+  const datasetFor = (token) => {
+    const match = /^mock-token-(\d{1,3})$/.exec(token || "");
+    if (!match) return data;
+    if (!accountData.has(match[1])) {
+      const n = Number(match[1]);
+      accountData.set(match[1], createSeedData({ ...options, seed: (options.seed || 42) + n, idOffset: n * 1000000 }));
+    }
+    return accountData.get(match[1]);
+  };
+
+  // Injected failures (see /__mock/faults): { method, path (prefix of path and query), status, remaining, retryAfter }
+  const faults = [];
+
+  const app = express();
+  app.use(express.json());
+
+  // BetterStack rejects requests without a bearer token; so do we
+  const api = express.Router();
+  api.use((req, res, next) => {
+    const bearer = /^Bearer\s+(\S+)/.exec(req.get("authorization") || "");
+    if (!bearer) {
+      return res.status(401).json({ errors: "Invalid Team API token" });
+    }
+    req.data = datasetFor(bearer[1]);
+    next();
+  });
+
+  api.use((req, res, next) => {
+    const fault = faults.find(f => f.remaining !== 0 && (!f.method || f.method === req.method) && req.url.startsWith(f.path));
+    if (!fault) return next();
+    if (fault.remaining > 0) fault.remaining--;
+    if (fault.retryAfter !== null) res.set("Retry-After", String(fault.retryAfter));
+    res.status(fault.status).json({ errors: `Injected ${fault.status}` });
+  });
+
+  const findMonitor = (req, res) => {
+    const monitor = req.data.monitors.find(m => m.id === req.params.monitorId);
+    if (!monitor) res.status(404).json({ errors: "Resource type Monitor with id = " + req.params.monitorId + " was not found" });
+    return monitor;
+  };
+
+  api.get("/monitors", (req, res) => res.json(paginate(req, req.data.monitors)));
+
+  api.get("/monitors/:monitorId", (req, res) => {
+    const monitor = findMonitor(req, res);
+    if (monitor) res.json({ data: monitor });
+  });
+
+  api.get("/monitors/:monitorId/sla", (req, res) => {
+    const monitor = findMonitor(req, res);
+    if (!monitor) return;
+    const to = req.query.to || new Date().toISOString().split("T")[0];
+    const from = req.query.from || new Date(Date.now() - 30 * 86400000).toISOString().split("T")[0];
+    res.json({ data: buildSla(req.data, monitor.id, from, to) });
+  });
+
+  api.get("/monitors/:monitorId/response-times", (req, res) => {
+    const monitor = findMonitor(req, res);
+    if (!monitor) return;
+    const to = req.query.to || new Date().toISOString().split("T")[0];
+    const from = req.query.from || new Date(Date.now() - 86400000).toISOString().split("T")[0];
+    res.json({ data: buildResponseTimes(monitor, from, to) });
+  });
+
+  // Attributes the API manages itself can't be written
+  const writableAttributes = (body = {}) => Object.fromEntries(Object.entries(body)
+    .filter(([field]) => !["status", "last_checked_at", "created_at", "updated_at"].includes(field)));
+
+  api.post("/monitors", (req, res) => {
+    if (typeof req.body?.url !== "string" || !req.body.url) {
+      return res.status(422).json({ errors: { url: ["can't be blank"] } });
+    }
+    const now = new Date().toISOString();
+    const lastId = Math.max(...req.data.monitors.map(m => Number(m.id)));
+    const monitor = {
+      id: String(lastId + 1),
+      type: "monitor",
+      attributes: {
+        monitor_type: "status",
+        check_frequency: 180,
+        request_timeout: 30,
+        regions: ["us", "eu"],
+        http_method: "get",
+        request_headers: [],
+        paused: false,
+        ...writableAttributes(req.body),
+        status: req.body.paused ? "paused" : "validating",
+        last_checked_at: null,
+        created_at: now,
+        updated_at: now,
+      },
+      relationships: {},
+    };
+    req.data.monitors.push(monitor);
+    res.status(201).json({ data: monitor });
+  });
+
+  api.patch("/monitors/:monitorId", (req, res) => {
+    const monitor = findMonitor(req, res);
+    if (!monitor) return;
+    Object.assign(monitor.attributes, writableAttributes(req.body));
+    if (typeof req.body?.paused === "boolean") {
+      monitor.attributes.status = req.body.paused ? "paused" : "validating";
+    }
+    monitor.attributes.updated_at = new Date().toISOString();
+    res.json({ data: monitor });
+  });
+
+  api.get("/incidents", (req, res) => res.json(paginate(req, req.data.incidents)));
+
+  const findIncident = (req, res) => {
+    const incident = req.data.incidents.find(i => i.id === req.params.incidentId);
+    if (!incident) res.status(404).json({ errors: "Resource type Incident with id = " + req.params.incidentId + " was not found" });
+    return incident;
+  };
+
+  api.post("/incidents/:incidentId/acknowledge", (req, res) => {
+    const incident = findIncident(req, res);
+    if (!incident) return;
+    if (incident.attributes.resolved_at || incident.attributes.acknowledged_at) {
+      return res.status(422).json({ errors: "Incident is already acknowledged" });
+    }
+    incident.attributes.acknowledged_at = new Date().toISOString();
+    incident.attributes.acknowledged_by = req.body?.acknowledged_by || "API";
+    incident.attributes.status = "Acknowledged";
+    res.json({ data: incident });
+  });
+
+  api.post("/incidents/:incidentId/resolve", (req, res) => {
+    const incident = findIncident(req, res);
+    if (!incident) return;
+    if (incident.attributes.resolved_at) {
+      return res.status(422).json({ errors: "Incident is already resolved" });
+    }
+    incident.attributes.resolved_at = new Date().toISOString();
+    incident.attributes.resolved_by = req.body?.resolved_by || "API";
+    incident.attributes.status = "Resolved";
+    res.json({ data: incident });
+  });
+
+  api.get("/heartbeats", (req, res) => res.json(paginate(req, req.data.heartbeats)));
+
+  app.use("/api/v2", api);
+
+  // Test controls (not part of the BetterStack API): change state between refreshes (?token= picks the dataset)
+  app.use("/__mock", (req, res, next) => {
+    req.data = datasetFor(req.query.token);
+    next();
+  });
+
+  app.post("/__mock/monitors/:monitorId", (req, res) => {
+    const monitor = findMonitor(req, res);
+    if (!monitor) return;
+    Object.assign(monitor.attributes, req.body || {});
+    monitor.attributes.updated_at = new Date().toISOString();
+    res.json({ data: monitor });
+  });
+
+  app.post("/__mock/heartbeats/:heartbeatId", (req, res) => {
+    const heartbeat = req.data.heartbeats.find(hb => hb.id === req.params.heartbeatId);
+    if (!heartbeat) {
+      return res.status(404).json({ errors: "Resource type Heartbeat with id = " + req.params.heartbeatId + " was not found" });
+    }
+    Object.assign(heartbeat.attributes, req.body || {});
+    heartbeat.attributes.updated_at = new Date().toISOString();
+    res.json({ data: heartbeat });
+  });
+
+  // Fail matching API requests: { path: "/monitors" or "/monitors?page=3", method, status: 429, count (default: until cleared), retryAfter }
+  app.post("/__mock/faults", (req, res) => {
+    const { path = "/", method = null, status = 500, count = -1, retryAfter = null } = req.body || {};
+    faults.push({ path, method: method && method.toUpperCase(), status, remaining: count, retryAfter });
+    res.json({ success: true, faults });
+  });
+
+  app.delete("/__mock/faults", (req, res) => {
+    faults.length = 0;
+    res.json({ success: true });
+  });
+
+  app.post("/__mock/reset", (req, res) => {
+    Object.assign(data, createSeedData({ ...options, ...(req.body || {}) }));
+    accountData.clear();
+    faults.length = 0;
+    res.json({ success: true, seed: data.seed });
+  });
+
+  app.locals.mockData = data;
+  return app;
+};
+
+// Start the mock on a port; resolves with the http.Server and its API URL
+const startMockServer = (port = DEFAULT_PORT, options = {}) => new Promise((resolve, reject) => {
+  const server = createMockApp(options).listen(port, "127.0.0.1", () => {
+    const address = server.address();
+    resolve({ server, apiUrl: `http://127.0.0.1:${address.port}/api/v2` });
+  });
+  server.on("error", reject);
+});
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_BETTERSTACK_PORT, 10) || DEFAULT_PORT;
+  const seed = parseInt(process.env.MOCK_SEED, 10) || 42;
+  startMockServer(port, { seed }).then(({ apiUrl }) => {
+    console.log(`Mock BetterStack API running at ${apiUrl} (seed ${seed})`);
+  });
+}
+
+module.exports = { createMockApp, createSeedData, startMockServer };
@@ -0,0 +1,99 @@
+// Monitor configuration drift - every refresh compares the monitors BetterStack returns with the stored
+// copies attribute by attribute, so edits made outside the dashboard (check frequency, URL, regions, request
+// headers, ...) end up in a change log, along with monitors that were added or removed.
+
+// Attributes that describe what a monitor is doing rather than how it is configured
+const STATE_ATTRIBUTES = ["status", "last_checked_at", "updated_at", "created_at"];
+const CHANGE_TYPES = ["added", "removed", "changed"];
+// Attributes carrying credentials (request header values, basic auth password): kept out of the change log
+const SECRET_ATTRIBUTES = ["request_headers", "auth_password"];
+const REDACTED = "[redacted]";
+
+// JSON with sorted object keys and sorted lists of plain values, so reordered regions or
+// headers serialized in another key order don't count as changes
+const canonical = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(canonical);
+    return value.every(item => item === null || typeof item !== "object") ? items.sort() : items;
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  }
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(canonical(a ?? null)) === JSON.stringify(canonical(b ?? null));
+
+const nameOf = (monitor) => monitor.attributes?.pronounceable_name || monitor.attributes?.url || monitor.id;
+
+// Value of an attribute with its credentials replaced by REDACTED (header names stay visible)
+const redactAttribute = (field, value) => {
+  if (!SECRET_ATTRIBUTES.includes(field) || value === null || value === undefined) return value;
+  if (field === "request_headers" && Array.isArray(value)) {
+    return value.map(header => header && typeof header === "object" ? { ...header, value: REDACTED } : REDACTED);
+  }
+  return REDACTED;
+};
+
+// Configuration attributes that differ between two copies of a monitor: [{ field, oldValue, newValue }]
+const diffAttributes = (before, after) => {
+  const fields = new Set([...Object.keys(before.attributes || {}), ...Object.keys(after.attributes || {})]);
+  return [...fields]
+    .filter(field => !STATE_ATTRIBUTES.includes(field))
+    .filter(field => !sameValue(before.attributes?.[field], after.attributes?.[field]))
+    .sort()
+    .map(field => ({ field, oldValue: before.attributes?.[field] ?? null, newValue: after.attributes?.[field] ?? null }));
+};
+
+// Change log rows between two lists of one account's monitors: one per added or removed monitor
+// (field null) and one per changed attribute, with credentials redacted
+const diffMonitorConfigs = (previous, current) => {
+  const previousById = new Map(previous.map(m => [m.id, m]));
+  const changes = [];
+  const row = (monitor, changeType, change = {}) => ({
+    monitorId: monitor.id,
+    account: monitor.account ?? null,
+    monitorName: nameOf(monitor),
+    changeType,
+    field: change.field ?? null,
+    oldValue: redactAttribute(change.field, change.oldValue) ?? null,
+    newValue: redactAttribute(change.field, change.newValue) ?? null,
+  });
+
+  for (const monitor of current) {
+    const before = previousById.get(monitor.id);
+    if (!before) {
+      changes.push(row(monitor, "added"));
+    } else {
+      diffAttributes(before, monitor).forEach(change => changes.push(row(monitor, "changed", change)));
+    }
+    previousById.delete(monitor.id);
+  }
+  previousById.forEach(monitor => changes.push(row(monitor, "removed")));
+  return changes;
+};
+
+// Validate change log filters from a query string: { value } or { error }
+const parseChangeFilters = (query = {}) => {
+  const changeType = query.type || null;
+  if (changeType && !CHANGE_TYPES.includes(changeType)) {
+    return { error: `type must be one of: ${CHANGE_TYPES.join(", ")}` };
+  }
+  for (const key of ["from", "to"]) {
+    if (query[key] && !/^\d{4}-\d{2}-\d{2}$/.test(query[key])) return { error: `${key} must be a date (YYYY-MM-DD)` };
+  }
+
+  return {
+    value: {
+      monitorId: query.monitorId || null,
+      field: query.field || null,
+      changeType,
+      from: query.from || null,
+      to: query.to || null,
+      page: Math.max(parseInt(query.page, 10) || 1, 1),
+      perPage: Math.min(Math.max(parseInt(query.perPage, 10) || 50, 1), 200),
+    },
+  };
+};
+
+module.exports = { STATE_ATTRIBUTES, SECRET_ATTRIBUTES, REDACTED, redactAttribute, diffAttributes, diffMonitorConfigs, parseChangeFilters };
@@ -0,0 +1,80 @@
+// Upstream provider - owns every call to the BetterStack Uptime API.
+// Point apiUrl at mock-server.js to run the dashboard without a real token.
+// Requests go through a shared HTTP client (retries, rate limits, circuit breaker), one per account.
+const { createHttpClient, ProviderError } = require("./http-client");
+
+const DEFAULT_API_URL = "https://uptime.betterstack.com/api/v2";
+
+// clientOptions: createHttpClient options (maxConcurrency, maxRetries, ...)
+const createProvider = ({ apiUrl = DEFAULT_API_URL, apiToken, ...clientOptions } = {}) => {
+  const baseUrl = apiUrl.replace(/\/+$/, "");
+  const client = createHttpClient(clientOptions);
+
+  // Call a path relative to the API root and return the parsed JSON body (GET unless a method is given)
+  // endpoint: path pattern the request is counted under in stats()
+  const request = (pathname, { method = "GET", body, endpoint } = {}) => client.request(`${baseUrl}${pathname}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${apiToken}`,
+      ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    endpoint: `${method} ${endpoint || pathname.split("?")[0]}`,
+  });
+
+  return {
+    apiUrl: baseUrl,
+
+    // Circuit breaker state and per-endpoint request/error counters
+    stats: () => client.stats(),
+
+    // One page of monitors ({ data, pagination })
+    fetchMonitorsPage: (page, perPage = 50) =>
+      request(`/monitors?page=${page}&per_page=${perPage}`),
+
+    // One page of incidents ({ data, pagination })
+    fetchIncidentsPage: (page, perPage = 50) =>
+      request(`/incidents?per_page=${perPage}&page=${page}`),
+
+    // All heartbeats ({ data })
+    fetchHeartbeats: () => request(`/heartbeats`),
+
+    // SLA summary for one monitor over a date range ({ data: { id, attributes } })
+    fetchMonitorSla: (monitorId, from, to) =>
+      request(`/monitors/${encodeURIComponent(monitorId)}/sla?from=${from}&to=${to}`, { endpoint: "/monitors/:id/sla" }),
+
+    // Response times per region for one monitor ({ data: { attributes: { regions } } })
+    fetchResponseTimes: (monitorId, from, to) =>
+      request(`/monitors/${encodeURIComponent(monitorId)}/response-times?from=${from}&to=${to}`, {
+        endpoint: "/monitors/:id/response-times",
+      }),
+
+    // Pause or resume a monitor; resolves with the updated monitor ({ data })
+    setMonitorPaused: (monitorId, paused) =>
+      request(`/monitors/${encodeURIComponent(monitorId)}`, { method: "PATCH", body: { paused }, endpoint: "/monitors/:id" }),
+
+    // Create a monitor / change some of its attributes (BetterStack's attribute names); resolves with the monitor ({ data })
+    createMonitor: (attributes) =>
+      request(`/monitors`, { method: "POST", body: attributes }),
+
+    updateMonitor: (monitorId, attributes) =>
+      request(`/monitors/${encodeURIComponent(monitorId)}`, { method: "PATCH", body: attributes, endpoint: "/monitors/:id" }),
+
+    // Acknowledge / resolve an incident on behalf of a dashboard user ({ data })
+    acknowledgeIncident: (incidentId, acknowledgedBy) =>
+      request(`/incidents/${encodeURIComponent(incidentId)}/acknowledge`, {
+        method: "POST",
+        body: { acknowledged_by: acknowledgedBy },
+        endpoint: "/incidents/:id/acknowledge",
+      }),
+
+    resolveIncident: (incidentId, resolvedBy) =>
+      request(`/incidents/${encodeURIComponent(incidentId)}/resolve`, {
+        method: "POST",
+        body: { resolved_by: resolvedBy },
+        endpoint: "/incidents/:id/resolve",
+      }),
+  };
+};
+
+module.exports = { createProvider, ProviderError, DEFAULT_API_URL };
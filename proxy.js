@@ -0,0 +1,289 @@
+// Outbound requests for the request builder (/api/proxy) and synthetic checks. Targets are checked against an allow-list and
+// a deny-list, and private, loopback and link-local addresses are blocked unless explicitly allowed.
+// The check runs on the addresses the connection actually uses (custom DNS lookup), on every redirect hop.
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
+
+const METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Addresses nobody outside this network should make us call: "this" network, RFC 1918, CGNAT, loopback,
+// link-local (cloud metadata), IETF/benchmark ranges, multicast and reserved; the IPv6 equivalents
+const PRIVATE_RANGES = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["64:ff9b::", 96, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+const privateAddresses = new net.BlockList();
+PRIVATE_RANGES.forEach(([address, prefix, type]) => privateAddresses.addSubnet(address, prefix, type));
+
+const blocked = (message) => {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+};
+
+// "::ffff:10.0.0.1" / "::ffff:a00:1" -> "10.0.0.1", so mapped addresses get the IPv4 rules
+const normalizeAddress = (address) => {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) return dotted[1];
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (!hex) return address;
+  const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+};
+
+const typeOf = (address) => net.isIPv6(address) ? "ipv6" : "ipv4";
+
+// Comma-separated list of hosts ("api.example.com", "*.example.com") and addresses/CIDRs ("10.1.0.0/16")
+// -> { hosts: [pattern], addresses: BlockList }. Throws on an invalid CIDR.
+const parseTargetList = (text = "") => {
+  const hosts = [];
+  const addresses = new net.BlockList();
+  for (const entry of text.split(",").map(e => e.trim().toLowerCase()).filter(Boolean)) {
+    const [address, prefix] = entry.split("/");
+    if (net.isIP(address)) {
+      const type = typeOf(address);
+      const bits = prefix === undefined ? (type === "ipv6" ? 128 : 32) : Number(prefix);
+      if (!Number.isInteger(bits) || bits < 0 || bits > (type === "ipv6" ? 128 : 32)) {
+        throw new Error(`invalid CIDR "${entry}"`);
+      }
+      addresses.addSubnet(address, bits, type);
+    } else {
+      hosts.push(entry);
+    }
+  }
+  return { hosts, addresses, empty: hosts.length === 0 && addresses.rules.length === 0 };
+};
+
+const hostMatches = (hostname, patterns) => patterns.some(pattern => pattern.startsWith("*.")
+  ? hostname.endsWith(pattern.slice(1))
+  : hostname === pattern);
+
+// allowList/denyList: parseTargetList results; allowPrivate: let private addresses through everywhere
+const createTargetPolicy = ({ allowList, denyList, allowPrivate = false }) => {
+  // Host part of a URL; throws when the host alone is enough to refuse it
+  const checkHost = (hostname) => {
+    if (hostMatches(hostname, denyList.hosts)) throw blocked(`Blocked: ${hostname} is on the deny-list`);
+  };
+
+  // Every address a host resolves to must pass; hosts on the allow-list may use private addresses
+  const checkAddress = (hostname, rawAddress) => {
+    const address = normalizeAddress(rawAddress);
+    const type = typeOf(address);
+    if (denyList.addresses.check(address, type)) throw blocked(`Blocked: ${address} is on the deny-list`);
+    const allowedHost = hostMatches(hostname, allowList.hosts) || allowList.addresses.check(address, type);
+    if (!allowList.empty && !allowedHost) {
+      throw blocked(`Blocked: ${hostname} is not on the allow-list`);
+    }
+    if (!allowPrivate && !allowedHost && privateAddresses.check(address, type)) {
+      throw blocked(net.isIP(hostname)
+        ? `Blocked: ${address} is a private or link-local address`
+        : `Blocked: ${hostname} resolves to a private or link-local address (${address})`);
+    }
+  };
+
+  return { checkHost, checkAddress };
+};
+
+// DNS lookup that refuses addresses the policy blocks (used for the actual connection)
+const guardedLookup = (policy) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    try {
+      addresses.forEach(({ address }) => policy.checkAddress(hostname, address));
+    } catch (blockedError) {
+      return callback(blockedError);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// One request/response without following redirects: { status, statusText, headers, body, truncated, size, timing }
+const requestOnce = (url, { method, headers, body, policy, maxBytes, signal }) => new Promise((resolve, reject) => {
+  const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  try {
+    policy.checkHost(hostname);
+    // IP literals don't go through the lookup
+    if (net.isIP(hostname)) policy.checkAddress(hostname, hostname);
+  } catch (error) {
+    return reject(error);
+  }
+
+  const startedAt = Date.now();
+  const timing = { dnsMs: null, connectMs: null, tlsMs: null, firstByteMs: null, totalMs: null };
+  const client = url.protocol === "https:" ? https : http;
+  const request = client.request(url, {
+    method,
+    headers,
+    lookup: guardedLookup(policy),
+    signal,
+  }, (response) => {
+    timing.firstByteMs = Date.now() - startedAt;
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      timing.totalMs = Date.now() - startedAt;
+      resolve({
+        status: response.statusCode,
+        statusText: response.statusMessage,
+        headers: response.headers,
+        body: Buffer.concat(chunks).toString("utf8"),
+        truncated,
+        size,
+        timing,
+      });
+    };
+
+    // Past maxBytes the rest of the body isn't downloaded
+    response.on("data", (chunk) => {
+      if (truncated) return;
+      const room = maxBytes - size;
+      if (chunk.length > room) {
+        chunks.push(chunk.subarray(0, room));
+        size += room;
+        truncated = true;
+        finish();
+        response.destroy();
+        return;
+      }
+      chunks.push(chunk);
+      size += chunk.length;
+    });
+    response.on("end", finish);
+    response.on("error", (error) => finished || reject(error));
+  });
+
+  request.on("socket", (socket) => {
+    socket.on("lookup", () => { timing.dnsMs = Date.now() - startedAt; });
+    socket.on("connect", () => { timing.connectMs = Date.now() - startedAt; });
+    socket.on("secureConnect", () => { timing.tlsMs = Date.now() - startedAt; });
+  });
+  request.on("error", reject);
+  request.end(body ?? undefined);
+});
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Send a request, following up to maxRedirects redirects; each hop is checked against the policy again.
+// Authorization and cookies are dropped when a redirect leaves the original origin.
+// Returns the final response plus { url, redirects }; timing.redirectMs is the time spent before the last hop.
+const sendRequest = async ({ url, method = "GET", headers = {}, body = null }, {
+  policy,
+  maxBytes,
+  maxRedirects,
+  timeoutMs = REQUEST_TIMEOUT_MS,
+}) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const startedAt = Date.now();
+  const redirects = [];
+  let current = new URL(url);
+  let currentMethod = method;
+  let currentHeaders = { ...headers };
+  let currentBody = body;
+
+  try {
+    for (;;) {
+      const redirectMs = Date.now() - startedAt;
+      const response = await requestOnce(current, {
+        method: currentMethod,
+        headers: currentHeaders,
+        body: currentBody,
+        policy,
+        maxBytes,
+        signal: controller.signal,
+      });
+
+      const location = response.headers.location;
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+        return {
+          ...response,
+          url: current.toString(),
+          redirects,
+          timing: { ...response.timing, redirectMs, totalMs: Date.now() - startedAt },
+        };
+      }
+      if (redirects.length >= maxRedirects) {
+        throw new Error(`Too many redirects (max. ${maxRedirects})`);
+      }
+
+      const next = new URL(location, current);
+      if (!["http:", "https:"].includes(next.protocol)) throw blocked(`Blocked: redirect to ${next.protocol} URL`);
+      redirects.push({ status: response.status, url: next.toString() });
+      if (next.origin !== current.origin) {
+        currentHeaders = Object.fromEntries(Object.entries(currentHeaders)
+          .filter(([name]) => !["authorization", "cookie"].includes(name.toLowerCase())));
+      }
+      // 303, and 301/302 after a POST, continue as GET without a body
+      if (response.status === 303 || ([301, 302].includes(response.status) && currentMethod === "POST")) {
+        currentMethod = "GET";
+        currentBody = null;
+      }
+      current = next;
+    }
+  } catch (error) {
+    if (error.name === "AbortError") throw new Error(`Request timeout (${timeoutMs / 1000}s)`);
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+// Validate a request from the builder: { value } or { error }
+// headers: { name: value } or [{ name, value }]; authValue is the older single Authorization header
+const parseProxyRequest = (input = {}) => {
+  let url;
+  try {
+    url = new URL(String(input.url || "").trim());
+  } catch (error) {
+    return { error: "url must be an absolute http(s) URL" };
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return { error: "url must be an absolute http(s) URL" };
+
+  const method = String(input.method || "GET").toUpperCase();
+  if (!METHODS.includes(method)) return { error: `method must be one of: ${METHODS.join(", ")}` };
+
+  const entries = Array.isArray(input.headers)
+    ? input.headers.map(h => [h?.name, h?.value])
+    : Object.entries(input.headers || {});
+  const headers = {};
+  for (const [name, value] of entries) {
+    if (typeof name !== "string" || !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name) || typeof value !== "string" || /[\r\n]/.test(value)) {
+      return { error: "headers must map header names to single-line string values" };
+    }
+    headers[name] = value;
+  }
+  if (input.authValue && !Object.keys(headers).some(name => name.toLowerCase() === "authorization")) {
+    headers.Authorization = String(input.authValue);
+  }
+
+  const body = input.body === undefined || input.body === null || input.body === "" ? null : String(input.body);
+  if (body !== null && ["GET", "HEAD"].includes(method)) return { error: `${method} requests can't have a body` };
+
+  return { value: { url: url.toString(), method, headers, body } };
+};
+
+module.exports = { METHODS, parseTargetList, createTargetPolicy, parseProxyRequest, sendRequest };
@@ -0,0 +1,235 @@
+// SLA/uptime reports - per-monitor availability, downtime and incidents for a period and (optional) group,
+// exported as JSON, CSV or a printable HTML page. Last month's reports are generated once and stored in SQLite.
+const database = require("./database");
+const { summarizeUptime } = require("./heatmap");
+
+const FORMATS = ["json", "csv", "html"];
+
+// First and last day (YYYY-MM-DD) of the calendar month before `now` (UTC)
+const previousMonthRange = (now = new Date()) => {
+  const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0));
+  return { from: from.toISOString().split("T")[0], to: to.toISOString().split("T")[0] };
+};
+
+const round = (value, digits = 3) => value === null || value === undefined
+  ? null
+  : Math.round(value * 10 ** digits) / 10 ** digits;
+
+// One report row per monitor: BetterStack SLA (from the SLA cache) next to our own tracked uptime
+const buildRows = (monitors, slaByMonitor, dailyByMonitor, categorize) => monitors.map(monitor => {
+  const sla = slaByMonitor[monitor.id] || {};
+  const days = (dailyByMonitor[monitor.id] || []).map(d => ({ ...d, downtime: d.downtimeMinutes }));
+  return {
+    monitorId: monitor.id,
+    name: monitor.attributes?.pronounceable_name || monitor.attributes?.url || monitor.id,
+    url: monitor.attributes?.url || "",
+    category: categorize(monitor),
+    availability: sla.availability ?? null,
+    downtimeSeconds: sla.totalDowntime ?? null,
+    incidents: sla.numberOfIncidents ?? null,
+    longestIncidentSeconds: sla.longestIncident ?? null,
+    maintenanceSeconds: sla.maintenanceSeconds || 0,
+    trackedUptime: summarizeUptime(days),
+    daysWithDowntime: days.filter(d => d.downtimeMinutes > 0).length,
+    source: sla.source || null,
+  };
+}).sort((a, b) => (a.availability ?? Infinity) - (b.availability ?? Infinity) || a.name.localeCompare(b.name));
+
+const summarizeRows = (rows) => {
+  const withAvailability = rows.filter(r => r.availability !== null);
+  return {
+    monitors: rows.length,
+    averageAvailability: withAvailability.length > 0
+      ? round(withAvailability.reduce((sum, r) => sum + r.availability, 0) / withAvailability.length)
+      : null,
+    totalDowntimeSeconds: rows.reduce((sum, r) => sum + (r.downtimeSeconds || 0), 0),
+    totalIncidents: rows.reduce((sum, r) => sum + (r.incidents || 0), 0),
+    below999: withAvailability.filter(r => r.availability < 99.9).length,
+    below99: withAvailability.filter(r => r.availability < 99).length,
+    missing: rows.length - withAvailability.length,
+  };
+};
+
+// ============== FORMATS ==============
+
+const CSV_COLUMNS = [
+  ["monitorId", "Monitor ID"],
+  ["name", "Monitor"],
+  ["url", "URL"],
+  ["category", "Category"],
+  ["availability", "Availability (%)"],
+  ["downtimeSeconds", "Downtime (s)"],
+  ["incidents", "Incidents"],
+  ["longestIncidentSeconds", "Longest incident (s)"],
+  ["maintenanceSeconds", "Maintenance (s)"],
+  ["trackedUptime", "Tracked uptime (%)"],
+  ["daysWithDowntime", "Days with downtime"],
+  ["source", "Source"],
+];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (report) => {
+  const lines = [CSV_COLUMNS.map(([, label]) => csvValue(label)).join(",")];
+  for (const row of report.rows) {
+    lines.push(CSV_COLUMNS.map(([key]) => csvValue(row[key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+};
+
+const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const formatSeconds = (seconds) => {
+  if (!seconds) return "-";
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
+
+const formatPercent = (value) => value === null ? "N/A" : `${value.toFixed(3)}%`;
+
+// Standalone page meant for "Print / Save as PDF"
+const toHtml = (report) => {
+  const { summary, period } = report;
+  const title = `Uptime report ${period.from} to ${period.to}${report.group ? ` - ${report.group.name}` : ""}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #111; margin: 2rem; font-size: 12px; }
+  h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+  .meta { color: #555; margin-bottom: 1.5rem; }
+  .summary { display: flex; gap: 2rem; margin-bottom: 1.5rem; }
+  .summary div { font-size: 0.8rem; color: #555; }
+  .summary strong { display: block; font-size: 1.2rem; color: #111; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #ddd; }
+  th { background: #f3f4f6; font-size: 0.7rem; text-transform: uppercase; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .bad { color: #b91c1c; font-weight: 600; }
+  .warning { color: #b45309; }
+  tr { page-break-inside: avoid; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">Generated ${escapeHtml(new Date(report.generatedAt).toUTCString())}</div>
+<div class="summary">
+  <div><strong>${summary.monitors}</strong>Monitors</div>
+  <div><strong>${formatPercent(summary.averageAvailability)}</strong>Average availability</div>
+  <div><strong>${summary.totalIncidents}</strong>Incidents</div>
+  <div><strong>${formatSeconds(summary.totalDowntimeSeconds)}</strong>Total downtime</div>
+  <div><strong>${summary.below999}</strong>Below 99.9%</div>
+</div>
+<table>
+<thead>
+<tr><th>Monitor</th><th>Category</th><th>Availability</th><th>Downtime</th><th>Incidents</th><th>Longest incident</th><th>Tracked uptime</th></tr>
+</thead>
+<tbody>
+${report.rows.map(row => `<tr>
+<td>${escapeHtml(row.name)}<br><small>${escapeHtml(row.url)}</small></td>
+<td>${escapeHtml(row.category)}</td>
+<td class="num ${row.availability !== null && row.availability < 99 ? "bad" : row.availability !== null && row.availability < 99.9 ? "warning" : ""}">${formatPercent(row.availability)}</td>
+<td class="num">${formatSeconds(row.downtimeSeconds)}</td>
+<td class="num">${row.incidents ?? "-"}</td>
+<td class="num">${formatSeconds(row.longestIncidentSeconds)}</td>
+<td class="num">${row.trackedUptime === null ? "-" : `${row.trackedUptime}%`}</td>
+</tr>`).join("\n")}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+// { contentType, body, extension } of a report in one of FORMATS
+const renderReport = (report, format) => {
+  switch (format) {
+    case "csv":
+      return { contentType: "text/csv; charset=utf-8", body: toCsv(report), extension: "csv" };
+    case "html":
+      return { contentType: "text/html; charset=utf-8", body: toHtml(report), extension: "html" };
+    default:
+      return { contentType: "application/json; charset=utf-8", body: JSON.stringify(report, null, 2), extension: "json" };
+  }
+};
+
+// ============== SERVICE ==============
+
+// getGroups: compiled monitor groups (groups.compileGroups), so reports follow the current rules
+const createReportService = ({ slaService, getMonitors, getGroups, categorize }) => {
+  // Build a report; waits until the SLA cache covers the period (refreshing missing/stale entries)
+  const generate = async ({ from, to, groupId = null }) => {
+    const group = groupId === null ? null : getGroups().find(g => g.id === groupId);
+    if (groupId !== null && !group) {
+      const error = new Error("Group not found");
+      error.status = 404;
+      throw error;
+    }
+
+    await slaService.refreshRange(from, to);
+    const monitors = getMonitors().filter(m => !group || group.matches(m));
+    const rows = buildRows(monitors, database.getSlaCache(from, to), database.getDailyStatusBetween(from, to), categorize);
+
+    return {
+      period: { from, to },
+      group: group ? { id: group.id, name: group.name } : null,
+      generatedAt: new Date().toISOString(),
+      summary: summarizeRows(rows),
+      rows,
+    };
+  };
+
+  // Last month's report for all monitors and for each group, unless already stored
+  const runSchedule = async (now = new Date()) => {
+    const { from, to } = previousMonthRange(now);
+    const month = from.slice(0, 7);
+    const targets = [null, ...getGroups().map(g => g.id)];
+
+    for (const groupId of targets) {
+      if (database.hasScheduledReport(from, to, groupId)) continue;
+      try {
+        const report = await generate({ from, to, groupId });
+        database.saveReport({
+          name: `${month} ${report.group ? report.group.name : "All monitors"}`,
+          report,
+          groupId,
+          scheduled: true,
+          createdBy: "scheduler",
+        });
+        console.log(`Monthly report ${month} stored (${report.group ? report.group.name : "all monitors"})`);
+      } catch (error) {
+        console.error(`Monthly report ${month} failed:`, error.message);
+      }
+    }
+  };
+
+  let scheduleRunning = false;
+
+  return {
+    generate,
+
+    // Called after every monitor refresh: generates whatever is missing for last month (one run at a time)
+    checkSchedule: () => {
+      if (scheduleRunning || getMonitors().length === 0) return;
+      scheduleRunning = true;
+      runSchedule().finally(() => {
+        scheduleRunning = false;
+      });
+    },
+  };
+};
+
+module.exports = { FORMATS, createReportService, renderReport, previousMonthRange };
@@ -0,0 +1,210 @@
+// Response-time history - samples per monitor and region are pulled from BetterStack in the background
+// (synthetic checks write theirs directly), stored in SQLite and summarized into hourly and daily
+// p50/p95/p99. A monitor is flagged as regressed when its p95 over the last 24 hours clearly exceeds
+// its own baseline (the median daily p95 of the two weeks before).
+const database = require("./database");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Stats rows for every region together
+const ALL_REGIONS = "all";
+// Stats are kept this long (raw samples: retentionDays)
+const HOURLY_STATS_DAYS = 30;
+const DAILY_STATS_DAYS = 400;
+// Baseline: daily p95s of these days before yesterday; at least BASELINE_MIN_DAYS of them
+const BASELINE_DAYS = 14;
+const BASELINE_MIN_DAYS = 5;
+
+// Nearest-rank percentile of sorted values
+const percentile = (sorted, p) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// { samples, avgMs, minMs, maxMs, p50Ms, p95Ms, p99Ms } of response times (ms)
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    samples: sorted.length,
+    avgMs: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    minMs: sorted[0],
+    maxMs: sorted[sorted.length - 1],
+    p50Ms: percentile(sorted, 50),
+    p95Ms: percentile(sorted, 95),
+    p99Ms: percentile(sorted, 99),
+  };
+};
+
+// Start of the UTC hour/day an ISO timestamp falls in
+const bucketStart = (at, bucket) => {
+  const ms = Date.parse(at);
+  return new Date(ms - (ms % (bucket === "hour" ? HOUR_MS : DAY_MS))).toISOString();
+};
+
+// Stats rows of samples: per region and for all regions together, per hour and per day
+const buildStats = (samples) => {
+  const groups = new Map();
+  const add = (region, bucket, start, value) => {
+    const key = `${region}|${bucket}|${start}`;
+    if (!groups.has(key)) groups.set(key, { region, bucket, bucketStart: start, values: [] });
+    groups.get(key).values.push(value);
+  };
+  for (const sample of samples) {
+    for (const bucket of ["hour", "day"]) {
+      const start = bucketStart(sample.at, bucket);
+      add(sample.region, bucket, start, sample.responseTime);
+      add(ALL_REGIONS, bucket, start, sample.responseTime);
+    }
+  }
+  return [...groups.values()].map(({ values, ...group }) => ({ ...group, ...summarize(values) }));
+};
+
+// retentionDays: raw samples kept; syncIntervalMs: how often each monitor is pulled from BetterStack
+// backfillDays: history fetched the first time a monitor is synced
+// thresholdPercent/minDeltaMs: how far above the baseline the recent p95 must be to count as a regression
+// providerFor(monitorId), isLocalOnly(monitorId): as in sla.js
+const createResponseTimeService = ({
+  providerFor,
+  getMonitors,
+  isLocalOnly = () => false,
+  syncIntervalMs = HOUR_MS,
+  backfillDays = 7,
+  retentionDays = 7,
+  thresholdPercent = 50,
+  minDeltaMs = 100,
+}) => {
+  let running = null; // promise of the sync in progress
+  let regressions = new Map(); // monitorId -> regression, from the last check
+
+  // Store samples ([{ region, at, responseTime }]) and recompute the stats of the days they fall in
+  const record = (monitorId, samples) => {
+    const valid = samples.filter(s => s.at && Number.isFinite(s.responseTime) && s.responseTime > 0);
+    if (valid.length === 0) return 0;
+    const added = database.saveResponseTimeSamples(monitorId, valid);
+    if (added > 0) {
+      const firstDay = valid.map(s => bucketStart(s.at, "day")).sort()[0];
+      database.saveResponseTimeStats(monitorId, buildStats(database.getResponseTimeSamples(monitorId, firstDay)));
+    }
+    return added;
+  };
+
+  // BetterStack's regions payload -> samples
+  const toSamples = (regions = []) => regions.flatMap(region => (region.response_times || [])
+    .map(rt => ({ region: region.region, at: rt.at, responseTime: rt.response_time })));
+
+  // Pull one monitor's samples since its last sync (whole days: the API takes dates)
+  const syncMonitor = async (monitorId, syncedAt, now) => {
+    const from = new Date(syncedAt ? Date.parse(syncedAt) : now - backfillDays * DAY_MS).toISOString().split("T")[0];
+    const to = new Date(now).toISOString().split("T")[0];
+    const data = await providerFor(monitorId).fetchResponseTimes(monitorId, from, to);
+    const added = record(monitorId, toSamples(data.data?.attributes?.regions));
+    database.setResponseTimeSynced(monitorId, new Date(now).toISOString());
+    return added;
+  };
+
+  // Regression of one monitor, or null: { recentP95Ms, baselineP95Ms, changePercent, samples, baselineDays }
+  const checkRegression = (monitorId, recentSamples, now) => {
+    if (recentSamples.length < 10) return null;
+    const yesterday = bucketStart(new Date(now - DAY_MS).toISOString(), "day");
+    const baselineDays = database.getResponseTimeStats(monitorId, "day", new Date(Date.parse(yesterday) - BASELINE_DAYS * DAY_MS).toISOString())
+      .filter(row => row.region === ALL_REGIONS && row.bucketStart < yesterday && row.p95Ms !== null);
+    if (baselineDays.length < BASELINE_MIN_DAYS) return null;
+
+    const baselineP95Ms = Math.round(median(baselineDays.map(row => row.p95Ms)));
+    const { p95Ms: recentP95Ms } = summarize(recentSamples.map(s => s.responseTime));
+    const changePercent = Math.round(((recentP95Ms - baselineP95Ms) / baselineP95Ms) * 1000) / 10;
+    if (changePercent < thresholdPercent || recentP95Ms - baselineP95Ms < minDeltaMs) return null;
+    return { recentP95Ms, baselineP95Ms, changePercent, samples: recentSamples.length, baselineDays: baselineDays.length };
+  };
+
+  // Recompute the regression flags of every monitor from the stored samples
+  const checkRegressions = (now = Date.now()) => {
+    const recent = database.getAllResponseTimeSamplesSince(new Date(now - DAY_MS).toISOString());
+    const next = new Map();
+    for (const monitor of getMonitors()) {
+      const regression = checkRegression(monitor.id, recent[monitor.id] || [], now);
+      if (regression) next.set(monitor.id, { ...regression, detectedAt: regressions.get(monitor.id)?.detectedAt || new Date(now).toISOString() });
+    }
+    const added = [...next.keys()].filter(id => !regressions.has(id));
+    const cleared = [...regressions.keys()].filter(id => !next.has(id));
+    regressions = next;
+    return { added, cleared };
+  };
+
+  const prune = (now) => {
+    database.pruneResponseTimes({
+      samplesBefore: new Date(now - retentionDays * DAY_MS).toISOString(),
+      hourlyBefore: new Date(now - HOURLY_STATS_DAYS * DAY_MS).toISOString(),
+      dailyBefore: new Date(now - DAILY_STATS_DAYS * DAY_MS).toISOString(),
+    });
+  };
+
+  // Pull every active BetterStack monitor not synced within syncIntervalMs, then prune and re-check
+  // regressions. Resolves with { synced, failed, samples, added, cleared }; one run at a time.
+  const sync = () => {
+    if (running) return running;
+    running = (async () => {
+      const now = Date.now();
+      const syncs = database.getResponseTimeSyncs();
+      const pending = getMonitors().filter(m => !isLocalOnly(m.id) && !m.attributes?.paused &&
+        (!syncs[m.id] || now - Date.parse(syncs[m.id]) >= syncIntervalMs));
+      let failed = 0;
+      let samples = 0;
+      await Promise.all(pending.map(m => syncMonitor(m.id, syncs[m.id], now)
+        .then(added => { samples += added; })
+        .catch(() => { failed++; })));
+      prune(now);
+      const changes = checkRegressions(now);
+      if (pending.length > 0) {
+        console.log(`Response times: ${pending.length - failed} monitors synced (${samples} new samples), ${failed} failed, ` +
+          `${regressions.size} regressed`);
+      }
+      return { synced: pending.length - failed, failed, samples, ...changes };
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  };
+
+  return {
+    record,
+    toSamples,
+    sync,
+    checkRegressions,
+
+    regressions: () => Object.fromEntries(regressions),
+
+    // Chart data of one monitor over `days`: hourly buckets up to 7 days, daily beyond.
+    // { bucket, series: { [region]: [stats] }, regression }
+    getHistory: (monitorId, days, now = Date.now()) => {
+      const bucket = days <= 7 ? "hour" : "day";
+      const since = bucketStart(new Date(now - days * DAY_MS).toISOString(), bucket);
+      const series = {};
+      for (const row of database.getResponseTimeStats(monitorId, bucket, since)) {
+        const { region, ...point } = row;
+        (series[region] || (series[region] = [])).push(point);
+      }
+      return { bucket, series, regression: regressions.get(monitorId) || null };
+    },
+
+    // Last 24 hours of every monitor, all regions together:
+    // { [monitorId]: { samples, avgMs, minMs, maxMs, p50Ms, p95Ms, p99Ms, regions, regression } }
+    getSummary: (now = Date.now()) => {
+      const recent = database.getAllResponseTimeSamplesSince(new Date(now - DAY_MS).toISOString());
+      return Object.fromEntries(Object.entries(recent).map(([monitorId, samples]) => {
+        const stats = summarize(samples.map(s => s.responseTime));
+        return [monitorId, {
+          ...stats,
+          avgMs: Math.round(stats.avgMs),
+          regions: [...new Set(samples.map(s => s.region))],
+          regression: regressions.get(monitorId) || null,
+        }];
+      }));
+    },
+  };
+};
+
+module.exports = { createResponseTimeService };
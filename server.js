@@ -2,21 +2,230 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
+const fs = require("fs");
+const os = require("os");
 const session = require("express-session");
 const database = require("./database");
+const { createProvider, DEFAULT_API_URL } = require("./provider");
+const { startMockServer } = require("./mock-server");
+const { createAlerter, buildMonitorEvents, buildIncidentEvents } = require("./alerts");
+const { buildHeatmapDays, summarizeUptime } = require("./heatmap");
+const { loadStatusPageConfig, buildPublicStatus } = require("./status-page");
+const { renderMetrics } = require("./metrics");
+const { createEventBroadcaster, diffMonitors, diffIncidents } = require("./events");
+const { createSlaService, defaultSlaRange } = require("./sla");
+const { RULE_FIELDS, parseGroupInput, compileGroups, groupIdsForMonitor, groupMonitors } = require("./groups");
+const { RECURRENCES, isValidTimeZone, parseMaintenanceInput, expandOccurrences, maintenanceByMonitor } = require("./maintenance");
+const { buildIncidentAnalytics } = require("./analytics");
+const { FORMATS: REPORT_FORMATS, createReportService, renderReport } = require("./reports");
+const { parseAccounts, publicAccount } = require("./accounts");
+const { parseTargetList, createTargetPolicy, parseProxyRequest, sendRequest } = require("./proxy");
+const { isSyntheticId, checkIdOf, parseCheckInput, runCheck, toSyntheticMonitor, createCheckScheduler } = require("./synthetic");
+const { createBackupService } = require("./backup");
+const { createResponseTimeService } = require("./response-times");
+const { createFlappingDetector } = require("./flapping");
+const { diffMonitorConfigs, parseChangeFilters } = require("./monitor-changes");
+const { FORMATS: CONFIG_FORMATS, buildConfigExport, renderConfig, parseConfigFile, planConfigImport, redactPlan } = require("./config-file");
+const {
+  isLocalHeartbeatId,
+  localIdOf,
+  generatePingToken,
+  parseHeartbeatInput,
+  fromBetterStack,
+  fromLocal,
+} = require("./heartbeats");
+const {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  TOKEN_SCOPES,
+  hashPassword,
+  verifyPassword,
+  safeEqual,
+  hasRole,
+  isValidRole,
+  generateApiToken,
+  hashApiToken,
+  scopeForPath,
+} = require("./auth");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Auth credentials from environment
+// Initial admin account, created from these when the users table is empty
 const AUTH_USERNAME = process.env.AUTH_USERNAME || "admin";
 const AUTH_PASSWORD = process.env.AUTH_PASSWORD || "admin";
 const SESSION_SECRET = process.env.SESSION_SECRET || "betterstack-dashboard-secret-change-me";
 
-const BETTERSTACK_API_TOKEN = process.env.BETTERSTACK_API_TOKEN;
-const BETTERSTACK_API_URL = "https://uptime.betterstack.com/api/v2";
+// Set MOCK_BETTERSTACK=true to start the bundled fake API and use it instead of BetterStack
+const MOCK_BETTERSTACK = process.env.MOCK_BETTERSTACK === "true";
+const MOCK_BETTERSTACK_PORT = parseInt(process.env.MOCK_BETTERSTACK_PORT, 10) || 4010;
+
+const BETTERSTACK_API_TOKEN = process.env.BETTERSTACK_API_TOKEN || (MOCK_BETTERSTACK ? "mock-token" : undefined);
+const BETTERSTACK_API_URL = MOCK_BETTERSTACK
+  ? `http://127.0.0.1:${MOCK_BETTERSTACK_PORT}/api/v2`
+  : process.env.BETTERSTACK_API_URL || DEFAULT_API_URL;
 const BETTERSTACK_TEAM_ID = process.env.BETTERSTACK_TEAM_ID || "";
 
+// BetterStack accounts (BETTERSTACK_ACCOUNTS, or the single account above); with the mock they all use the mock API
+let accounts;
+try {
+  accounts = parseAccounts(process.env.BETTERSTACK_ACCOUNTS, {
+    apiUrl: BETTERSTACK_API_URL,
+    apiToken: BETTERSTACK_API_TOKEN,
+    teamId: BETTERSTACK_TEAM_ID,
+  }).map(account => MOCK_BETTERSTACK ? { ...account, apiUrl: BETTERSTACK_API_URL } : account);
+} catch (error) {
+  console.error("Invalid BETTERSTACK_ACCOUNTS:", error.message);
+  process.exit(1);
+}
+
+// Upstream client limits (per account): requests in flight, retries of rate-limited/failed requests,
+// and consecutive failures before the circuit opens (further calls fail fast for the cooldown)
+const UPSTREAM_CONCURRENCY = parseInt(process.env.UPSTREAM_CONCURRENCY, 10) || 4;
+const UPSTREAM_MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.UPSTREAM_MAX_RETRIES, 10) : 3;
+const UPSTREAM_BREAKER_THRESHOLD = parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD, 10) || 5;
+const UPSTREAM_BREAKER_COOLDOWN_SECONDS = parseInt(process.env.UPSTREAM_BREAKER_COOLDOWN_SECONDS, 10) || 60;
+
+// All upstream calls go through one provider per account; each account refreshes on its own
+const accountStates = new Map(accounts.map(account => [account.id, {
+  account,
+  provider: createProvider({
+    apiUrl: account.apiUrl,
+    apiToken: account.apiToken,
+    maxConcurrency: UPSTREAM_CONCURRENCY,
+    maxRetries: UPSTREAM_MAX_RETRIES,
+    breakerThreshold: UPSTREAM_BREAKER_THRESHOLD,
+    breakerCooldownMs: UPSTREAM_BREAKER_COOLDOWN_SECONDS * 1000,
+  }),
+  isLoading: false,
+  loadingProgress: { current: 0, total: 0 },
+  lastUpdated: null,
+  lastError: null,
+  heartbeatsError: null,
+}]));
+const defaultAccountId = accounts[0].id;
+
+// Account of a monitor or incident (rows from before multi-account support belong to the first account)
+const accountOf = (item) => item?.account || defaultAccountId;
+const providerFor = (accountId) => (accountStates.get(accountId) || accountStates.get(defaultAccountId)).provider;
+
+// ?account= filter of read routes: { accountId } (null = all accounts) or { error }
+const accountFromQuery = (query) => {
+  const accountId = query.account || null;
+  if (accountId && !accountStates.has(accountId)) return { error: `Unknown account: ${accountId}` };
+  return { accountId };
+};
+const inAccount = (accountId) => (item) => !accountId || accountOf(item) === accountId;
+
+// Public status page config (components -> monitor IDs); the page is disabled without it
+const STATUS_PAGE_CONFIG = process.env.STATUS_PAGE_CONFIG || path.join(__dirname, "status-page.json");
+let statusPageConfig = null;
+try {
+  statusPageConfig = loadStatusPageConfig(STATUS_PAGE_CONFIG);
+} catch (error) {
+  console.error("Invalid status page config:", error.message);
+}
+
+// Optional bearer token protecting /metrics (open when unset)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+
+// Request builder (/api/proxy) and synthetic checks: allowed/denied targets (hosts, *.domains, IPs/CIDRs);
+// private and link-local addresses are refused unless allow-listed or PROXY_ALLOW_PRIVATE=true
+const PROXY_MAX_RESPONSE_KB = parseInt(process.env.PROXY_MAX_RESPONSE_KB, 10) || 1024;
+const PROXY_MAX_REDIRECTS = parseInt(process.env.PROXY_MAX_REDIRECTS, 10) || 5;
+let proxyPolicy;
+try {
+  proxyPolicy = createTargetPolicy({
+    allowList: parseTargetList(process.env.PROXY_ALLOWLIST),
+    denyList: parseTargetList(process.env.PROXY_DENYLIST),
+    allowPrivate: process.env.PROXY_ALLOW_PRIVATE === "true",
+  });
+} catch (error) {
+  console.error("Invalid PROXY_ALLOWLIST/PROXY_DENYLIST:", error.message);
+  process.exit(1);
+}
+
+// Notification channels (webhook, Slack, email) configured from ALERT_* / SMTP_* variables
+const alerter = createAlerter();
+
+// SLA results are cached in SQLite and refreshed in the background after each monitor refresh
+const SLA_CONCURRENCY = parseInt(process.env.SLA_CONCURRENCY, 10) || 4;
+const SLA_MAX_AGE_MINUTES = parseInt(process.env.SLA_MAX_AGE_MINUTES, 10) || 60;
+const slaService = createSlaService({
+  providerFor: (monitorId) => providerFor(accountOf(monitors.find(m => m.id === monitorId))),
+  getMonitors: () => monitors,
+  getMaintenance: (monitorId, fromMs, toMs) => currentMaintenance(fromMs, toMs)[monitorId] || [],
+  isLocalOnly: isSyntheticId,
+  concurrency: SLA_CONCURRENCY,
+  maxAgeMs: SLA_MAX_AGE_MINUTES * 60 * 1000,
+});
+
+// Response-time samples are pulled from BetterStack after a refresh (each monitor at most every
+// RESPONSE_TIME_SYNC_MINUTES) and kept RESPONSE_TIME_RETENTION_DAYS; hourly/daily percentiles are kept longer.
+// A monitor counts as regressed when its p95 is RESPONSE_TIME_REGRESSION_PERCENT above its baseline.
+const RESPONSE_TIME_SYNC_MINUTES = parseInt(process.env.RESPONSE_TIME_SYNC_MINUTES, 10) || 60;
+const RESPONSE_TIME_RETENTION_DAYS = parseInt(process.env.RESPONSE_TIME_RETENTION_DAYS, 10) || 7;
+const RESPONSE_TIME_REGRESSION_PERCENT = parseInt(process.env.RESPONSE_TIME_REGRESSION_PERCENT, 10) || 50;
+const responseTimeService = createResponseTimeService({
+  providerFor: (monitorId) => providerFor(accountOf(monitors.find(m => m.id === monitorId))),
+  getMonitors: () => monitors,
+  isLocalOnly: isSyntheticId,
+  syncIntervalMs: RESPONSE_TIME_SYNC_MINUTES * 60 * 1000,
+  retentionDays: RESPONSE_TIME_RETENTION_DAYS,
+  thresholdPercent: RESPONSE_TIME_REGRESSION_PERCENT,
+});
+
+// A monitor is flagged as flapping after FLAPPING_MIN_TRANSITIONS up/down changes within FLAPPING_WINDOW_HOURS
+const FLAPPING_WINDOW_HOURS = parseInt(process.env.FLAPPING_WINDOW_HOURS, 10) || 24;
+const FLAPPING_MIN_TRANSITIONS = parseInt(process.env.FLAPPING_MIN_TRANSITIONS, 10) || 6;
+const flappingDetector = createFlappingDetector({
+  getMonitors: () => monitors,
+  windowHours: FLAPPING_WINDOW_HOURS,
+  minTransitions: FLAPPING_MIN_TRANSITIONS,
+});
+
+// SLA/uptime reports (on demand, plus last month's reports stored once a month)
+const reportService = createReportService({
+  slaService,
+  getMonitors: () => monitors,
+  getGroups: () => monitorGroups,
+  categorize: (monitor) => categorizeMonitor(monitor),
+});
+
+// Incidents are archived in SQLite; each refresh pages back until it reaches incidents that are already
+// archived and resolved (at most INCIDENT_MAX_PAGES pages). The dashboard keeps the newest ones in memory.
+const INCIDENT_MAX_PAGES = parseInt(process.env.INCIDENT_MAX_PAGES, 10) || 100;
+const RECENT_INCIDENTS_LIMIT = 250;
+
+// Local heartbeats: jobs ping /heartbeat/<token> and count as missed after period + grace without one
+const LOCAL_HEARTBEATS = process.env.LOCAL_HEARTBEATS === "true";
+const LOCAL_HEARTBEAT_CHECK_MS = 15 * 1000;
+
+// Synthetic check results are kept this long (their response-time history)
+const SYNTHETIC_RETENTION_DAYS = parseInt(process.env.SYNTHETIC_RETENTION_DAYS, 10) || 30;
+
+// Daily status older than DAILY_STATUS_RETENTION_DAYS (0 = keep all) is rolled up per week or month
+const DAILY_STATUS_RETENTION_DAYS = process.env.DAILY_STATUS_RETENTION_DAYS === undefined
+  ? 365
+  : parseInt(process.env.DAILY_STATUS_RETENTION_DAYS, 10);
+const DAILY_STATUS_ROLLUP = process.env.DAILY_STATUS_ROLLUP || "month";
+if (!(DAILY_STATUS_RETENTION_DAYS === 0 || DAILY_STATUS_RETENTION_DAYS >= 90) || !["week", "month"].includes(DAILY_STATUS_ROLLUP)) {
+  console.error("Invalid DAILY_STATUS_RETENTION_DAYS/DAILY_STATUS_ROLLUP: retention must be 0 or at least 90 days, rollup week or month");
+  process.exit(1);
+}
+
+// Online backups of the database into BACKUP_DIR every BACKUP_INTERVAL_HOURS (0 = only on demand)
+const BACKUP_INTERVAL_HOURS = process.env.BACKUP_INTERVAL_HOURS === undefined
+  ? 24
+  : parseFloat(process.env.BACKUP_INTERVAL_HOURS);
+const backupService = createBackupService({
+  dir: path.resolve(process.env.BACKUP_DIR || path.join(path.dirname(database.path), "backups")),
+  keep: parseInt(process.env.BACKUP_KEEP, 10) || 7,
+  intervalHours: BACKUP_INTERVAL_HOURS > 0 ? BACKUP_INTERVAL_HOURS : 0,
+});
+// Largest snapshot accepted by POST /api/admin/restore
+const RESTORE_MAX_MB = parseInt(process.env.RESTORE_MAX_MB, 10) || 512;
+
 // URL patterns for categorization (comma-separated)
 const PRODUCTION_URL_PATTERNS = process.env.PRODUCTION_URL_PATTERNS 
   ? process.env.PRODUCTION_URL_PATTERNS.split(',').map(p => p.trim().toLowerCase())
@@ -24,6 +233,9 @@ const PRODUCTION_URL_PATTERNS = process.env.PRODUCTION_URL_PATTERNS
 const STAGING_URL_PATTERNS = process.env.STAGING_URL_PATTERNS
   ? process.env.STAGING_URL_PATTERNS.split(',').map(p => p.trim().toLowerCase())
   : [];
+// Patterns from an imported configuration file replace the environment's
+const loadUrlPatterns = () => database.getSetting("urlPatterns") || { production: PRODUCTION_URL_PATTERNS, staging: STAGING_URL_PATTERNS };
+let urlPatterns = loadUrlPatterns();
 
 app.use(cors());
 app.use(express.json());
@@ -41,11 +253,33 @@ app.use(session({
   }
 }));
 
-// Auth middleware - check if user is authenticated
+// Auth middleware - check if user is authenticated (and still enabled)
+// Accepts a session cookie, or an API token as "Authorization: Bearer <token>" on read-only routes
 const requireAuth = (req, res, next) => {
-  if (req.session && req.session.authenticated) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (bearer) {
+    const token = database.getApiTokenByHash(hashApiToken(bearer[1]));
+    const user = token && database.getUserById(token.userId);
+    if (!token || !user || user.disabled) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or revoked API token' });
+    }
+    const scope = req.method === 'GET' ? scopeForPath(req.path) : null;
+    if (!scope || !token.scopes.includes(scope)) {
+      return res.status(403).json({ error: 'Forbidden', message: scope ? `Token lacks the ${scope} scope` : 'Not available to API tokens' });
+    }
+    database.markApiTokenUsed(token.id);
+    req.user = user;
+    req.apiToken = token;
     return next();
   }
+
+  if (req.session && req.session.authenticated && req.session.userId) {
+    const user = database.getUserById(req.session.userId);
+    if (user && !user.disabled) {
+      req.user = user;
+      return next();
+    }
+  }
   // For API calls, return 401
   if (req.path.startsWith('/api/')) {
     return res.status(401).json({ error: 'Unauthorized', message: 'Please login first' });
@@ -54,59 +288,168 @@ const requireAuth = (req, res, next) => {
   res.redirect('/login');
 };
 
-// In-memory cache (loaded from DB on startup)
+// Role middleware - requireAuth plus a minimum role (viewer < editor < admin)
+const requireRole = (role) => (req, res, next) => {
+  requireAuth(req, res, () => {
+    if (hasRole(req.user.role, role)) {
+      return next();
+    }
+    if (req.path.startsWith('/api/')) {
+      return res.status(403).json({ error: 'Forbidden', message: `Requires ${role} role` });
+    }
+    res.status(403).send('Forbidden');
+  });
+};
+
+// Record an action in the audit log on behalf of the current user
+const audit = (req, action, details = null) => {
+  database.addAuditEntry({
+    username: req.user?.username || req.session?.username || null,
+    action,
+    details,
+    ip: req.ip,
+  });
+};
+
+// Create the first admin from AUTH_USERNAME/AUTH_PASSWORD when there are no users yet
+const ensureInitialAdmin = async () => {
+  if (database.countUsers() > 0) return;
+  database.createUser({
+    username: AUTH_USERNAME,
+    passwordHash: await hashPassword(AUTH_PASSWORD),
+    role: "admin",
+  });
+  console.log(`Created initial admin account: ${AUTH_USERNAME}`);
+};
+
+// In-memory cache (loaded from DB on startup); monitors of all accounts, in account order
 let monitors = [];
 let incidents = [];
+// BetterStack heartbeats of all accounts, in account order (local ones are read from the database)
+let heartbeats = [];
+// Combined over all accounts (see updateRefreshState)
 let lastUpdated = null;
 let isLoading = false;
 let loadingProgress = { current: 0, total: 0 };
 
+// Refresh health counters (exported on /metrics)
+const refreshStats = { total: 0, failures: 0, lastDurationSeconds: 0 };
+
+// Live updates for open dashboards (/api/events)
+const events = createEventBroadcaster();
+
+// Refresh state of each account, as shown by the account switcher
+const accountSummaries = () => [...accountStates.values()].map(state => ({
+  ...publicAccount(state.account),
+  isLoading: state.isLoading,
+  loadingProgress: state.loadingProgress,
+  lastUpdated: state.lastUpdated,
+  lastError: state.lastError,
+  circuit: state.provider.stats().circuit.state,
+}));
+
+// Loading while any account refreshes; progress summed, lastUpdated of the newest refresh
+const updateRefreshState = () => {
+  const states = [...accountStates.values()];
+  isLoading = states.some(state => state.isLoading);
+  loadingProgress = {
+    current: states.reduce((sum, state) => sum + state.loadingProgress.current, 0),
+    total: states.reduce((sum, state) => sum + state.loadingProgress.total, 0),
+  };
+  lastUpdated = states.map(state => state.lastUpdated).filter(Boolean).sort().pop() || lastUpdated;
+};
+
+const broadcastProgress = () => {
+  events.broadcast("progress", { isLoading, loadingProgress, lastUpdated, accounts: accountSummaries() });
+};
+
+// Last known response time per monitor and region: monitorId -> { [region]: { responseTime, at } }
+const lastResponseTimes = new Map();
+
+// Newest incidents of the configured accounts (the in-memory working set)
+const loadRecentIncidents = () => {
+  return database.getRecentIncidents(RECENT_INCIDENTS_LIMIT).filter(i => accountStates.has(accountOf(i)));
+};
+
 // Load data from database on startup
 const loadFromDatabase = () => {
+  const tagged = database.assignUntaggedRows(defaultAccountId);
+  if (tagged > 0) {
+    console.log(`Assigned ${tagged} rows stored before multi-account support to account "${defaultAccountId}"`);
+  }
+
   if (database.hasData()) {
-    monitors = database.getMonitors();
-    incidents = database.getIncidents();
+    // Monitors of accounts that were removed from the config are dropped (recorded as removed on the next refresh)
+    const stored = database.getMonitors();
+    monitors = accounts.flatMap(account => stored.filter(m => accountOf(m) === account.id));
+    incidents = loadRecentIncidents();
+    const storedHeartbeats = database.getHeartbeats();
+    heartbeats = accounts.flatMap(account => storedHeartbeats.filter(hb => hb.account === account.id).map(fromBetterStack));
     lastUpdated = database.getLastUpdated();
-    console.log(`Loaded from database: ${monitors.length} monitors, ${incidents.length} incidents`);
+    for (const state of accountStates.values()) {
+      const count = monitors.filter(m => accountOf(m) === state.account.id).length;
+      state.loadingProgress = { current: count, total: count };
+      state.lastUpdated = count > 0 ? lastUpdated : null;
+    }
+    updateRefreshState();
+    console.log(`Loaded from database: ${monitors.length} monitors, ${incidents.length} incidents, ${heartbeats.length} heartbeats`);
     return true;
   }
   return false;
 };
 
-// Build dashboard data from current monitors
-const buildDashboardData = () => {
+// Category of a monitor: production, staging or other (from its URL)
+const categorizeMonitor = (monitor) => {
+  const url = monitor.attributes?.url?.toLowerCase() || "";
+  
+  // Check if URL matches any production pattern
+  const isProduction = urlPatterns.production.length > 0 && 
+    urlPatterns.production.some(pattern => url.includes(pattern));
+  
+  // Check if URL matches any staging pattern
+  const isStaging = urlPatterns.staging.length > 0 && 
+    urlPatterns.staging.some(pattern => url.includes(pattern));
+  
+  if (isProduction) return "production";
+  if (isStaging) return "staging";
+  return "other";
+};
+
+// User-defined monitor groups, compiled once and reloaded after every edit
+let monitorGroups = compileGroups(database.getMonitorGroups());
+const reloadMonitorGroups = () => {
+  monitorGroups = compileGroups(database.getMonitorGroups());
+};
+
+// Maintenance intervals per monitor over [fromMs, toMs), from the stored windows and current group rules
+const currentMaintenance = (fromMs, toMs) => {
+  return maintenanceByMonitor(database.getMaintenanceWindows(), monitors, monitorGroups, fromMs, toMs);
+};
+
+// Build dashboard data from current monitors (of one account, or all of them)
+const buildDashboardData = (accountId = null) => {
+  const accountMonitors = monitors.filter(inAccount(accountId));
+
   const categorized = {
     production: [],
     staging: [],
     other: [],
   };
 
-  monitors.forEach((monitor) => {
-    const url = monitor.attributes.url?.toLowerCase() || "";
-    
-    // Check if URL matches any production pattern
-    const isProduction = PRODUCTION_URL_PATTERNS.length > 0 && 
-      PRODUCTION_URL_PATTERNS.some(pattern => url.includes(pattern));
-    
-    // Check if URL matches any staging pattern
-    const isStaging = STAGING_URL_PATTERNS.length > 0 && 
-      STAGING_URL_PATTERNS.some(pattern => url.includes(pattern));
-    
-    if (isProduction) {
-      categorized.production.push(monitor);
-    } else if (isStaging) {
-      categorized.staging.push(monitor);
-    } else {
-      categorized.other.push(monitor);
-    }
+  accountMonitors.forEach((monitor) => {
+    categorized[categorizeMonitor(monitor)].push(monitor);
   });
 
+  // Groups only carry monitor IDs so monitors aren't serialized once per group
+  const grouped = groupMonitors(monitorGroups, accountMonitors);
+  const monitorsById = new Map(accountMonitors.map(m => [m.id, m]));
+
   const stats = {
-    total: monitors.length,
-    up: monitors.filter((m) => m.attributes.status === "up").length,
-    down: monitors.filter((m) => m.attributes.status === "down").length,
-    paused: monitors.filter((m) => m.attributes.status === "paused").length,
-    validating: monitors.filter((m) => m.attributes.status === "validating").length,
+    total: accountMonitors.length,
+    up: accountMonitors.filter((m) => m.attributes.status === "up").length,
+    down: accountMonitors.filter((m) => m.attributes.status === "down").length,
+    paused: accountMonitors.filter((m) => m.attributes.status === "paused").length,
+    validating: accountMonitors.filter((m) => m.attributes.status === "validating").length,
     production: {
       total: categorized.production.length,
       up: categorized.production.filter((m) => m.attributes.status === "up").length,
@@ -117,92 +460,191 @@ const buildDashboardData = () => {
       up: categorized.staging.filter((m) => m.attributes.status === "up").length,
       down: categorized.staging.filter((m) => m.attributes.status === "down").length,
     },
+    groups: Object.fromEntries(Object.entries(grouped).map(([groupId, monitorIds]) => {
+      const groupMonitorList = monitorIds.map(id => monitorsById.get(id));
+      return [groupId, {
+        total: groupMonitorList.length,
+        up: groupMonitorList.filter((m) => m.attributes.status === "up").length,
+        down: groupMonitorList.filter((m) => m.attributes.status === "down").length,
+      }];
+    })),
   };
 
   return {
     success: true,
     stats,
-    monitors,
+    monitors: accountMonitors,
     categorized,
-    incidents,
+    groups: monitorGroups.map(({ id, name, matchMode, rules }) => ({ id, name, matchMode, rules })),
+    grouped,
+    incidents: incidents.filter(inAccount(accountId)),
+    flapping: Object.fromEntries(Object.entries(flappingDetector.flapping()).filter(([monitorId]) => monitorsById.has(monitorId))),
+    account: accountId,
+    accounts: accountSummaries(),
     isLoading,
     loadingProgress,
     lastUpdated: lastUpdated || new Date().toISOString(),
   };
 };
 
-// Fetch incidents with full details
-const fetchIncidents = async () => {
+// Fetch an account's incidents with full details, newest first, until a page has nothing new for the archive
+const fetchIncidents = async (state) => {
+  const accountId = state.account.id;
   try {
-    console.log("Fetching incidents...");
+    console.log(`[${accountId}] Fetching incidents...`);
     const allIncidents = [];
     let page = 1;
+    // Open incidents must be re-fetched until they resolve, however far back they started
+    const oldestOpenStart = incidents
+      .filter(i => accountOf(i) === accountId && !i.attributes?.resolved_at)
+      .map(i => i.attributes?.started_at || "")
+      .sort()[0];
     
-    while (page <= 5) {
-      const response = await fetch(`${BETTERSTACK_API_URL}/incidents?per_page=50&page=${page}`, {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${BETTERSTACK_API_TOKEN}`,
-        },
-      });
-
-      if (!response.ok) {
-        console.error("Failed to fetch incidents:", response.statusText);
+    while (page <= INCIDENT_MAX_PAGES) {
+      let data;
+      try {
+        data = await state.provider.fetchIncidentsPage(page);
+      } catch (error) {
+        console.error(`[${accountId}] Failed to fetch incidents:`, error.message);
         break;
       }
 
-      const data = await response.json();
-      allIncidents.push(...(data.data || []));
+      const pageIncidents = (data.data || []).map(i => ({ ...i, account: accountId }));
+      allIncidents.push(...pageIncidents);
       
-      if (!data.pagination?.next) break;
+      // Older pages only hold incidents that can't change anymore
+      const pageOldestStart = pageIncidents[pageIncidents.length - 1]?.attributes?.started_at || "";
+      const settled = pageIncidents.every(i => i.attributes?.resolved_at && database.isIncidentArchived(i)) &&
+        (!oldestOpenStart || pageOldestStart <= oldestOpenStart);
+      if (!data.pagination?.next || settled) break;
       page++;
     }
     
-    console.log(`Fetched ${allIncidents.length} incidents`);
+    console.log(`[${accountId}] Fetched ${allIncidents.length} incidents`);
     return allIncidents;
   } catch (error) {
-    console.error("Error fetching incidents:", error.message);
+    console.error(`[${accountId}] Error fetching incidents:`, error.message);
     return [];
   }
 };
 
 
-// Fetch monitors page by page, updating cache progressively
-const fetchMonitorsProgressively = async () => {
-  if (isLoading) return;
-  isLoading = true;
+// "monitors" event: added/changed monitors with their category and groups, removed IDs and fresh stats
+const broadcastMonitorChanges = ({ added = [], changed = [], removed = [] }) => {
+  const changedMonitors = [...added, ...changed];
+  events.broadcast("monitors", {
+    added,
+    changed,
+    removed,
+    categories: Object.fromEntries(changedMonitors.map(m => [m.id, categorizeMonitor(m)])),
+    groupIds: Object.fromEntries(changedMonitors.map(m => [m.id, groupIdsForMonitor(monitorGroups, m)])),
+    stats: buildDashboardData().stats,
+    lastUpdated,
+  });
+};
+
+// Store monitor configuration changes; "changelog" event when there were any
+const recordConfigChanges = (changes, options) => {
+  if (changes.length === 0) return;
+  database.saveMonitorConfigChanges(changes, options);
+  events.broadcast("changelog", { count: changes.length, monitorIds: [...new Set(changes.map(c => c.monitorId))] });
+};
+
+// Re-check the flapping flags; "flapping" event when monitors were flagged or cleared
+const checkFlapping = () => {
+  const { added, cleared } = flappingDetector.check();
+  if (added.length > 0 || cleared.length > 0) {
+    events.broadcast("flapping", { added, cleared, flapping: flappingDetector.flapping() });
+  }
+};
+
+// Background response-time sync; "regressions" event when monitors were flagged or cleared
+const syncResponseTimes = () => {
+  return responseTimeService.sync()
+    .then(({ added, cleared }) => {
+      if (added.length > 0 || cleared.length > 0) {
+        events.broadcast("regressions", { added, cleared, regressions: responseTimeService.regressions() });
+      }
+    })
+    .catch((error) => {
+      console.error("Response-time sync failed:", error.message);
+    });
+};
+
+// Heartbeats of every account plus the local ones (when LOCAL_HEARTBEATS is on)
+const allHeartbeats = (now = Date.now()) => [
+  ...heartbeats,
+  ...(LOCAL_HEARTBEATS ? database.getLocalHeartbeats().map(local => fromLocal(local, now)) : []),
+];
+
+// Record heartbeat status changes; "heartbeats" event when there were any
+const recordHeartbeatChanges = (changedAt = new Date().toISOString()) => {
+  const transitions = database.recordHeartbeatTransitions(allHeartbeats(Date.parse(changedAt)), changedAt);
+  if (transitions.length > 0) events.broadcast("heartbeats", { transitions });
+  return transitions;
+};
+
+// Fetch and store one account's heartbeats; when that fails the stored ones stay
+const refreshHeartbeats = async (state) => {
+  const accountId = state.account.id;
+  try {
+    const data = await state.provider.fetchHeartbeats();
+    const fetched = (data.data || []).map(hb => ({ ...hb, account: accountId }));
+    database.saveHeartbeats(accountId, fetched);
+    heartbeats = accounts.flatMap(account => account.id === accountId
+      ? fetched.map(fromBetterStack)
+      : heartbeats.filter(hb => hb.account === account.id));
+    state.heartbeatsError = null;
+    const transitions = recordHeartbeatChanges(state.lastUpdated);
+    console.log(`[${accountId}] Fetched ${fetched.length} heartbeats (${transitions.length} status changes recorded)`);
+  } catch (error) {
+    console.error(`[${accountId}] Error fetching heartbeats:`, error.message);
+    state.heartbeatsError = error.message;
+  }
+};
+
+// Fetch one account's monitors page by page, then merge them into the combined list
+const refreshAccount = async (state) => {
+  if (state.isLoading) return;
+  const accountId = state.account.id;
+  state.isLoading = true;
+  state.lastError = null;
+  const refreshStartedAt = Date.now();
+  refreshStats.total++;
   const newMonitors = [];
-  loadingProgress = { current: 0, total: 0 };
+  state.loadingProgress = { current: 0, total: 0 };
+  updateRefreshState();
+  broadcastProgress();
   
   let currentPage = 1;
+  // Set when a page failed (after the client's retries) once earlier pages had loaded
+  let pageError = null;
   
   try {
     while (true) {
-      console.log(`Fetching page ${currentPage}...`);
+      console.log(`[${accountId}] Fetching page ${currentPage}...`);
       
-      const response = await fetch(`${BETTERSTACK_API_URL}/monitors?page=${currentPage}&per_page=50`, {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${BETTERSTACK_API_TOKEN}`,
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch monitors: ${response.statusText}`);
+      let data;
+      try {
+        data = await state.provider.fetchMonitorsPage(currentPage);
+      } catch (error) {
+        if (newMonitors.length === 0) throw new Error(`Failed to fetch monitors: ${error.message}`);
+        pageError = error;
+        break;
       }
-
-      const data = await response.json();
       
-      // Add new monitors to temp array
-      newMonitors.push(...data.data);
-      loadingProgress.current = newMonitors.length;
+      // Add new monitors (tagged with their account) to temp array
+      newMonitors.push(...data.data.map(m => ({ ...m, account: accountId })));
+      state.loadingProgress.current = newMonitors.length;
       
       // Estimate total from pagination
       if (data.pagination) {
-        loadingProgress.total = data.pagination.next ? newMonitors.length + 50 : newMonitors.length;
+        state.loadingProgress.total = data.pagination.next ? newMonitors.length + 50 : newMonitors.length;
       }
       
-      console.log(`Page ${currentPage}: +${data.data.length} monitors (total: ${newMonitors.length})`);
+      console.log(`[${accountId}] Page ${currentPage}: +${data.data.length} monitors (total: ${newMonitors.length})`);
+      updateRefreshState();
+      broadcastProgress();
 
       if (data.pagination && data.pagination.next) {
         currentPage++;
@@ -212,30 +654,186 @@ const fetchMonitorsProgressively = async () => {
       }
     }
     
-    // Update in-memory cache
-    monitors = newMonitors;
-    lastUpdated = new Date().toISOString();
+    // A later page failed: the monitors it would have returned keep their previous copy
+    // instead of looking removed
+    const fetchedIds = new Set(newMonitors.map(m => m.id));
+    const keptMonitors = pageError
+      ? monitors.filter(m => accountOf(m) === accountId && !isSyntheticId(m.id) && !fetchedIds.has(m.id))
+      : [];
+    if (pageError) {
+      console.error(`[${accountId}] Page ${currentPage} failed (${pageError.message}), keeping ${keptMonitors.length} monitors from the previous refresh`);
+    }
+
+    // Replace this account's monitors in the in-memory cache, keeping the account order
+    // (its synthetic checks aren't BetterStack's and stay as they are)
+    const previousMonitors = monitors.filter(m => accountOf(m) === accountId && !isSyntheticId(m.id));
+    const monitorChanges = diffMonitors(previousMonitors, [...newMonitors, ...keptMonitors]);
+    // Without a previous list (first load) every monitor would look added
+    const configChanges = previousMonitors.length > 0
+      ? diffMonitorConfigs(previousMonitors, [...newMonitors, ...keptMonitors])
+      : [];
+    monitors = accounts.flatMap(account => account.id === accountId
+      ? [...newMonitors, ...keptMonitors, ...monitors.filter(m => accountOf(m) === accountId && isSyntheticId(m.id))]
+      : monitors.filter(m => accountOf(m) === account.id));
+    state.lastUpdated = new Date().toISOString();
+    updateRefreshState();
+    
+    // Save to database (monitors removed upstream go, so they don't come back after a restart)
+    database.saveMonitors(newMonitors);
+    monitorChanges.removed.forEach(database.deleteMonitor);
+    recordConfigChanges(configChanges, { changedAt: state.lastUpdated });
     
-    // Save to database
-    database.saveMonitors(monitors);
+    // Diff against the previous snapshot (the other accounts' monitors are unchanged),
+    // then rebuild daily status from the intervals
+    const transitions = database.recordStatusTransitions(monitors, state.lastUpdated);
+    const todayStartMs = Date.parse(`${state.lastUpdated.split('T')[0]}T00:00:00.000Z`);
+    database.recordAllDailyStatus(newMonitors, currentMaintenance(todayStartMs - 24 * 60 * 60 * 1000, Date.now() + 1));
+    console.log(`[${accountId}] Finished loading ${newMonitors.length} monitors (saved to DB, ${transitions.length} status changes recorded)`);
     
-    // Record daily status for heatmap tracking
-    database.recordAllDailyStatus(monitors);
-    console.log(`Finished loading ${monitors.length} monitors (saved to DB + daily status recorded)`);
+    // Push only what changed to open dashboards
+    broadcastMonitorChanges(monitorChanges);
     
     // Fetch incidents and status changes after monitors
-    const newIncidents = await fetchIncidents();
+    const fetchedIncidents = await fetchIncidents(state);
+    database.saveIncidents(fetchedIncidents);
+    const newIncidents = loadRecentIncidents();
+    const incidentChanges = diffIncidents(incidents, newIncidents);
+    // Without a previous list (first load) every incident would look new, so don't alert
+    const startedIncidents = incidents.length > 0 ? incidentChanges.opened : [];
     incidents = newIncidents;
-    database.saveIncidents(incidents);
+    
+    if (incidentChanges.opened.length > 0 || incidentChanges.resolved.length > 0) {
+      events.broadcast("incidents", { ...incidentChanges, total: incidents.length });
+    }
+    checkFlapping();
+
+    await refreshHeartbeats(state);
+    
+    // Notify configured channels about real changes only
+    if (alerter.isEnabled()) {
+      const monitorsById = new Map(monitors.map(m => [m.id, m]));
+      const alertEvents = [
+        ...buildMonitorEvents(transitions, monitorsById, categorizeMonitor),
+        ...buildIncidentEvents(startedIncidents, monitorsById, categorizeMonitor),
+      ];
+      if (alertEvents.length > 0) {
+        const sent = await alerter.dispatch(alertEvents);
+        console.log(`Alerts: ${alertEvents.length} events, ${sent} notifications sent`);
+      }
+    }
+    
+    // Only stale entries are fetched again, so this is cheap between SLA_MAX_AGE_MINUTES windows
+    slaService.refreshDefault();
+    syncResponseTimes();
+    // Last month's reports, once per month
+    reportService.checkSchedule();
+
+    if (pageError) {
+      state.lastError = `Partial refresh: monitors page ${currentPage} failed (${pageError.message})`;
+      refreshStats.failures++;
+    }
     
   } catch (error) {
-    console.error("Error fetching monitors:", error.message);
+    console.error(`[${accountId}] Error fetching monitors:`, error.message);
+    state.lastError = error.message;
+    refreshStats.failures++;
   } finally {
-    isLoading = false;
-    loadingProgress.total = monitors.length;
+    refreshStats.lastDurationSeconds = (Date.now() - refreshStartedAt) / 1000;
+    state.isLoading = false;
+    const count = monitors.filter(m => accountOf(m) === accountId).length;
+    state.loadingProgress = { current: count, total: count };
+    updateRefreshState();
+    broadcastProgress();
   }
 };
 
+// Refresh every account that isn't refreshing already
+const refreshAllAccounts = () => {
+  accountStates.forEach(state => refreshAccount(state));
+};
+
+// ============== SYNTHETIC CHECKS ==============
+// Each check is a monitor ("synthetic-<id>") in its account; results update it between refreshes.
+
+// Monitor of a check (checks of accounts removed from the config move to the first account)
+const syntheticMonitorFor = (check, lastResult = database.getLastSyntheticResult(check.id)) => {
+  const monitor = toSyntheticMonitor(check, lastResult);
+  return accountStates.has(monitor.account) ? monitor : { ...monitor, account: defaultAccountId };
+};
+
+// Put a synthetic monitor into the in-memory cache (after its account's monitors); returns true when it's new
+const storeSyntheticMonitor = (monitor) => {
+  const isNew = !monitors.some(m => m.id === monitor.id);
+  const others = monitors.filter(m => m.id !== monitor.id);
+  monitors = accounts.flatMap(account => [
+    ...others.filter(m => accountOf(m) === account.id),
+    ...(account.id === monitor.account ? [monitor] : []),
+  ]);
+  database.saveMonitor(monitor);
+  return isNew;
+};
+
+// Store a run, then update the check's monitor like a refresh would: status transitions,
+// today's daily status, the last response time, live updates and alerts
+const applyCheckResult = async (check, result) => {
+  database.saveSyntheticResult(check.id, result);
+  const current = database.getSyntheticCheckById(check.id);
+  if (!current) return; // deleted while running
+
+  const monitor = syntheticMonitorFor(current, result);
+  const previous = monitors.find(m => m.id === monitor.id);
+  const isNew = storeSyntheticMonitor(monitor);
+  const transitions = database.recordStatusTransitions(monitors, result.checkedAt);
+  const todayStartMs = Date.parse(`${result.checkedAt.split('T')[0]}T00:00:00.000Z`);
+  database.recordAllDailyStatus([monitor], currentMaintenance(todayStartMs - 24 * 60 * 60 * 1000, Date.now() + 1));
+  if (result.latencyMs !== null) {
+    lastResponseTimes.set(monitor.id, { local: { responseTime: result.latencyMs, at: result.checkedAt } });
+    responseTimeService.record(monitor.id, [{ region: "local", at: result.checkedAt, responseTime: result.latencyMs }]);
+  }
+
+  if (isNew) {
+    broadcastMonitorChanges({ added: [monitor] });
+  } else if (previous.attributes.status !== monitor.attributes.status) {
+    broadcastMonitorChanges({ changed: [monitor] });
+  }
+  if (transitions.length > 0) checkFlapping();
+
+  if (alerter.isEnabled() && transitions.length > 0) {
+    const alertEvents = buildMonitorEvents(transitions, new Map(monitors.map(m => [m.id, m])), categorizeMonitor);
+    if (alertEvents.length > 0) await alerter.dispatch(alertEvents);
+  }
+};
+
+const checkScheduler = createCheckScheduler({
+  getChecks: () => database.getSyntheticChecks(),
+  onResult: applyCheckResult,
+  run: (check) => runCheck(check, { policy: proxyPolicy, maxRedirects: PROXY_MAX_REDIRECTS }),
+});
+
+// Monitors for every stored check (kept up to date when checks change), orphaned synthetic monitors dropped
+const syncSyntheticMonitors = () => {
+  const checks = database.getSyntheticChecks();
+  const checkMonitorIds = new Set(checks.map(check => `synthetic-${check.id}`));
+  const orphaned = monitors.filter(m => isSyntheticId(m.id) && !checkMonitorIds.has(m.id));
+  orphaned.forEach(m => database.deleteMonitor(m.id));
+  monitors = monitors.filter(m => !orphaned.includes(m));
+  checks.forEach(check => storeSyntheticMonitor(syntheticMonitorFor(check)));
+};
+
+// Drop results older than SYNTHETIC_RETENTION_DAYS
+const pruneSyntheticResults = () => {
+  const removed = database.pruneSyntheticResults(new Date(Date.now() - SYNTHETIC_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+  if (removed > 0) console.log(`Pruned ${removed} synthetic check results`);
+};
+
+// Roll daily status past DAILY_STATUS_RETENTION_DAYS up into weekly/monthly rows
+const rollupOldDailyStatus = () => {
+  if (DAILY_STATUS_RETENTION_DAYS === 0) return;
+  const before = new Date(Date.now() - DAILY_STATUS_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+  const rolledUp = database.rollupDailyStatus(before, DAILY_STATUS_ROLLUP);
+  if (rolledUp > 0) console.log(`Rolled ${rolledUp} daily status rows before ${before} up per ${DAILY_STATUS_ROLLUP}`);
+};
+
 // ============== AUTH ROUTES ==============
 
 // Login page
@@ -247,20 +845,30 @@ app.get("/login", (req, res) => {
 });
 
 // Login POST
-app.post("/api/login", (req, res) => {
+app.post("/api/login", async (req, res) => {
   const { username, password } = req.body;
   
-  if (username === AUTH_USERNAME && password === AUTH_PASSWORD) {
+  const user = username ? database.getUserCredentials(String(username)) : null;
+  const valid = user && !user.disabled && await verifyPassword(String(password || ''), user.passwordHash);
+  
+  if (valid) {
     req.session.authenticated = true;
-    req.session.username = username;
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    database.recordUserLogin(user.id);
+    database.addAuditEntry({ username: user.username, action: "login", ip: req.ip });
     res.json({ success: true, message: 'Login successful' });
   } else {
+    database.addAuditEntry({ username: username ? String(username) : null, action: "login_failed", ip: req.ip });
     res.status(401).json({ success: false, message: 'Invalid credentials' });
   }
 });
 
 // Logout
 app.post("/api/logout", (req, res) => {
+  if (req.session?.username) {
+    database.addAuditEntry({ username: req.session.username, action: "logout", ip: req.ip });
+  }
   req.session.destroy((err) => {
     if (err) {
       return res.status(500).json({ success: false, message: 'Logout failed' });
@@ -269,19 +877,741 @@ app.post("/api/logout", (req, res) => {
   });
 });
 
-// Check auth status
-app.get("/api/auth/status", (req, res) => {
-  res.json({ 
-    authenticated: !!(req.session && req.session.authenticated),
-    username: req.session?.username || null
-  });
+// Check auth status
+app.get("/api/auth/status", (req, res) => {
+  const user = req.session?.authenticated && req.session.userId
+    ? database.getUserById(req.session.userId)
+    : null;
+  const authenticated = !!(user && !user.disabled);
+  res.json({ 
+    authenticated,
+    username: authenticated ? user.username : null,
+    role: authenticated ? user.role : null,
+  });
+});
+
+// ============== USER ADMINISTRATION ==============
+
+// Admin page
+app.get("/admin", requireRole("admin"), (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "admin.html"));
+});
+
+app.get("/api/users", requireRole("admin"), (req, res) => {
+  res.json({ success: true, data: database.getUsers(), roles: ROLES });
+});
+
+// Create a user
+app.post("/api/users", requireRole("admin"), async (req, res) => {
+  const { username, password, role } = req.body;
+  
+  if (!username || !/^[\w.@-]{2,64}$/.test(username)) {
+    return res.status(400).json({ success: false, error: 'Username must be 2-64 characters (letters, digits, . _ @ -)' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (!isValidRole(role)) {
+    return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (database.getUserCredentials(username)) {
+    return res.status(409).json({ success: false, error: 'Username already exists' });
+  }
+  
+  try {
+    const user = database.createUser({ username, passwordHash: await hashPassword(password), role });
+    audit(req, "user_created", { userId: user.id, username: user.username, role });
+    res.status(201).json({ success: true, data: user });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Change role, enable/disable, or reset the password of a user
+app.patch("/api/users/:userId", requireRole("admin"), async (req, res) => {
+  const target = database.getUserById(Number(req.params.userId));
+  if (!target) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+  
+  const { role, disabled, password } = req.body;
+  const changes = {};
+  
+  if (role !== undefined) {
+    if (!isValidRole(role)) {
+      return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    changes.role = role;
+  }
+  if (disabled !== undefined) {
+    changes.disabled = !!disabled;
+  }
+  if (password !== undefined) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    changes.passwordHash = await hashPassword(password);
+  }
+  
+  // Never leave the dashboard without an enabled admin
+  const losesAdmin = target.role === 'admin' && !target.disabled &&
+    ((changes.role && changes.role !== 'admin') || changes.disabled === true);
+  if (losesAdmin && database.countActiveAdmins() <= 1) {
+    return res.status(400).json({ success: false, error: 'Cannot disable or demote the last admin' });
+  }
+  
+  const user = database.updateUser(target.id, changes);
+  audit(req, "user_updated", {
+    userId: user.id,
+    username: user.username,
+    role: changes.role,
+    disabled: changes.disabled,
+    passwordReset: changes.passwordHash !== undefined,
+  });
+  res.json({ success: true, data: user });
+});
+
+// ============== API TOKENS ==============
+
+// Current user's tokens (session only: tokens can't manage tokens)
+app.get("/api/tokens", requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: database.getApiTokensForUser(req.user.id),
+    scopes: Object.keys(TOKEN_SCOPES),
+  });
+});
+
+// Create a token; the plaintext value is only returned here
+app.post("/api/tokens", requireAuth, (req, res) => {
+  const { name, scopes } = req.body;
+  
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    return res.status(400).json({ success: false, error: 'Name is required (max 100 characters)' });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => TOKEN_SCOPES[scope])) {
+    return res.status(400).json({ success: false, error: `Scopes must be a non-empty list of: ${Object.keys(TOKEN_SCOPES).join(', ')}` });
+  }
+  
+  const { token, tokenHash, tokenPrefix } = generateApiToken();
+  const created = database.createApiToken({
+    userId: req.user.id,
+    name: name.trim(),
+    tokenHash,
+    tokenPrefix,
+    scopes: [...new Set(scopes)],
+  });
+  audit(req, "token_created", { tokenId: created.id, name: created.name, scopes: created.scopes });
+  res.status(201).json({ success: true, data: { ...created, token } });
+});
+
+// Revoke a token (own tokens, or any token for admins)
+app.delete("/api/tokens/:tokenId", requireAuth, (req, res) => {
+  const token = database.getApiTokenById(Number(req.params.tokenId));
+  if (!token || (token.userId !== req.user.id && !hasRole(req.user.role, "admin"))) {
+    return res.status(404).json({ success: false, error: 'Token not found' });
+  }
+  
+  database.revokeApiToken(token.id);
+  audit(req, "token_revoked", { tokenId: token.id, name: token.name });
+  res.json({ success: true });
+});
+
+// Audit log (filters: username, action, limit)
+app.get("/api/audit", requireRole("admin"), (req, res) => {
+  const entries = database.getAuditLog({
+    username: req.query.username || null,
+    action: req.query.action || null,
+    limit: Math.min(parseInt(req.query.limit, 10) || 200, 1000),
+  });
+  res.json({ success: true, data: entries, count: entries.length });
+});
+
+// ============== BACKUP & RESTORE ==============
+
+// After a restore: drop the in-memory state and load it again from the restored database
+const reloadFromDatabase = () => {
+  monitors = [];
+  incidents = [];
+  heartbeats = [];
+  lastResponseTimes.clear();
+  publicStatusCache = { builtAt: 0, data: null };
+  urlPatterns = loadUrlPatterns();
+  loadFromDatabase();
+  reloadMonitorGroups();
+  syncSyntheticMonitors();
+  checkScheduler.reload();
+  responseTimeService.checkRegressions();
+  flappingDetector.check();
+  recordHeartbeatChanges();
+  // Open dashboards load everything again
+  events.broadcast("groups", {});
+  refreshAllAccounts();
+};
+
+const removeSnapshotFiles = (file) => {
+  [file, `${file}-wal`, `${file}-shm`].forEach(f => fs.rm(f, { force: true }, () => {}));
+};
+
+// Stored backups and the data management settings
+app.get("/api/admin/backups", requireRole("admin"), (req, res) => {
+  res.json({
+    success: true,
+    data: backupService.list(),
+    settings: {
+      databasePath: database.path,
+      backupDir: backupService.dir,
+      backupIntervalHours: backupService.intervalHours,
+      backupKeep: backupService.keep,
+      dailyStatusRetentionDays: DAILY_STATUS_RETENTION_DAYS,
+      dailyStatusRollup: DAILY_STATUS_ROLLUP,
+    },
+  });
+});
+
+// Write a backup now
+app.post("/api/admin/backups", requireRole("admin"), async (req, res) => {
+  try {
+    const backup = await backupService.create("manual");
+    audit(req, "backup_created", { name: backup.name });
+    res.json({ success: true, data: backup });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Download a stored backup
+app.get("/api/admin/backups/:name", requireRole("admin"), (req, res) => {
+  const file = backupService.pathOf(req.params.name);
+  if (!file) return res.status(404).json({ success: false, error: 'Backup not found' });
+  audit(req, "backup_downloaded", { name: req.params.name });
+  res.download(file, req.params.name);
+});
+
+// Download a fresh snapshot of the live database
+app.get("/api/admin/snapshot", requireRole("admin"), async (req, res) => {
+  let file;
+  try {
+    file = await backupService.snapshot();
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+  audit(req, "snapshot_downloaded");
+  res.download(file, path.basename(file).replace(/-\d+-\d+\.db$/, ".db"), () => removeSnapshotFiles(file));
+});
+
+// Restore: a stored backup ({ name }) or an uploaded snapshot (application/octet-stream body).
+// The current state is backed up first ("pre-restore").
+app.post("/api/admin/restore", requireRole("admin"),
+  express.raw({ type: "application/octet-stream", limit: `${RESTORE_MAX_MB}mb` }),
+  async (req, res) => {
+    if (isLoading) {
+      return res.status(409).json({ success: false, error: 'A refresh is running, try again when it has finished' });
+    }
+
+    let file;
+    let uploaded = false;
+    if (Buffer.isBuffer(req.body)) {
+      if (req.body.length === 0) return res.status(400).json({ success: false, error: 'Empty snapshot' });
+      file = path.join(os.tmpdir(), `betterstack-restore-${process.pid}-${Date.now()}.db`);
+      fs.writeFileSync(file, req.body);
+      uploaded = true;
+    } else {
+      file = backupService.pathOf(req.body?.name);
+      if (!file) return res.status(404).json({ success: false, error: 'Backup not found' });
+    }
+
+    try {
+      const before = await backupService.restore(file);
+      reloadFromDatabase();
+      audit(req, "database_restored", { source: uploaded ? "upload" : req.body.name, backup: before.name });
+      res.json({ success: true, backup: before, monitorsCount: monitors.length });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    } finally {
+      if (uploaded) removeSnapshotFiles(file);
+    }
+  });
+
+// Get config (accounts and their team IDs for BetterStack links)
+app.get("/api/config", requireAuth, (req, res) => {
+  res.json({
+    betterStackTeamId: accounts[0].teamId,
+    accounts: accounts.map(publicAccount),
+    localHeartbeats: LOCAL_HEARTBEATS,
+  });
+});
+
+// ============== MONITOR GROUPS ==============
+
+// Groups with their current number of matching monitors
+app.get("/api/groups", requireAuth, (req, res) => {
+  const grouped = groupMonitors(monitorGroups, monitors);
+  res.json({
+    success: true,
+    data: database.getMonitorGroups().map(group => ({ ...group, monitorCount: grouped[group.id]?.length || 0 })),
+    fields: RULE_FIELDS,
+  });
+});
+
+// Monitors a group definition would match, without saving it
+app.post("/api/groups/preview", requireRole("editor"), (req, res) => {
+  const { value, error } = parseGroupInput(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const [group] = compileGroups([{ id: "preview", ...value }]);
+  const matched = monitors.filter(group.matches);
+  res.json({
+    success: true,
+    count: matched.length,
+    data: matched.slice(0, 20).map(m => ({ id: m.id, name: m.attributes?.pronounceable_name, url: m.attributes?.url })),
+  });
+});
+
+const saveMonitorGroup = (req, res, existing) => {
+  const { value, error } = parseGroupInput(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const duplicate = database.getMonitorGroups().find(g => g.name.toLowerCase() === value.name.toLowerCase());
+  if (duplicate && duplicate.id !== existing?.id) {
+    return res.status(409).json({ success: false, error: 'A group with this name already exists' });
+  }
+  
+  const group = existing
+    ? database.updateMonitorGroup(existing.id, value)
+    : database.createMonitorGroup(value);
+  reloadMonitorGroups();
+  audit(req, existing ? "group_updated" : "group_created", { groupId: group.id, name: group.name, matchMode: group.matchMode, rules: group.rules });
+  events.broadcast("groups", { groupId: group.id });
+  res.status(existing ? 200 : 201).json({ success: true, data: group });
+};
+
+app.post("/api/groups", requireRole("editor"), (req, res) => {
+  saveMonitorGroup(req, res, null);
+});
+
+app.put("/api/groups/:groupId", requireRole("editor"), (req, res) => {
+  const existing = database.getMonitorGroupById(Number(req.params.groupId));
+  if (!existing) {
+    return res.status(404).json({ success: false, error: 'Group not found' });
+  }
+  saveMonitorGroup(req, res, existing);
+});
+
+app.delete("/api/groups/:groupId", requireRole("editor"), (req, res) => {
+  const existing = database.getMonitorGroupById(Number(req.params.groupId));
+  if (!existing) {
+    return res.status(404).json({ success: false, error: 'Group not found' });
+  }
+  database.deleteMonitorGroup(existing.id);
+  reloadMonitorGroups();
+  audit(req, "group_deleted", { groupId: existing.id, name: existing.name });
+  events.broadcast("groups", { groupId: existing.id });
+  res.json({ success: true });
+});
+
+// ============== CONFIGURATION AS CODE ==============
+// URL patterns, groups and monitor definitions as one YAML/JSON file; imports are planned (dry run) first
+
+const CONFIG_IMPORT_MAX_KB = 5 * 1024;
+
+// BetterStack monitors of the cache (synthetic ones are managed on the Checks tab)
+const upstreamMonitors = (accountId = null) => monitors.filter(m => !isSyntheticId(m.id) && inAccount(accountId)(m));
+
+// Write an import plan: settings right away, monitors through the BetterStack API one at a time (like
+// bulk actions) when applyMonitors is set. Returns { applied: { urlPatterns, groups, monitors }, failed }
+const applyConfigPlan = async (plan, { applyMonitors, changedBy }) => {
+  if (plan.urlPatterns.length > 0) {
+    urlPatterns = { ...urlPatterns, ...Object.fromEntries(plan.urlPatterns.map(change => [change.category, change.newValue])) };
+    database.setSetting("urlPatterns", urlPatterns);
+  }
+  for (const group of plan.groups) {
+    if (group.action === "create") {
+      database.createMonitorGroup(group.value);
+    } else {
+      database.updateMonitorGroup(group.groupId, group.value);
+    }
+  }
+  if (plan.groups.length > 0) reloadMonitorGroups();
+
+  const created = [];
+  const updated = [];
+  const failed = [];
+  for (const change of applyMonitors ? plan.monitors : []) {
+    try {
+      const provider = providerFor(change.account);
+      const { data } = change.action === "create"
+        ? await provider.createMonitor(change.attributes)
+        : await provider.updateMonitor(change.id, change.attributes);
+      (change.action === "create" ? created : updated).push({ ...data, account: change.account });
+    } catch (error) {
+      failed.push({ monitorId: change.id, name: change.name, error: error.message });
+    }
+  }
+  if (updated.length > 0) applyMonitorUpdates(updated, changedBy);
+  if (created.length > 0) addCreatedMonitors(created, changedBy);
+
+  // Categories and group membership may have changed: open dashboards load everything again
+  if (plan.urlPatterns.length > 0 || plan.groups.length > 0) events.broadcast("groups", {});
+  return {
+    applied: { urlPatterns: plan.urlPatterns.length, groups: plan.groups.length, monitors: created.length + updated.length },
+    failed,
+  };
+};
+
+// Download the configuration (?format=yaml|json, default yaml); ?account= limits the monitors
+app.get("/api/configuration/export", requireRole("editor"), (req, res) => {
+  const { accountId, error } = accountFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+  const format = CONFIG_FORMATS.includes(req.query.format) ? req.query.format : "yaml";
+
+  const config = buildConfigExport({ urlPatterns, groups: database.getMonitorGroups(), monitors: upstreamMonitors(accountId) });
+  const { contentType, body, extension } = renderConfig(config, format);
+  audit(req, "config_exported", { format, account: accountId, monitors: config.monitors.length });
+  res.type(contentType);
+  res.set("Content-Disposition", `attachment; filename="betterstack-config-${config.exportedAt.split("T")[0]}.${extension}"`);
+  res.send(body);
+});
+
+// Import a configuration file: the body is the file (YAML or JSON text, or a JSON object).
+// ?dryRun=false applies the plan (by default it's only returned); ?applyMonitors=true also writes the
+// monitor changes to BetterStack, otherwise only the dashboard settings are applied
+app.post("/api/configuration/import", requireRole("editor"),
+  express.text({ type: ["text/*", "application/yaml", "application/x-yaml"], limit: `${CONFIG_IMPORT_MAX_KB}kb` }),
+  async (req, res) => {
+    const { value: config, error } = parseConfigFile(req.body, accounts.map(a => a.id));
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const { value: plan, error: planError } = planConfigImport(config, {
+      urlPatterns,
+      groups: database.getMonitorGroups(),
+      monitors: upstreamMonitors(),
+      defaultAccount: defaultAccountId,
+    });
+    if (planError) {
+      return res.status(400).json({ success: false, error: planError });
+    }
+
+    const dryRun = req.query.dryRun !== "false";
+    const applyMonitors = req.query.applyMonitors === "true";
+    if (dryRun) {
+      return res.json({ success: true, dryRun, applyMonitors, plan: redactPlan(plan) });
+    }
+
+    try {
+      const { applied, failed } = await applyConfigPlan(plan, { applyMonitors, changedBy: req.user.username });
+      audit(req, "config_imported", { ...applied, applyMonitors, failed: failed.length });
+      res.json({ success: failed.length === 0, dryRun, applyMonitors, plan: redactPlan(plan), applied, failed });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+// ============== REPORTS ==============
+
+// Send a report in the format asked for (?format=json|csv|html, default json); csv and json are downloads
+const sendReport = (req, res, report, filename) => {
+  const format = REPORT_FORMATS.includes(req.query.format) ? req.query.format : "json";
+  const { contentType, body, extension } = renderReport(report, format);
+  res.type(contentType);
+  if (format !== "html") {
+    res.set("Content-Disposition", `attachment; filename="${filename}.${extension}"`);
+  }
+  res.send(body);
+};
+
+const reportFilename = (report) => {
+  const group = report.group ? `-${report.group.name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}` : "";
+  return `uptime-report-${report.period.from}-${report.period.to}${group}`;
+};
+
+// groupId query/body value -> null (all monitors) or an integer
+const parseReportGroupId = (value) => {
+  if (value === undefined || value === null || value === "") return { groupId: null };
+  const groupId = Number(value);
+  return Number.isInteger(groupId) ? { groupId } : { error: "groupId must be a group ID" };
+};
+
+// Generate a report now. Query: from, to (YYYY-MM-DD, default last 30 days), groupId, format
+app.get("/api/reports/sla", requireAuth, async (req, res) => {
+  const { from, to, error } = dateRangeFromQuery(req.query);
+  const { groupId, error: groupError } = parseReportGroupId(req.query.groupId);
+  if (error || groupError) return res.status(400).json({ success: false, error: error || groupError });
+
+  try {
+    const report = await reportService.generate({ from, to, groupId });
+    sendReport(req, res, report, reportFilename(report));
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Stored reports (scheduled and saved ones)
+app.get("/api/reports", requireAuth, (req, res) => {
+  const data = database.getReports();
+  res.json({ success: true, data, count: data.length });
+});
+
+// Generate a report and store it
+app.post("/api/reports", requireRole("editor"), async (req, res) => {
+  const { from, to, error } = dateRangeFromQuery(req.body || {});
+  const { groupId, error: groupError } = parseReportGroupId(req.body?.groupId);
+  if (error || groupError) return res.status(400).json({ success: false, error: error || groupError });
+
+  try {
+    const report = await reportService.generate({ from, to, groupId });
+    const saved = database.saveReport({
+      name: `${from} to ${to} ${report.group ? report.group.name : "All monitors"}`,
+      report,
+      groupId,
+      createdBy: req.user.username,
+    });
+    audit(req, "report_created", { reportId: saved.id, from, to, groupId });
+    res.status(201).json({ success: true, data: { ...saved, report: undefined } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Download a stored report (?format=json|csv|html)
+app.get("/api/reports/:reportId", requireAuth, (req, res) => {
+  const saved = database.getReportById(Number(req.params.reportId));
+  if (!saved) {
+    return res.status(404).json({ success: false, error: 'Report not found' });
+  }
+  sendReport(req, res, saved.report, reportFilename(saved.report));
+});
+
+app.delete("/api/reports/:reportId", requireRole("editor"), (req, res) => {
+  const saved = database.getReportById(Number(req.params.reportId));
+  if (!saved) {
+    return res.status(404).json({ success: false, error: 'Report not found' });
+  }
+  database.deleteReport(saved.id);
+  audit(req, "report_deleted", { reportId: saved.id, name: saved.name });
+  res.json({ success: true });
+});
+
+// ============== MAINTENANCE WINDOWS ==============
+
+// How far back daily status and the public page are recomputed when windows change (heatmap/status page range)
+const MAINTENANCE_REBUILD_DAYS = 90;
+
+// Windows with their next (or current) occurrence
+app.get("/api/maintenance", requireAuth, (req, res) => {
+  const now = Date.now();
+  const data = database.getMaintenanceWindows().map(window => {
+    const [next] = expandOccurrences(window, now, now + 400 * 24 * 60 * 60 * 1000);
+    return {
+      ...window,
+      active: !!next && next.start <= now,
+      nextStart: next ? new Date(next.start).toISOString() : null,
+      nextEnd: next ? new Date(next.end).toISOString() : null,
+    };
+  });
+  res.json({ success: true, data, recurrences: RECURRENCES });
+});
+
+// Past days, SLA results and the status page all depend on the windows: recompute them
+const applyMaintenanceChange = () => {
+  const now = Date.now();
+  const startMs = now - MAINTENANCE_REBUILD_DAYS * 24 * 60 * 60 * 1000;
+  const startDate = new Date(startMs).toISOString().split('T')[0];
+  database.rebuildDailyStatus(startDate, currentMaintenance(Date.parse(`${startDate}T00:00:00.000Z`), now + 1));
+  database.clearSlaCache();
+  publicStatusCache = { builtAt: 0, data: null };
+  slaService.refreshDefault();
+};
+
+app.post("/api/maintenance", requireRole("editor"), (req, res) => {
+  const { value, error } = parseMaintenanceInput(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const window = database.createMaintenanceWindow(value, req.user.username);
+  applyMaintenanceChange();
+  audit(req, "maintenance_created", { windowId: window.id, ...value });
+  res.status(201).json({ success: true, data: window });
+});
+
+app.put("/api/maintenance/:windowId", requireRole("editor"), (req, res) => {
+  const existing = database.getMaintenanceWindowById(Number(req.params.windowId));
+  if (!existing) {
+    return res.status(404).json({ success: false, error: 'Maintenance window not found' });
+  }
+  const { value, error } = parseMaintenanceInput(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const window = database.updateMaintenanceWindow(existing.id, value);
+  applyMaintenanceChange();
+  audit(req, "maintenance_updated", { windowId: window.id, ...value });
+  res.json({ success: true, data: window });
+});
+
+app.delete("/api/maintenance/:windowId", requireRole("editor"), (req, res) => {
+  const existing = database.getMaintenanceWindowById(Number(req.params.windowId));
+  if (!existing) {
+    return res.status(404).json({ success: false, error: 'Maintenance window not found' });
+  }
+  database.deleteMaintenanceWindow(existing.id);
+  applyMaintenanceChange();
+  audit(req, "maintenance_deleted", { windowId: existing.id, name: existing.name });
+  res.json({ success: true });
+});
+
+// ============== SYNTHETIC CHECK ROUTES ==============
+
+// Header values can hold credentials: only editors get to see them
+const publicCheck = (check, user) => hasRole(user.role, "editor")
+  ? check
+  : { ...check, headers: Object.fromEntries(Object.keys(check.headers).map(name => [name, "********"])) };
+
+// Checks with their last result and the last 24 hours (runs, passed, average latency)
+app.get("/api/checks", requireAuth, (req, res) => {
+  const stats = database.getSyntheticStatsSince(new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+  const data = database.getSyntheticChecks().map(check => ({
+    ...publicCheck(check, req.user),
+    syntheticMonitorId: `synthetic-${check.id}`,
+    lastResult: database.getLastSyntheticResult(check.id),
+    last24h: stats[check.id] || { runs: 0, passed: 0, avgLatencyMs: null },
+  }));
+  res.json({ success: true, data });
+});
+
+// Update the check's monitor right away (the next run sets its status), then reschedule
+const applyCheckChange = (check) => {
+  const monitor = syntheticMonitorFor(check);
+  const isNew = storeSyntheticMonitor(monitor);
+  database.recordStatusTransitions(monitors, new Date().toISOString());
+  broadcastMonitorChanges(isNew ? { added: [monitor] } : { changed: [monitor] });
+  checkScheduler.reload();
+};
+
+const findCheck = (req, res) => {
+  const check = database.getSyntheticCheckById(Number(req.params.checkId));
+  if (!check) res.status(404).json({ success: false, error: 'Check not found' });
+  return check;
+};
+
+app.post("/api/checks", requireRole("editor"), (req, res) => {
+  const { value, error } = parseCheckInput(req.body, accounts.map(a => a.id));
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const check = database.createSyntheticCheck(value, req.user.username);
+  applyCheckChange(check);
+  audit(req, "check_created", { checkId: check.id, name: check.name, url: check.url });
+  res.status(201).json({ success: true, data: check });
+});
+
+app.put("/api/checks/:checkId", requireRole("editor"), (req, res) => {
+  const existing = findCheck(req, res);
+  if (!existing) return;
+  const { value, error } = parseCheckInput(req.body, accounts.map(a => a.id));
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const check = database.updateSyntheticCheck(existing.id, value);
+  applyCheckChange(check);
+  audit(req, "check_updated", { checkId: check.id, name: check.name, url: check.url });
+  res.json({ success: true, data: check });
+});
+
+app.delete("/api/checks/:checkId", requireRole("editor"), (req, res) => {
+  const existing = findCheck(req, res);
+  if (!existing) return;
+  const monitorId = `synthetic-${existing.id}`;
+  database.deleteSyntheticCheck(existing.id, monitorId);
+  monitors = monitors.filter(m => m.id !== monitorId);
+  lastResponseTimes.delete(monitorId);
+  database.recordStatusTransitions(monitors, new Date().toISOString());
+  broadcastMonitorChanges({ removed: [monitorId] });
+  checkScheduler.reload();
+  audit(req, "check_deleted", { checkId: existing.id, name: existing.name });
+  res.json({ success: true });
+});
+
+// Run a check now (also when it's disabled); the result is stored like a scheduled run
+app.post("/api/checks/:checkId/run", requireRole("editor"), async (req, res) => {
+  const check = findCheck(req, res);
+  if (!check) return;
+  try {
+    const result = await checkScheduler.runNow(check);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Results of the last `hours` hours (default 24, max. 30 days), oldest first
+app.get("/api/checks/:checkId/results", requireAuth, (req, res) => {
+  const check = findCheck(req, res);
+  if (!check) return;
+  const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+  if (!Number.isFinite(hours) || hours < 1 || hours > 30 * 24) {
+    return res.status(400).json({ success: false, error: "hours must be between 1 and 720" });
+  }
+  const now = Date.now();
+  const data = database.getSyntheticResults(check.id, new Date(now - hours * 60 * 60 * 1000).toISOString(), new Date(now + 1).toISOString());
+  res.json({ success: true, data });
+});
+
+// ============== PUBLIC STATUS PAGE ==============
+
+// Public payload is rebuilt at most once a minute
+const PUBLIC_STATUS_CACHE_MS = 60 * 1000;
+let publicStatusCache = { builtAt: 0, data: null };
+
+app.get("/status", (req, res) => {
+  if (!statusPageConfig) {
+    return res.status(404).send("Status page is not configured");
+  }
+  res.sendFile(path.join(__dirname, "public", "status.html"));
+});
+
+app.get("/api/public/status", (req, res) => {
+  if (!statusPageConfig) {
+    return res.status(404).json({ success: false, error: 'Status page is not configured' });
+  }
+
+  if (!publicStatusCache.data || Date.now() - publicStatusCache.builtAt > PUBLIC_STATUS_CACHE_MS) {
+    publicStatusCache = {
+      builtAt: Date.now(),
+      data: buildPublicStatus({
+        config: statusPageConfig,
+        monitors,
+        incidents,
+        dailyStatusByMonitor: database.getDailyStatusForHeatmap(90),
+        lastUpdated,
+      }),
+    };
+  }
+
+  res.set("Cache-Control", "public, max-age=60");
+  res.json({ success: true, data: publicStatusCache.data });
 });
 
-// Get config (team ID for BetterStack links)
-app.get("/api/config", requireAuth, (req, res) => {
-  res.json({
-    betterStackTeamId: BETTERSTACK_TEAM_ID,
-  });
+// ============== PROMETHEUS METRICS ==============
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.get('authorization') || '', `Bearer ${METRICS_TOKEN}`)) {
+    return res.status(401).type('text/plain').send('Unauthorized\n');
+  }
+  
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics({
+    monitors,
+    incidents,
+    categorize: categorizeMonitor,
+    responseTimes: lastResponseTimes,
+    refreshStats,
+    upstream: Object.fromEntries([...accountStates].map(([accountId, state]) => [accountId, state.provider.stats()])),
+    lastUpdated,
+    isLoading,
+  }));
 });
 
 // ============== PROTECTED ROUTES ==============
@@ -290,245 +1620,695 @@ app.get("/api/config", requireAuth, (req, res) => {
 app.use(express.static(path.join(__dirname, "public")));
 
 // Dashboard endpoint - triggers refresh in background on each visit
+// Query: account (one account's monitors and incidents; all accounts by default)
 app.get("/api/dashboard", requireAuth, (req, res) => {
+  const { accountId, error } = accountFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+
   // Return cached data immediately
-  res.json(buildDashboardData());
+  res.json(buildDashboardData(accountId));
   
-  // Trigger background refresh if not already loading
-  if (!isLoading) {
+  // Trigger background refresh if not already loading (not for API token clients polling the data)
+  if (!isLoading && !req.apiToken) {
     console.log("Visitor triggered background refresh...");
-    fetchMonitorsProgressively();
+    refreshAllAccounts();
   }
 });
 
+// Live update stream (Server-Sent Events): progress, monitors and incidents events
+app.get("/api/events", requireAuth, (req, res) => {
+  events.addClient(req, res, { isLoading, loadingProgress, lastUpdated, accounts: accountSummaries() });
+});
+
 app.get("/api/status", requireAuth, (req, res) => {
   res.json({
     monitorsCount: monitors.length,
     isLoading,
     loadingProgress,
     lastUpdated,
+    accounts: accountSummaries().map(account => ({
+      ...account,
+      monitorsCount: monitors.filter(inAccount(account.id)).length,
+      upstream: accountStates.get(account.id).provider.stats(),
+    })),
   });
 });
 
-// Force refresh endpoint
-app.post("/api/refresh", requireAuth, (req, res) => {
-  if (!isLoading) {
-    fetchMonitorsProgressively();
+// Force refresh endpoint (every account, or the one given as { account })
+app.post("/api/refresh", requireRole("editor"), (req, res) => {
+  const accountId = req.body?.account || null;
+  if (accountId && !accountStates.has(accountId)) {
+    return res.status(400).json({ success: false, error: `Unknown account: ${accountId}` });
   }
-  res.json({ success: true, message: isLoading ? "Already loading" : "Refresh started" });
+  const pending = [...accountStates.values()].filter(state => !state.isLoading && (!accountId || state.account.id === accountId));
+  const started = pending.length > 0;
+  audit(req, "refresh", { started, account: accountId });
+  pending.forEach(state => refreshAccount(state));
+  res.json({ success: true, message: started ? "Refresh started" : "Already loading" });
 });
 
+// ============== MONITOR & INCIDENT ACTIONS ==============
+// Writes go to BetterStack first; the returned objects replace the cached ones right away
+// so dashboards don't have to wait for the next refresh.
 
-// Proxy endpoint to test monitor URLs with auth headers
-app.post("/api/proxy", requireAuth, async (req, res) => {
-  const { url, authValue } = req.body;
-  
-  if (!url) {
-    return res.status(400).json({ success: false, error: 'URL is required' });
+// Store updated monitors in memory and SQLite, record the status and configuration changes and push them.
+// changedBy: user who made the change (BetterStack monitors go into the change log as "dashboard" changes)
+const applyMonitorUpdates = (updated, changedBy = null) => {
+  const updatedById = new Map(updated.map(m => [m.id, m]));
+  const previous = monitors.filter(m => updatedById.has(m.id) && !isSyntheticId(m.id));
+  const configChanges = diffMonitorConfigs(previous, updated.filter(m => !isSyntheticId(m.id)));
+  recordConfigChanges(configChanges.filter(c => c.changeType === "changed"), { source: "dashboard", changedBy });
+  monitors = monitors.map(m => updatedById.get(m.id) || m);
+  updated.forEach(database.saveMonitor);
+  database.recordStatusTransitions(monitors, new Date().toISOString());
+  broadcastMonitorChanges({ changed: updated });
+};
+
+// Put monitors created from the dashboard into the cache (after their account's monitors), log them as
+// added and push them
+const addCreatedMonitors = (created, changedBy = null) => {
+  recordConfigChanges(diffMonitorConfigs([], created), { source: "dashboard", changedBy });
+  monitors = accounts.flatMap(account => [
+    ...monitors.filter(m => accountOf(m) === account.id),
+    ...created.filter(m => m.account === account.id),
+  ]);
+  created.forEach(database.saveMonitor);
+  database.recordStatusTransitions(monitors, new Date().toISOString());
+  broadcastMonitorChanges({ added: created });
+};
+
+// In-memory incidents first, then the archive
+const findIncident = (incidentId) => {
+  return incidents.find(i => i.id === incidentId) || database.getIncidentById(incidentId);
+};
+
+const applyIncidentUpdate = (updated) => {
+  incidents = incidents.map(i => i.id === updated.id ? updated : i);
+  database.saveIncident(updated);
+  events.broadcast("incidents", {
+    opened: [],
+    resolved: updated.attributes?.resolved_at ? [updated] : [],
+    updated: [updated],
+    total: incidents.length,
+  });
+};
+
+const monitorName = (monitor) => monitor.attributes?.pronounceable_name || monitor.attributes?.url || monitor.id;
+
+// Pause/resume upstream, or enable/disable the check behind a synthetic monitor; returns the updated monitor
+const pauseMonitor = async (monitor, paused) => {
+  if (isSyntheticId(monitor.id)) {
+    const check = database.setSyntheticCheckEnabled(checkIdOf(monitor.id), !paused);
+    checkScheduler.reload();
+    return syntheticMonitorFor(check);
+  }
+  const { data } = await providerFor(accountOf(monitor)).setMonitorPaused(monitor.id, paused);
+  return { ...data, account: accountOf(monitor) };
+};
+
+const setMonitorPaused = (paused) => async (req, res) => {
+  const monitor = monitors.find(m => m.id === req.params.monitorId);
+  if (!monitor) {
+    return res.status(404).json({ success: false, error: 'Monitor not found' });
   }
   
   try {
-    const headers = {};
-    if (authValue) {
-      headers['Authorization'] = authValue;
+    const data = await pauseMonitor(monitor, paused);
+    applyMonitorUpdates([data], req.user.username);
+    audit(req, paused ? "monitor_paused" : "monitor_resumed", { monitorId: monitor.id, name: monitorName(monitor) });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+app.post("/api/monitors/:monitorId/pause", requireRole("editor"), setMonitorPaused(true));
+app.post("/api/monitors/:monitorId/resume", requireRole("editor"), setMonitorPaused(false));
+
+// Pause or resume a selection of monitors (the dashboard sends its current search/filter result)
+const MAX_BULK_MONITORS = 500;
+
+app.post("/api/monitors/bulk", requireRole("editor"), async (req, res) => {
+  const { action, monitorIds } = req.body;
+  
+  if (action !== 'pause' && action !== 'resume') {
+    return res.status(400).json({ success: false, error: 'action must be "pause" or "resume"' });
+  }
+  if (!Array.isArray(monitorIds) || monitorIds.length === 0 || monitorIds.length > MAX_BULK_MONITORS) {
+    return res.status(400).json({ success: false, error: `monitorIds must list 1-${MAX_BULK_MONITORS} monitors` });
+  }
+  
+  const paused = action === 'pause';
+  const selected = monitors.filter(m => monitorIds.includes(m.id));
+  // Monitors already in the requested state are left alone
+  const pending = selected.filter(m => !!m.attributes?.paused !== paused);
+  const updated = [];
+  const failed = [];
+  
+  // One at a time, like the refresh, to stay clear of upstream rate limits
+  for (const monitor of pending) {
+    try {
+      updated.push(await pauseMonitor(monitor, paused));
+    } catch (error) {
+      failed.push({ monitorId: monitor.id, error: error.message });
     }
-    
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 30000); // 30s timeout
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers,
-      signal: controller.signal,
+  }
+  
+  if (updated.length > 0) {
+    applyMonitorUpdates(updated, req.user.username);
+  }
+  audit(req, paused ? "monitors_bulk_paused" : "monitors_bulk_resumed", {
+    monitorIds: updated.map(m => m.id),
+    failed: failed.length,
+  });
+  
+  res.json({
+    success: failed.length === 0,
+    updated: updated.length,
+    skipped: selected.length - pending.length,
+    notFound: monitorIds.length - selected.length,
+    failed,
+  });
+});
+
+const changeIncident = (action) => async (req, res) => {
+  const incident = findIncident(req.params.incidentId);
+  if (!incident) {
+    return res.status(404).json({ success: false, error: 'Incident not found' });
+  }
+  
+  try {
+    const provider = providerFor(accountOf(incident));
+    const { data } = action === "acknowledge"
+      ? await provider.acknowledgeIncident(incident.id, req.user.username)
+      : await provider.resolveIncident(incident.id, req.user.username);
+    applyIncidentUpdate({ ...data, account: accountOf(incident) });
+    audit(req, action === "acknowledge" ? "incident_acknowledged" : "incident_resolved", {
+      incidentId: incident.id,
+      name: incident.attributes?.name,
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+app.post("/api/incidents/:incidentId/acknowledge", requireRole("editor"), changeIncident("acknowledge"));
+app.post("/api/incidents/:incidentId/resolve", requireRole("editor"), changeIncident("resolve"));
+
+// Request builder: send a request (method, headers, body) to a monitor URL or any allowed target
+app.post("/api/proxy", requireRole("editor"), async (req, res) => {
+  const { value, error } = parseProxyRequest(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  
+  audit(req, "proxy_request", { method: value.method, url: value.url });
+  
+  try {
+    const response = await sendRequest(value, {
+      policy: proxyPolicy,
+      maxBytes: PROXY_MAX_RESPONSE_KB * 1024,
+      maxRedirects: PROXY_MAX_REDIRECTS,
     });
     
-    clearTimeout(timeout);
-    
-    const contentType = response.headers.get('content-type') || '';
-    let body;
-    
-    if (contentType.includes('application/json')) {
-      body = await response.json();
-    } else {
-      body = await response.text();
+    let body = response.body;
+    if ((response.headers['content-type'] || '').includes('application/json') && !response.truncated) {
+      try {
+        body = JSON.parse(response.body);
+      } catch (parseError) {
+        // Invalid JSON is shown as text
+      }
     }
     
     res.json({
       success: true,
       status: response.status,
       statusText: response.statusText,
+      url: response.url,
+      redirects: response.redirects,
+      headers: response.headers,
       body,
+      size: response.size,
+      truncated: response.truncated,
+      timing: response.timing,
     });
   } catch (error) {
-    res.json({
-      success: false,
-      error: error.name === 'AbortError' ? 'Request timeout (30s)' : error.message,
-    });
+    // Refused targets are 403; upstream failures are reported like any response
+    res.status(error.status || 200).json({ success: false, error: error.message });
   }
 });
 
-// ============== NEW ENDPOINTS ==============
+// Saved requests of the request builder (shared by all editors; headers may hold credentials)
+app.get("/api/proxy/requests", requireRole("editor"), (req, res) => {
+  res.json({ success: true, data: database.getSavedRequests() });
+});
+
+const saveProxyRequest = (req, res, existing) => {
+  const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+  if (!name || name.length > 100) {
+    return res.status(400).json({ success: false, error: 'Name is required (max. 100 characters)' });
+  }
+  const { value, error } = parseProxyRequest(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  
+  const saved = existing
+    ? database.updateSavedRequest(existing.id, { ...value, name })
+    : database.createSavedRequest({ ...value, name }, req.user.username);
+  audit(req, existing ? "request_updated" : "request_saved", { requestId: saved.id, name, method: value.method, url: value.url });
+  res.status(existing ? 200 : 201).json({ success: true, data: saved });
+};
+
+app.post("/api/proxy/requests", requireRole("editor"), (req, res) => {
+  saveProxyRequest(req, res, null);
+});
+
+app.put("/api/proxy/requests/:requestId", requireRole("editor"), (req, res) => {
+  const existing = database.getSavedRequestById(Number(req.params.requestId));
+  if (!existing) {
+    return res.status(404).json({ success: false, error: 'Saved request not found' });
+  }
+  saveProxyRequest(req, res, existing);
+});
+
+app.delete("/api/proxy/requests/:requestId", requireRole("editor"), (req, res) => {
+  const existing = database.getSavedRequestById(Number(req.params.requestId));
+  if (!existing) {
+    return res.status(404).json({ success: false, error: 'Saved request not found' });
+  }
+  database.deleteSavedRequest(existing.id);
+  audit(req, "request_deleted", { requestId: existing.id, name: existing.name });
+  res.json({ success: true });
+});
+
+// ============== MONITOR CHANGE LOG ==============
+
+// Configuration changes of monitors, newest first, plus the fields that ever changed (for the filter)
+// Query: account, monitorId, field, type (added, removed, changed), from, to (YYYY-MM-DD), page, perPage (max. 200)
+app.get("/api/monitors/changes", requireAuth, (req, res) => {
+  const { accountId, error } = accountFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+  const { value: filters, error: filterError } = parseChangeFilters(req.query);
+  if (filterError) return res.status(400).json({ success: false, error: filterError });
 
-// Heartbeats endpoint - cron jobs monitoring
-app.get("/api/heartbeats", requireAuth, async (req, res) => {
   try {
-    const response = await fetch(`${BETTERSTACK_API_URL}/heartbeats`, {
-      method: "GET",
-      headers: {
-        Authorization: `Bearer ${BETTERSTACK_API_TOKEN}`,
-      },
+    const result = database.getMonitorConfigChanges({ ...filters, accountId });
+    res.json({
+      success: true,
+      data: result.changes,
+      total: result.total,
+      counts: result.counts,
+      fields: database.getMonitorConfigFields(),
+      page: filters.page,
+      perPage: filters.perPage,
+      pages: Math.max(Math.ceil(result.total / filters.perPage), 1),
     });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!response.ok) {
-      return res.status(response.status).json({ success: false, error: response.statusText });
-    }
+// ============== HEARTBEATS ==============
 
-    const data = await response.json();
-    
-    const heartbeats = (data.data || []).map(hb => ({
+// Heartbeats of all accounts (or the one in ?account=), from the last refresh, plus local ones.
+// Editors get the ping URL of local heartbeats.
+app.get("/api/heartbeats", requireAuth, (req, res) => {
+  const { accountId, error } = accountFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+
+  const tokens = hasRole(req.user.role, "editor") && LOCAL_HEARTBEATS
+    ? new Map(database.getLocalHeartbeats().map(local => [`local-${local.id}`, local.token]))
+    : new Map();
+  const data = allHeartbeats().filter(inAccount(accountId)).map(hb => tokens.has(hb.id)
+    ? { ...hb, pingUrl: `${req.protocol}://${req.get("host")}/heartbeat/${tokens.get(hb.id)}` }
+    : hb);
+  const failedAccounts = [...accountStates.values()]
+    .filter(state => state.heartbeatsError && (!accountId || state.account.id === accountId))
+    .map(state => ({ account: state.account.id, error: state.heartbeatsError }));
+
+  res.json({ success: true, data, count: data.length, failedAccounts, localEnabled: LOCAL_HEARTBEATS });
+});
+
+// Daily status of every heartbeat from its tracked status changes (days: up to 90, default 30)
+app.get("/api/heartbeats/heatmap", requireAuth, (req, res) => {
+  const { accountId, error } = accountFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+  const days = Math.min(parseInt(req.query.days, 10) || 30, 90);
+  const now = new Date();
+  const dailyStatus = database.getHeartbeatDailyStatus(days, now.getTime());
+
+  const data = allHeartbeats(now.getTime()).filter(inAccount(accountId)).map(hb => {
+    const heatmapDays = buildHeatmapDays(dailyStatus[hb.id], days, now).map(day => {
+      const tracked = (dailyStatus[hb.id] || []).find(d => d.date === day.date);
+      return { ...day, missedRuns: tracked?.missedRuns || 0 };
+    });
+    return {
       id: hb.id,
-      name: hb.attributes.name,
-      status: hb.attributes.status,
-      period: hb.attributes.period,
-      grace: hb.attributes.grace,
-      paused: hb.attributes.paused,
-      url: hb.attributes.url,
-      createdAt: hb.attributes.created_at,
-      updatedAt: hb.attributes.updated_at,
-    }));
-
-    res.json({ success: true, data: heartbeats, count: heartbeats.length });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+      account: hb.account,
+      source: hb.source,
+      name: hb.name,
+      currentStatus: hb.status,
+      uptime: summarizeUptime(heatmapDays),
+      missedRuns: heatmapDays.reduce((sum, day) => sum + day.missedRuns, 0),
+      days: heatmapDays,
+    };
+  });
+
+  res.json({ success: true, data, count: data.length });
+});
+
+// Missed runs (periods a heartbeat was down), newest first. Query: heartbeatId, account, days (max. 365, default 30)
+app.get("/api/heartbeats/missed", requireAuth, (req, res) => {
+  const { accountId, error } = accountFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+  const days = Math.min(parseInt(req.query.days, 10) || 30, 365);
+  const known = new Map(allHeartbeats().map(hb => [hb.id, hb]));
+
+  const data = database.getHeartbeatMissedRuns({ heartbeatId: req.query.heartbeatId || null, days, limit: 500 })
+    .filter(run => known.has(run.heartbeatId) && inAccount(accountId)(known.get(run.heartbeatId)))
+    .map(run => ({ ...run, heartbeatName: known.get(run.heartbeatId).name, source: known.get(run.heartbeatId).source }));
+
+  res.json({ success: true, data, count: data.length });
+});
+
+const findLocalHeartbeat = (req, res) => {
+  const local = isLocalHeartbeatId(req.params.heartbeatId) ? database.getLocalHeartbeatById(localIdOf(req.params.heartbeatId)) : null;
+  if (!local) res.status(404).json({ success: false, error: "Local heartbeat not found" });
+  return local;
+};
+
+const requireLocalHeartbeats = (req, res, next) => {
+  if (!LOCAL_HEARTBEATS) {
+    return res.status(400).json({ success: false, error: "Local heartbeats are disabled (set LOCAL_HEARTBEATS=true)" });
+  }
+  next();
+};
+
+app.post("/api/heartbeats", requireRole("editor"), requireLocalHeartbeats, (req, res) => {
+  const { value, error } = parseHeartbeatInput(req.body, accounts.map(a => a.id));
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const local = database.createLocalHeartbeat(value, generatePingToken(), req.user.username);
+  recordHeartbeatChanges();
+  audit(req, "heartbeat_created", { heartbeatId: `local-${local.id}`, name: local.name });
+  res.status(201).json({
+    success: true,
+    data: { ...fromLocal(local), pingUrl: `${req.protocol}://${req.get("host")}/heartbeat/${local.token}` },
+  });
+});
+
+app.patch("/api/heartbeats/:heartbeatId", requireRole("editor"), requireLocalHeartbeats, (req, res) => {
+  const existing = findLocalHeartbeat(req, res);
+  if (!existing) return;
+  const { value, error } = parseHeartbeatInput({ ...existing, ...req.body }, accounts.map(a => a.id));
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const local = database.updateLocalHeartbeat(existing.id, value);
+  recordHeartbeatChanges();
+  audit(req, "heartbeat_updated", { heartbeatId: req.params.heartbeatId, name: local.name });
+  res.json({ success: true, data: fromLocal(local) });
+});
+
+app.delete("/api/heartbeats/:heartbeatId", requireRole("editor"), requireLocalHeartbeats, (req, res) => {
+  const existing = findLocalHeartbeat(req, res);
+  if (!existing) return;
+  database.deleteLocalHeartbeat(existing.id, req.params.heartbeatId);
+  events.broadcast("heartbeats", { transitions: [] });
+  audit(req, "heartbeat_deleted", { heartbeatId: req.params.heartbeatId, name: existing.name });
+  res.json({ success: true });
+});
+
+// Ping receiver for local heartbeats (no login: the token in the URL identifies the heartbeat).
+// GET or POST /heartbeat/<token> reports a run; /heartbeat/<token>/fail a failed one.
+const receiveHeartbeatPing = (ok) => (req, res) => {
+  const local = LOCAL_HEARTBEATS ? database.getLocalHeartbeatByToken(req.params.token) : null;
+  if (!local) {
+    return res.status(404).json({ success: false, error: "Unknown heartbeat" });
   }
+  const at = new Date().toISOString();
+  database.recordLocalHeartbeatPing(local.id, at, ok);
+  recordHeartbeatChanges(at);
+  res.json({ success: true });
+};
+
+app.get("/heartbeat/:token", receiveHeartbeatPing(true));
+app.post("/heartbeat/:token", receiveHeartbeatPing(true));
+app.get("/heartbeat/:token/fail", receiveHeartbeatPing(false));
+app.post("/heartbeat/:token/fail", receiveHeartbeatPing(false));
+
+// ============== NEW ENDPOINTS ==============
+
+// from/to query parameters (YYYY-MM-DD), defaulting to the last 30 days
+const dateRangeFromQuery = (query) => {
+  const { from, to } = { ...defaultSlaRange(), ...query };
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+  if (!isDate(from) || !isDate(to)) return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  if (from > to) return { error: 'from must not be after to' };
+  return { from, to };
+};
+
+// [fromMs, toMs) of a date range from dateRangeFromQuery, ending now at the latest
+const dateRangeBounds = (from, to) => ({
+  fromMs: Date.parse(`${from}T00:00:00.000Z`),
+  toMs: Math.min(Date.parse(`${to}T00:00:00.000Z`) + 24 * 60 * 60 * 1000, Date.now()),
 });
 
-// SLA endpoint - get uptime stats for a specific monitor
+// SLA endpoint - get uptime stats for a specific monitor (cached, fetched on a miss)
 app.get("/api/sla/:monitorId", requireAuth, async (req, res) => {
   try {
     const { monitorId } = req.params;
-    const { from, to } = req.query;
+    const { from: fromDate, to: toDate, error } = dateRangeFromQuery(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+    if (!monitors.some(m => m.id === monitorId)) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
     
-    // Default to last 30 days
-    const toDate = to || new Date().toISOString().split('T')[0];
-    const fromDate = from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const data = await slaService.getMonitorSla(monitorId, fromDate, toDate);
     
-    const response = await fetch(
-      `${BETTERSTACK_API_URL}/monitors/${monitorId}/sla?from=${fromDate}&to=${toDate}`,
-      {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${BETTERSTACK_API_TOKEN}`,
-        },
-      }
-    );
-
-    if (!response.ok) {
-      return res.status(response.status).json({ success: false, error: response.statusText });
-    }
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-    const data = await response.json();
+// Batch SLA endpoint - uptime stats for all monitors, answered from the SLA cache
+// Missing or stale entries are refreshed in the background; `freshness` tells how current the data is
+app.get("/api/sla", requireAuth, (req, res) => {
+  try {
+    const { from: fromDate, to: toDate, error } = dateRangeFromQuery(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+    const { accountId, error: accountError } = accountFromQuery(req.query);
+    if (accountError) return res.status(400).json({ success: false, error: accountError });
+    
+    const { rows, freshness } = slaService.getReport(fromDate, toDate, inAccount(accountId));
+    
+    // Sort by availability (lowest first, unknown last)
+    rows.sort((a, b) => (a.availability ?? Infinity) - (b.availability ?? Infinity));
     
     res.json({
       success: true,
-      data: {
-        monitorId: data.data.id,
-        availability: data.data.attributes.availability,
-        totalDowntime: data.data.attributes.total_downtime,
-        numberOfIncidents: data.data.attributes.number_of_incidents,
-        longestIncident: data.data.attributes.longest_incident,
-        averageIncident: data.data.attributes.average_incident,
-      },
+      data: rows,
+      count: rows.length,
+      total: monitors.filter(inAccount(accountId)).length,
+      period: { from: fromDate, to: toDate },
+      freshness,
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Batch SLA endpoint - get uptime stats for all monitors
-app.get("/api/sla", requireAuth, async (req, res) => {
+// Incident analytics (MTTA/MTTR, per monitor/category, flapping, time distribution, weekly trend)
+// over the incident archive. Query: from, to (YYYY-MM-DD, default last 30 days), tz (default UTC), account
+app.get("/api/analytics/incidents", requireAuth, (req, res) => {
+  const { from, to, error } = dateRangeFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+  const { accountId, error: accountError } = accountFromQuery(req.query);
+  if (accountError) return res.status(400).json({ success: false, error: accountError });
+  const timeZone = req.query.tz || "UTC";
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ success: false, error: `Unknown time zone: ${timeZone}` });
+  }
+
   try {
-    const { from, to } = req.query;
-    
-    // Default to last 30 days
-    const toDate = to || new Date().toISOString().split('T')[0];
-    const fromDate = from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    
-    // Fetch SLA for all monitors (in batches to avoid rate limiting)
-    const slaData = [];
-    
-    for (const monitor of monitors) {
-      try {
-        const response = await fetch(
-          `${BETTERSTACK_API_URL}/monitors/${monitor.id}/sla?from=${fromDate}&to=${toDate}`,
-          {
-            method: "GET",
-            headers: {
-              Authorization: `Bearer ${BETTERSTACK_API_TOKEN}`,
-            },
-          }
-        );
-
-        if (response.ok) {
-          const data = await response.json();
-          slaData.push({
-            monitorId: monitor.id,
-            monitorName: monitor.attributes?.pronounceable_name || monitor.attributes?.url,
-            monitorUrl: monitor.attributes?.url,
-            status: monitor.attributes?.status,
-            availability: data.data.attributes.availability,
-            totalDowntime: data.data.attributes.total_downtime,
-            numberOfIncidents: data.data.attributes.number_of_incidents,
-            longestIncident: data.data.attributes.longest_incident,
-            averageIncident: data.data.attributes.average_incident,
-          });
-        }
-        
-        // Small delay to avoid rate limiting
-        await new Promise(r => setTimeout(r, 50));
-      } catch (err) {
-        // Skip failed monitors
-      }
-    }
-    
-    // Sort by availability (lowest first)
-    slaData.sort((a, b) => a.availability - b.availability);
-    
-    res.json({ success: true, data: slaData, count: slaData.length, period: { from: fromDate, to: toDate } });
+    const accountMonitors = monitors.filter(inAccount(accountId));
+    const { fromMs, toMs } = dateRangeBounds(from, to);
+    const data = buildIncidentAnalytics({
+      incidents: database.getIncidentsStartedBetween(from, to).filter(inAccount(accountId)),
+      monitors: accountMonitors,
+      categorize: categorizeMonitor,
+      noise: flappingDetector.rank(fromMs, toMs, accountMonitors),
+      from,
+      to,
+      timeZone,
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Noisiest monitors over a period: up/down changes with their noise score, flagged when flapping right now
+// Query: from, to (YYYY-MM-DD, default last 30 days), account, limit (default 50, max. 500)
+app.get("/api/analytics/flapping", requireAuth, (req, res) => {
+  const { from, to, error } = dateRangeFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+  const { accountId, error: accountError } = accountFromQuery(req.query);
+  if (accountError) return res.status(400).json({ success: false, error: accountError });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+  try {
+    const { fromMs, toMs } = dateRangeBounds(from, to);
+    const flapping = flappingDetector.flapping();
+    const ranking = flappingDetector.rank(fromMs, toMs, monitors.filter(inAccount(accountId)));
+    res.json({
+      success: true,
+      data: {
+        period: { from, to },
+        windowHours: flappingDetector.windowHours,
+        minTransitions: flappingDetector.minTransitions,
+        total: ranking.length,
+        monitors: ranking.slice(0, limit).map(m => ({ ...m, flapping: !!flapping[m.monitorId] })),
+      },
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Last 24 hours of every monitor from the stored samples (avg and p50/p95/p99 in ms) with regression flags
+// Query: account
+app.get("/api/response-times/summary", requireAuth, (req, res) => {
+  const { accountId, error } = accountFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+  const monitorIds = new Set(monitors.filter(inAccount(accountId)).map(m => m.id));
+  const data = Object.fromEntries(Object.entries(responseTimeService.getSummary())
+    .filter(([monitorId]) => monitorIds.has(monitorId)));
+  res.json({ success: true, data });
+});
+
+// Monitors whose p95 regressed against their own baseline, worst first. Query: account
+app.get("/api/response-times/regressions", requireAuth, (req, res) => {
+  const { accountId, error } = accountFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+  const regressions = responseTimeService.regressions();
+  const data = monitors.filter(m => regressions[m.id] && inAccount(accountId)(m))
+    .map(m => ({ monitorId: m.id, monitorName: m.attributes?.pronounceable_name || m.attributes?.url, ...regressions[m.id] }))
+    .sort((a, b) => b.changePercent - a.changePercent);
+  res.json({ success: true, data });
+});
+
+// Stored percentile history of a monitor: hourly buckets for 7 days, daily for 30 or 90
+// Query: days (7, 30, 90), region (default: all regions together)
+app.get("/api/response-times/:monitorId/history", requireAuth, (req, res) => {
+  const days = parseInt(req.query.days, 10) || 7;
+  if (![7, 30, 90].includes(days)) {
+    return res.status(400).json({ success: false, error: "days must be 7, 30 or 90" });
+  }
+  const monitor = monitors.find(m => m.id === req.params.monitorId);
+  if (!monitor) {
+    return res.status(404).json({ success: false, error: "Monitor not found" });
+  }
+  const { bucket, series, regression } = responseTimeService.getHistory(monitor.id, days);
+  const region = req.query.region || "all";
+  res.json({
+    success: true,
+    data: {
+      monitorId: monitor.id,
+      days,
+      bucket,
+      region,
+      regions: Object.keys(series).filter(name => name !== "all"),
+      points: series[region] || [],
+      regression,
+    },
+  });
+});
+
 // Response times endpoint - get response times for a monitor
 app.get("/api/response-times/:monitorId", requireAuth, async (req, res) => {
   try {
     const { monitorId } = req.params;
-    const { from, to } = req.query;
-    
     // Default to last 24 hours
-    const toDate = to || new Date().toISOString().split('T')[0];
-    const fromDate = from || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const { from: fromDate, to: toDate, error } = dateRangeFromQuery({
+      from: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+      to: new Date().toISOString().split('T')[0],
+      ...req.query,
+    });
+    if (error) return res.status(400).json({ success: false, error });
     
-    const response = await fetch(
-      `${BETTERSTACK_API_URL}/monitors/${monitorId}/response-times?from=${fromDate}&to=${toDate}`,
-      {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${BETTERSTACK_API_TOKEN}`,
-        },
-      }
-    );
+    // Synthetic checks: their own results, in BetterStack's shape
+    if (isSyntheticId(monitorId)) {
+      const toExclusive = new Date(Date.parse(`${toDate}T00:00:00.000Z`) + 24 * 60 * 60 * 1000).toISOString();
+      const results = database.getSyntheticResults(checkIdOf(monitorId), `${fromDate}T00:00:00.000Z`, toExclusive);
+      return res.json({
+        success: true,
+        data: [{
+          region: "local",
+          response_times: results
+            .filter(r => r.latencyMs !== null)
+            .map(r => ({ at: r.checkedAt, response_time: r.latencyMs })),
+        }],
+      });
+    }
+    
+    const monitor = monitors.find(m => m.id === monitorId);
+    if (!monitor) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    const data = await providerFor(accountOf(monitor)).fetchResponseTimes(monitorId, fromDate, toDate);
+    const regions = data.data?.attributes?.regions || [];
+    // Into the history as well, so it doesn't wait for the next sync
+    responseTimeService.record(monitorId, responseTimeService.toSamples(regions));
+    
+    // Keep the newest sample of each region for /metrics
+    const latest = {};
+    for (const region of regions) {
+      const samples = (region.response_times || []).filter(rt => rt.response_time);
+      const last = samples[samples.length - 1];
+      if (last) latest[region.region] = { responseTime: last.response_time, at: last.at };
+    }
+    if (Object.keys(latest).length > 0) {
+      lastResponseTimes.set(monitorId, latest);
+    }
+    
+    res.json({
+      success: true,
+      data: regions,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!response.ok) {
-      return res.status(response.status).json({ success: false, error: response.statusText });
+// Search the incident archive
+// Query: q, account, monitorId, from, to (YYYY-MM-DD), status, acknowledgedBy, resolvedBy, page, perPage (max. 200)
+app.get("/api/incidents", requireAuth, (req, res) => {
+  const { q, monitorId, from, to, status, acknowledgedBy, resolvedBy } = req.query;
+  const { accountId, error } = accountFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return res.status(400).json({ success: false, error: `${name} must be a date (YYYY-MM-DD)` });
     }
+  }
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(req.query.perPage, 10) || 50, 1), 200);
 
-    const data = await response.json();
-    
+  try {
+    const result = database.searchIncidents({ q, accountId, monitorId, from, to, status, acknowledgedBy, resolvedBy, page, perPage });
     res.json({
       success: true,
-      data: data.data.attributes.regions,
+      data: result.incidents,
+      total: result.total,
+      counts: result.counts,
+      page,
+      perPage,
+      pages: Math.max(Math.ceil(result.total / perPage), 1),
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -540,8 +2320,8 @@ app.get("/api/incidents/:incidentId", requireAuth, async (req, res) => {
   try {
     const { incidentId } = req.params;
     
-    // Find incident in cache
-    const incident = incidents.find(i => i.id === incidentId);
+    // Find incident in cache (older ones come from the archive)
+    const incident = findIncident(incidentId);
     
     if (!incident) {
       return res.status(404).json({ success: false, error: 'Incident not found' });
@@ -591,8 +2371,10 @@ app.get("/api/incidents/:incidentId", requireAuth, async (req, res) => {
   }
 });
 
-// Heatmap data endpoint - uses our own tracking from daily_status table
+// Heatmap data endpoint - uses our own tracking from daily_status table (query: account)
 app.get("/api/heatmap", requireAuth, (req, res) => {
+  const { accountId, error } = accountFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
   const now = new Date();
   
   // Get tracked daily status from database
@@ -601,56 +2383,18 @@ app.get("/api/heatmap", requireAuth, (req, res) => {
   // Build heatmap data for each monitor
   const heatmapData = {};
   
-  monitors.forEach(monitor => {
+  monitors.filter(inAccount(accountId)).forEach(monitor => {
     // Generate last 30 days
-    const days = [];
-    for (let i = 29; i >= 0; i--) {
-      const date = new Date(now.getTime() - i * 24 * 60 * 60 * 1000);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      // Check if we have tracked data for this day
-      const trackedDays = dailyStatusByMonitor[monitor.id] || [];
-      const trackedDay = trackedDays.find(d => d.date === dateStr);
-      
-      if (trackedDay) {
-        // We have real data from our tracking
-        const failRate = trackedDay.checksTotal > 0 
-          ? trackedDay.checksFailed / trackedDay.checksTotal 
-          : 0;
-        
-        let status = 'up';
-        if (failRate >= 0.5) {
-          status = 'down'; // More than 50% checks failed
-        } else if (failRate > 0) {
-          status = 'partial'; // Some checks failed
-        }
-        
-        days.push({
-          date: dateStr,
-          status,
-          downtime: trackedDay.downtimeMinutes,
-          checksTotal: trackedDay.checksTotal,
-          checksFailed: trackedDay.checksFailed,
-          failRate: Math.round(failRate * 100),
-        });
-      } else {
-        // No data for this day (before we started tracking)
-      days.push({
-          date: dateStr,
-          status: 'unknown',
-        downtime: 0,
-          checksTotal: 0,
-          checksFailed: 0,
-          failRate: 0,
-      });
-      }
-    }
+    const days = buildHeatmapDays(dailyStatusByMonitor[monitor.id], 30, now);
     
     heatmapData[monitor.id] = {
       id: monitor.id,
+      account: accountOf(monitor),
       name: monitor.attributes?.pronounceable_name || monitor.attributes?.url,
       url: monitor.attributes?.url,
       currentStatus: monitor.attributes?.status,
+      // Uptime over the whole window, from the tracked intervals
+      uptime: summarizeUptime(days),
       days,
     };
   });
@@ -666,6 +2410,47 @@ app.get("/api/heatmap", requireAuth, (req, res) => {
   res.json({ success: true, data: heatmapArray, count: heatmapArray.length });
 });
 
+// Status transitions for one monitor (last 30 days by default)
+app.get("/api/monitors/:monitorId/transitions", requireAuth, (req, res) => {
+  const days = Math.min(parseInt(req.query.days, 10) || 30, 365);
+  const transitions = database.getStatusTransitions(req.params.monitorId, days);
+  res.json({ success: true, data: transitions, count: transitions.length });
+});
+
+// Rolled-up history of one monitor (daily status past the retention period), period=week|month
+app.get("/api/monitors/:monitorId/history", requireAuth, (req, res) => {
+  const period = req.query.period || DAILY_STATUS_ROLLUP;
+  if (!["week", "month"].includes(period)) {
+    return res.status(400).json({ success: false, error: 'period must be week or month' });
+  }
+  const rollups = database.getStatusRollups(req.params.monitorId, period);
+  res.json({ success: true, period, data: rollups, count: rollups.length });
+});
+
+// Alerting: configured channels (no secrets) and the recent delivery log
+app.get("/api/alerts", requireAuth, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json({
+    success: true,
+    channels: alerter.describeChannels(),
+    deliveries: database.getAlertDeliveries(limit),
+  });
+});
+
+// Send a test notification through every configured channel
+app.post("/api/alerts/test", requireRole("editor"), async (req, res) => {
+  if (!alerter.isEnabled()) {
+    return res.status(400).json({ success: false, error: 'No alert channels configured' });
+  }
+  audit(req, "alerts_test");
+  try {
+    const results = await alerter.sendTest();
+    res.json({ success: results.every(r => r.success), data: results });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Serve frontend (protected)
 app.get("/", requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
@@ -687,34 +2472,63 @@ process.on('SIGTERM', () => {
 // Auto-refresh interval (5 minutes)
 const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
 
+// One loop per account, staggered so the accounts don't all hit the API at once
 const startAutoRefresh = () => {
-  setInterval(() => {
-    if (!isLoading) {
-      console.log("Auto-refresh triggered (every 5 min)...");
-      fetchMonitorsProgressively();
-    }
-  }, REFRESH_INTERVAL_MS);
-  console.log(`Auto-refresh enabled: every ${REFRESH_INTERVAL_MS / 1000 / 60} minutes`);
+  [...accountStates.values()].forEach((state, index) => {
+    setTimeout(() => {
+      setInterval(() => {
+        if (!state.isLoading) {
+          console.log(`[${state.account.id}] Auto-refresh triggered (every 5 min)...`);
+          refreshAccount(state);
+        }
+      }, REFRESH_INTERVAL_MS);
+    }, Math.round(index * REFRESH_INTERVAL_MS / accountStates.size));
+  });
+  console.log(`Auto-refresh enabled: every ${REFRESH_INTERVAL_MS / 1000 / 60} minutes for ${accountStates.size} account(s)`);
 };
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`BetterStack Dashboard running at http://localhost:${PORT}`);
-  console.log(`Auth enabled - Username: ${AUTH_USERNAME}`);
-  
-  // Load from database first
-  const hasData = loadFromDatabase();
-  
-  if (hasData) {
-    console.log("Data loaded from database - ready to serve!");
-    // Still trigger a background refresh to get latest data
-    console.log("Starting background refresh for latest data...");
-    fetchMonitorsProgressively();
-  } else {
-    console.log("No data in database - starting initial load...");
-  fetchMonitorsProgressively();
+// Start server (and the bundled mock API first, when enabled)
+const startServer = async () => {
+  if (MOCK_BETTERSTACK) {
+    const { apiUrl } = await startMockServer(MOCK_BETTERSTACK_PORT);
+    console.log(`Mock BetterStack API running at ${apiUrl}`);
   }
-  
-  // Start auto-refresh
-  startAutoRefresh();
+
+  await ensureInitialAdmin();
+
+  app.listen(PORT, () => {
+    console.log(`BetterStack Dashboard running at http://localhost:${PORT}`);
+    console.log(`Auth enabled - ${database.countUsers()} user account(s)`);
+
+    // Load from database first
+    const hasData = loadFromDatabase();
+    syncSyntheticMonitors();
+    checkScheduler.reload();
+    flappingDetector.check();
+    recordHeartbeatChanges();
+    if (LOCAL_HEARTBEATS) setInterval(() => recordHeartbeatChanges(), LOCAL_HEARTBEAT_CHECK_MS);
+    pruneSyntheticResults();
+    setInterval(pruneSyntheticResults, 60 * 60 * 1000);
+    rollupOldDailyStatus();
+    setInterval(rollupOldDailyStatus, 24 * 60 * 60 * 1000);
+    backupService.start();
+
+    if (hasData) {
+      console.log("Data loaded from database - ready to serve!");
+      // Still trigger a background refresh to get latest data
+      console.log("Starting background refresh for latest data...");
+      refreshAllAccounts();
+    } else {
+      console.log("No data in database - starting initial load...");
+      refreshAllAccounts();
+    }
+
+    // Start auto-refresh
+    startAutoRefresh();
+  });
+};
+
+startServer().catch((error) => {
+  console.error("Startup failed:", error.message);
+  process.exit(1);
 });
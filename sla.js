@@ -0,0 +1,186 @@
+// SLA cache - per-monitor SLA results are fetched in the background with bounded concurrency
+// and stored in SQLite, so requests are answered from the cache instead of one upstream call per monitor.
+// When BetterStack fails for a monitor, availability is computed from our own tracked transitions -
+// unless the failure was temporary (rate limit, outage) and an earlier BetterStack figure is cached:
+// that one is kept (still stale, so the next run tries again).
+// Maintenance windows are left out of both: their time and the downtime we saw inside them.
+const database = require("./database");
+const { overlapMs } = require("./maintenance");
+const { createLimiter } = require("./limiter");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Local fallbacks after a temporary upstream error are fetched again after this long
+const RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// Default report range: last 30 days (YYYY-MM-DD)
+const defaultSlaRange = (now = Date.now()) => ({
+  from: new Date(now - 30 * DAY_MS).toISOString().split("T")[0],
+  to: new Date(now).toISOString().split("T")[0],
+});
+
+// [start, end) in ms of a YYYY-MM-DD range (end capped at now)
+const rangeBounds = (from, to, now = Date.now()) => ({
+  startMs: Date.parse(`${from}T00:00:00.000Z`),
+  endMs: Math.min(Date.parse(`${to}T00:00:00.000Z`) + DAY_MS, now),
+});
+
+// concurrency: upstream SLA calls in flight at once
+// maxAgeMs: cached entries older than this are refreshed by the next run
+// getMaintenance(monitorId, startMs, endMs): merged maintenance intervals of a monitor
+// providerFor(monitorId): provider of the account the monitor belongs to
+// isLocalOnly(monitorId): monitors BetterStack doesn't know (synthetic checks), always computed locally
+const createSlaService = ({ providerFor, getMonitors, getMaintenance = () => [], isLocalOnly = () => false, concurrency = 4, maxAgeMs = 60 * 60 * 1000 }) => {
+  const limit = createLimiter(concurrency);
+  const runs = new Map(); // "from|to" -> promise of the refresh running for that range
+
+  const isStale = (entry, now = Date.now()) => !entry ||
+    now - Date.parse(entry.fetchedAt) > (entry.retryable ? Math.min(maxAgeMs, RETRY_AFTER_MS) : maxAgeMs);
+
+  // Upstream figures include maintenance: drop the downtime we saw inside windows
+  // and compute availability over the time outside them
+  const excludeMaintenance = (entry, monitorId, from, to, maintenance, maintenanceMs) => {
+    const { startMs, endMs } = rangeBounds(from, to);
+    const local = database.computeLocalSla(monitorId, from, to, Date.now(), maintenance);
+    const totalDowntime = Math.max(0, entry.totalDowntime - (local ? local.maintenanceDowntime : 0));
+    const periodSeconds = (endMs - startMs - maintenanceMs) / 1000;
+    return {
+      ...entry,
+      totalDowntime,
+      availability: periodSeconds > 0
+        ? Math.round(Math.max(0, 1 - totalDowntime / periodSeconds) * 100000) / 1000
+        : entry.availability,
+    };
+  };
+
+  // Fetch one monitor's SLA (falling back to local history) and store it
+  // outcomes: optional counters by result ("betterstack", "local", "kept")
+  const fetchEntry = async (monitorId, from, to, outcomes = {}) => {
+    const { startMs, endMs } = rangeBounds(from, to);
+    const maintenance = getMaintenance(monitorId, startMs, endMs);
+    const maintenanceMs = overlapMs(startMs, endMs, maintenance);
+    let entry;
+    try {
+      if (isLocalOnly(monitorId)) throw new Error("Tracked locally");
+      const data = await providerFor(monitorId).fetchMonitorSla(monitorId, from, to);
+      const attributes = data.data.attributes;
+      entry = {
+        availability: attributes.availability,
+        totalDowntime: attributes.total_downtime,
+        numberOfIncidents: attributes.number_of_incidents,
+        longestIncident: attributes.longest_incident,
+        averageIncident: attributes.average_incident,
+        source: "betterstack",
+      };
+      if (maintenanceMs > 0) {
+        entry = excludeMaintenance(entry, monitorId, from, to, maintenance, maintenanceMs);
+      }
+    } catch (error) {
+      const previous = database.getSlaCacheEntry(monitorId, from, to);
+      if (error.retryable && previous?.source === "betterstack") {
+        outcomes.kept = (outcomes.kept || 0) + 1;
+        return previous;
+      }
+      const local = database.computeLocalSla(monitorId, from, to, Date.now(), maintenance);
+      entry = { ...local, source: "local", error: error.message, retryable: Boolean(error.retryable) };
+      delete entry.maintenanceDowntime;
+    }
+    outcomes[entry.source] = (outcomes[entry.source] || 0) + 1;
+
+    database.saveSlaEntry({
+      ...entry,
+      maintenanceSeconds: Math.round(maintenanceMs / 1000),
+      monitorId,
+      fromDate: from,
+      toDate: to,
+    });
+    return database.getSlaCacheEntry(monitorId, from, to);
+  };
+
+  // Refresh every monitor with a missing or stale entry for the range.
+  // Concurrent calls for the same range share one run.
+  const refreshRange = (from, to) => {
+    const key = `${from}|${to}`;
+    if (runs.has(key)) return runs.get(key);
+
+    const run = (async () => {
+      const cached = database.getSlaCache(from, to);
+      const pending = getMonitors().filter(m => isStale(cached[m.id]));
+      const startedAt = Date.now();
+      const outcomes = {};
+      await Promise.all(pending.map(m => limit(() => fetchEntry(m.id, from, to, outcomes))));
+      if (pending.length > 0) {
+        console.log(`SLA cache ${from}..${to}: ${pending.length} monitors refreshed in ${((Date.now() - startedAt) / 1000).toFixed(1)}s ` +
+          `(${outcomes.betterstack || 0} from BetterStack, ${outcomes.local || 0} local, ${outcomes.kept || 0} kept after upstream errors)`);
+      }
+      return pending.length;
+    })().finally(() => runs.delete(key));
+
+    runs.set(key, run);
+    return run;
+  };
+
+  return {
+    refreshRange,
+
+    // Background job: keep the default range warm and drop entries nobody refreshed in a week
+    refreshDefault: () => {
+      database.pruneSlaCache(new Date(Date.now() - 7 * DAY_MS).toISOString());
+      const { from, to } = defaultSlaRange();
+      return refreshRange(from, to).catch((error) => {
+        console.error("SLA refresh failed:", error.message);
+      });
+    },
+
+    // Cached report for all monitors (or those passing `filter`); missing or stale entries are refreshed in the background
+    getReport: (from, to, filter = () => true) => {
+      const cached = database.getSlaCache(from, to);
+      const now = Date.now();
+      const rows = [];
+      let missing = 0;
+      let stale = 0;
+
+      for (const monitor of getMonitors().filter(filter)) {
+        const entry = cached[monitor.id];
+        if (!entry) {
+          missing++;
+          continue;
+        }
+        if (isStale(entry, now)) stale++;
+        rows.push({
+          ...entry,
+          monitorName: monitor.attributes?.pronounceable_name || monitor.attributes?.url,
+          monitorUrl: monitor.attributes?.url,
+          status: monitor.attributes?.status,
+        });
+      }
+
+      if (missing > 0 || stale > 0) {
+        refreshRange(from, to).catch((error) => console.error("SLA refresh failed:", error.message));
+      }
+
+      const fetchedAt = rows.map(r => r.fetchedAt).sort();
+      return {
+        rows,
+        freshness: {
+          oldestFetchedAt: fetchedAt[0] || null,
+          newestFetchedAt: fetchedAt[fetchedAt.length - 1] || null,
+          missing,
+          stale,
+          local: rows.filter(r => r.source === "local").length,
+          refreshing: runs.has(`${from}|${to}`),
+        },
+      };
+    },
+
+    // One monitor: served from the cache while fresh, fetched (and cached) otherwise
+    getMonitorSla: async (monitorId, from, to) => {
+      const cached = database.getSlaCacheEntry(monitorId, from, to);
+      if (!isStale(cached)) return cached;
+      return limit(() => fetchEntry(monitorId, from, to));
+    },
+
+    isRefreshing: () => runs.size > 0,
+  };
+};
+
+module.exports = { createSlaService, defaultSlaRange };
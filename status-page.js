@@ -0,0 +1,140 @@
+// Public status page - exposes a configured subset of monitors grouped into components.
+// Only names, statuses, uptime bars and incident timings leave this module:
+// no monitor URLs, response content or request headers.
+const fs = require("fs");
+const { buildHeatmapDays, summarizeUptime } = require("./heatmap");
+
+// Load the status page config ({ title, description, incidentDays, components: [{ name, description, monitors: [ids] }] })
+// Returns null when the file doesn't exist, which disables the status page
+const loadStatusPageConfig = (filePath) => {
+  if (!fs.existsSync(filePath)) return null;
+
+  const config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(config.components) || config.components.length === 0) {
+    throw new Error(`${filePath}: "components" must be a non-empty array`);
+  }
+
+  return {
+    title: config.title || "Service Status",
+    description: config.description || "",
+    incidentDays: config.incidentDays || 14,
+    components: config.components.map((component, index) => {
+      if (!component.name || !Array.isArray(component.monitors)) {
+        throw new Error(`${filePath}: component #${index + 1} needs a "name" and a "monitors" array`);
+      }
+      return {
+        name: component.name,
+        description: component.description || "",
+        monitorIds: component.monitors.map(String),
+      };
+    }),
+  };
+};
+
+// Worst status first
+const STATUS_SEVERITY = ["major_outage", "partial_outage", "degraded", "operational", "unknown"];
+
+const worstStatus = (statuses) => {
+  for (const status of STATUS_SEVERITY) {
+    if (statuses.includes(status)) return status;
+  }
+  return "unknown";
+};
+
+// Current component status from the live status of its monitors (paused monitors are ignored)
+const componentStatus = (componentMonitors) => {
+  const active = componentMonitors.filter(m => m.attributes?.status !== "paused");
+  if (active.length === 0) return "unknown";
+
+  const down = active.filter(m => m.attributes?.status === "down").length;
+  if (down === active.length) return "major_outage";
+  if (down > 0) return "partial_outage";
+  if (active.some(m => m.attributes?.status === "validating")) return "degraded";
+  return "operational";
+};
+
+// Merge per-monitor heatmap days into one bar per day for the component
+const mergeDays = (daysPerMonitor, numDays) => {
+  const merged = [];
+
+  for (let i = 0; i < numDays; i++) {
+    const dayEntries = daysPerMonitor.map(days => days[i]);
+    const tracked = dayEntries.filter(d => d.status !== "unknown");
+    const trackedMinutes = tracked.reduce((sum, d) => sum + d.trackedMinutes, 0);
+    const downtime = tracked.reduce((sum, d) => sum + (d.trackedMinutes > 0 ? d.downtime : 0), 0);
+
+    let status = "unknown";
+    if (tracked.some(d => d.status === "down")) status = "down";
+    else if (tracked.some(d => d.status === "partial")) status = "partial";
+    else if (tracked.some(d => d.status === "maintenance")) status = "maintenance";
+    else if (tracked.length > 0) status = "up";
+
+    merged.push({
+      date: dayEntries[0]?.date,
+      status,
+      downtime,
+      trackedMinutes,
+      uptime: trackedMinutes > 0 ? Math.round((1 - downtime / trackedMinutes) * 10000) / 100 : null,
+    });
+  }
+
+  return merged;
+};
+
+// Build the public payload
+// dailyStatusByMonitor comes from database.getDailyStatusForHeatmap(90)
+const buildPublicStatus = ({ config, monitors, incidents, dailyStatusByMonitor, lastUpdated, now = new Date() }) => {
+  const monitorsById = new Map(monitors.map(m => [m.id, m]));
+  const componentByMonitorId = new Map();
+
+  const components = config.components.map(component => {
+    const componentMonitors = component.monitorIds
+      .map(id => monitorsById.get(id))
+      .filter(Boolean);
+    component.monitorIds.forEach(id => componentByMonitorId.set(id, component.name));
+
+    const daysPerMonitor = componentMonitors.map(m => buildHeatmapDays(dailyStatusByMonitor[m.id], 90, now));
+    const days = daysPerMonitor.length > 0
+      ? mergeDays(daysPerMonitor, 90)
+      : buildHeatmapDays([], 90, now).map(d => ({ date: d.date, status: "unknown", downtime: 0, trackedMinutes: 0, uptime: null }));
+
+    return {
+      name: component.name,
+      description: component.description,
+      status: componentStatus(componentMonitors),
+      uptime30: summarizeUptime(days.slice(-30)),
+      uptime90: summarizeUptime(days),
+      days: days.map(d => ({ date: d.date, status: d.status, uptime: d.uptime, downtime: d.downtime })),
+    };
+  });
+
+  // Recent resolved incidents of the selected monitors, reduced to timings
+  const since = now.getTime() - config.incidentDays * 24 * 60 * 60 * 1000;
+  const recentIncidents = incidents
+    .filter(i => i.attributes?.resolved_at && Date.parse(i.attributes.started_at) >= since)
+    .map(i => ({ incident: i, component: componentByMonitorId.get(i.relationships?.monitor?.data?.id) }))
+    .filter(({ component }) => component)
+    .map(({ incident, component }) => {
+      const startedAt = incident.attributes.started_at;
+      const resolvedAt = incident.attributes.resolved_at;
+      return {
+        id: incident.id,
+        component,
+        startedAt,
+        resolvedAt,
+        durationSeconds: Math.max(Math.round((Date.parse(resolvedAt) - Date.parse(startedAt)) / 1000), 0),
+      };
+    })
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+  return {
+    title: config.title,
+    description: config.description,
+    status: worstStatus(components.map(c => c.status)),
+    components,
+    incidents: recentIncidents,
+    lastUpdated,
+  };
+};
+
+module.exports = { loadStatusPageConfig, buildPublicStatus };
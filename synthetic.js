@@ -0,0 +1,268 @@
+// Synthetic checks - HTTP checks the dashboard runs itself, for endpoints BetterStack can't reach
+// and as a second opinion when BetterStack reports an outage. Every check shows up as a monitor
+// ("synthetic-<id>"), so its results feed the same status transitions, daily status and response times.
+// Requests go through the request builder's target policy, so checks can't reach blocked addresses either.
+const { sendRequest } = require("./proxy");
+
+const METHODS = ["GET", "HEAD", "POST"];
+const SYNTHETIC_PREFIX = "synthetic-";
+// Response bytes read for keyword and JSON assertions
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const isSyntheticId = (monitorId) => String(monitorId || "").startsWith(SYNTHETIC_PREFIX);
+const checkIdOf = (monitorId) => Number(String(monitorId).slice(SYNTHETIC_PREFIX.length));
+
+// "200-299, 301" -> [[200, 299], [301, 301]]; null when invalid
+const parseStatusRanges = (text) => {
+  const ranges = [];
+  for (const part of String(text).split(",").map(p => p.trim()).filter(Boolean)) {
+    const match = /^(\d{3})(?:\s*-\s*(\d{3}))?$/.exec(part);
+    if (!match) return null;
+    const from = Number(match[1]);
+    const to = Number(match[2] || match[1]);
+    if (from < 100 || to > 599 || from > to) return null;
+    ranges.push([from, to]);
+  }
+  return ranges.length > 0 ? ranges : null;
+};
+
+// "$.data.items[0].status" -> ["data", "items", 0, "status"]; null when invalid
+const parseJsonPath = (path) => {
+  const text = String(path).trim().replace(/^\$/, "");
+  const segments = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\["([^"]*)"\]/y;
+  let match;
+  while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+    segments.push(match[2] !== undefined ? Number(match[2]) : match[1] ?? match[3]);
+  }
+  return pattern.lastIndex === text.length && segments.length > 0 ? segments : null;
+};
+
+const readJsonPath = (value, segments) => {
+  let current = value;
+  for (const segment of segments) {
+    if (current === null || typeof current !== "object" || !(segment in current)) return { found: false };
+    current = current[segment];
+  }
+  return { found: true, value: current };
+};
+
+// Validate and normalize a check from a request body: { value } or { error }
+// accountIds: configured accounts (the first one is the default)
+const parseCheckInput = (body = {}, accountIds = []) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) return { error: "Name is required" };
+  if (name.length > 100) return { error: "Name is too long (max. 100 characters)" };
+
+  let url;
+  try {
+    url = new URL(String(body.url || "").trim());
+  } catch (error) {
+    return { error: "url must be an absolute http(s) URL" };
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return { error: "url must be an absolute http(s) URL" };
+
+  const method = String(body.method || "GET").toUpperCase();
+  if (!METHODS.includes(method)) return { error: `method must be one of: ${METHODS.join(", ")}` };
+
+  const headers = body.headers || {};
+  if (typeof headers !== "object" || Array.isArray(headers) ||
+    Object.entries(headers).some(([key, value]) => !/^[\w-]+$/.test(key) || typeof value !== "string")) {
+    return { error: "headers must map header names to string values" };
+  }
+
+  const intervalSeconds = body.intervalSeconds === undefined ? 60 : Number(body.intervalSeconds);
+  if (!Number.isInteger(intervalSeconds) || intervalSeconds < 10 || intervalSeconds > 86400) {
+    return { error: "intervalSeconds must be between 10 and 86400" };
+  }
+
+  const timeoutMs = body.timeoutMs === undefined ? 10000 : Number(body.timeoutMs);
+  if (!Number.isInteger(timeoutMs) || timeoutMs < 500 || timeoutMs > 60000) {
+    return { error: "timeoutMs must be between 500 and 60000" };
+  }
+
+  const expectedStatus = String(body.expectedStatus || "200-299").trim();
+  if (!parseStatusRanges(expectedStatus)) {
+    return { error: 'expectedStatus must list status codes or ranges (e.g. "200-299, 301")' };
+  }
+
+  const jsonPath = body.jsonPath ? String(body.jsonPath).trim() : null;
+  if (jsonPath && !parseJsonPath(jsonPath)) {
+    return { error: 'jsonPath must look like "$.data.items[0].status"' };
+  }
+
+  const maxLatencyMs = body.maxLatencyMs ? Number(body.maxLatencyMs) : null;
+  if (maxLatencyMs !== null && (!Number.isInteger(maxLatencyMs) || maxLatencyMs < 1)) {
+    return { error: "maxLatencyMs must be a positive number of milliseconds" };
+  }
+
+  const account = body.account || accountIds[0] || null;
+  if (accountIds.length > 0 && !accountIds.includes(account)) return { error: `Unknown account: ${account}` };
+
+  return {
+    value: {
+      name,
+      url: url.toString(),
+      method,
+      headers,
+      body: method === "POST" && body.body ? String(body.body) : null,
+      intervalSeconds,
+      timeoutMs,
+      expectedStatus,
+      keyword: body.keyword ? String(body.keyword) : null,
+      jsonPath,
+      jsonExpected: jsonPath && body.jsonExpected !== undefined && body.jsonExpected !== null && body.jsonExpected !== ""
+        ? String(body.jsonExpected)
+        : null,
+      maxLatencyMs,
+      monitorId: body.monitorId ? String(body.monitorId).trim() : null,
+      account,
+      enabled: body.enabled !== false,
+    },
+  };
+};
+
+// First failed assertion of a response, or null
+const checkAssertions = (check, statusCode, latencyMs, text) => {
+  const ranges = parseStatusRanges(check.expectedStatus);
+  if (!ranges.some(([from, to]) => statusCode >= from && statusCode <= to)) {
+    return `Unexpected status ${statusCode} (expected ${check.expectedStatus})`;
+  }
+  if (check.maxLatencyMs && latencyMs > check.maxLatencyMs) {
+    return `Slow response: ${latencyMs}ms (max. ${check.maxLatencyMs}ms)`;
+  }
+  if (check.keyword && !text.includes(check.keyword)) {
+    return `Keyword not found: ${check.keyword}`;
+  }
+  if (check.jsonPath) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      return "Response is not valid JSON";
+    }
+    const { found, value } = readJsonPath(json, parseJsonPath(check.jsonPath));
+    if (!found || value === null) return `${check.jsonPath} not found`;
+    if (check.jsonExpected !== null && String(value) !== check.jsonExpected) {
+      // The actual value isn't repeated: the error is shown to every viewer
+      return `${check.jsonPath} does not match the expected value (${check.jsonExpected})`;
+    }
+  }
+  return null;
+};
+
+// Run one check: { checkedAt, ok, statusCode, latencyMs, error }
+// Latency is the time until the response headers arrived. policy/maxRedirects: as for sendRequest (proxy.js)
+const runCheck = async (check, { policy, maxRedirects = 5 }) => {
+  const result = { checkedAt: new Date().toISOString(), ok: false, statusCode: null, latencyMs: null, error: null };
+
+  try {
+    const response = await sendRequest({
+      url: check.url,
+      method: check.method,
+      headers: {
+        "User-Agent": "betterstack-dashboard-synthetic/1.0",
+        ...check.headers,
+      },
+      body: check.method === "POST" ? check.body : null,
+    }, {
+      policy,
+      maxRedirects,
+      // The body is only read for keyword and JSON assertions
+      maxBytes: check.keyword || check.jsonPath ? MAX_BODY_BYTES : 0,
+      timeoutMs: check.timeoutMs,
+    });
+    result.statusCode = response.status;
+    result.latencyMs = response.timing.redirectMs + response.timing.firstByteMs;
+    result.error = checkAssertions(check, result.statusCode, result.latencyMs, response.body);
+    result.ok = result.error === null;
+  } catch (error) {
+    result.error = error.code || error.message;
+  }
+
+  return result;
+};
+
+// A check as a dashboard monitor (JSON:API shape like BetterStack's), with the status of its last result
+const toSyntheticMonitor = (check, lastResult = null) => ({
+  id: `${SYNTHETIC_PREFIX}${check.id}`,
+  type: "monitor",
+  account: check.account,
+  attributes: {
+    url: check.url,
+    pronounceable_name: check.name,
+    monitor_type: "synthetic",
+    status: !check.enabled ? "paused" : !lastResult ? "validating" : lastResult.ok ? "up" : "down",
+    paused: !check.enabled,
+    last_checked_at: lastResult?.checkedAt || null,
+    check_frequency: check.intervalSeconds,
+    request_timeout: check.timeoutMs / 1000,
+    http_method: check.method.toLowerCase(),
+    regions: ["local"],
+    tags: ["synthetic"],
+    request_headers: [],
+    linked_monitor_id: check.monitorId,
+    last_error: lastResult?.error || null,
+    last_status_code: lastResult?.statusCode ?? null,
+    last_latency_ms: lastResult?.latencyMs ?? null,
+  },
+  relationships: {},
+});
+
+// Runs every enabled check on its own interval, one run per check at a time.
+// getChecks() returns the stored checks; onResult(check, result) is called after each run.
+// run(check) runs one check (runCheck with the target policy).
+const createCheckScheduler = ({ getChecks, onResult, run }) => {
+  const timers = new Map(); // checkId -> pending timeout (replaced on reload)
+
+  const execute = async (check) => {
+    const result = await run(check);
+    try {
+      await onResult(check, result);
+    } catch (error) {
+      console.error(`Synthetic check ${check.id} result failed:`, error.message);
+    }
+    return result;
+  };
+
+  const schedule = (check, delayMs) => {
+    const timer = setTimeout(async () => {
+      await execute(check);
+      // Reloaded or deleted meanwhile: the new schedule (if any) takes over
+      if (timers.get(check.id) === timer) schedule(check, check.intervalSeconds * 1000);
+    }, delayMs);
+    timers.set(check.id, timer);
+  };
+
+  const stop = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return {
+    // (Re)schedule from the stored checks; first runs are spread over up to 30s
+    reload: () => {
+      stop();
+      for (const check of getChecks().filter(c => c.enabled)) {
+        schedule(check, Math.round(Math.random() * Math.min(check.intervalSeconds, 30) * 1000));
+      }
+    },
+
+    // Run a check right away (outside its schedule)
+    runNow: (check) => execute(check),
+
+    stop,
+  };
+};
+
+module.exports = {
+  METHODS,
+  isSyntheticId,
+  checkIdOf,
+  parseCheckInput,
+  parseStatusRanges,
+  parseJsonPath,
+  runCheck,
+  toSyntheticMonitor,
+  createCheckScheduler,
+};
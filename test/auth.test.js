@@ -0,0 +1,52 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { hashPassword, verifyPassword, hasRole, safeEqual, generateApiToken, hashApiToken, scopeForPath } = require("../auth");
+
+describe("hashPassword", () => {
+  test("verifies the password it hashed, and only that one", async () => {
+    const stored = await hashPassword("correct horse");
+    assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.equal(await verifyPassword("correct horse", stored), true);
+    assert.equal(await verifyPassword("wrong horse", stored), false);
+    assert.equal(await verifyPassword("correct horse", "plain"), false);
+  });
+});
+
+describe("hasRole", () => {
+  test("ranks admin over editor over viewer", () => {
+    assert.equal(hasRole("admin", "editor"), true);
+    assert.equal(hasRole("editor", "editor"), true);
+    assert.equal(hasRole("viewer", "editor"), false);
+    assert.equal(hasRole("editor", "admin"), false);
+  });
+
+  test("refuses unknown roles", () => {
+    assert.equal(hasRole("owner", "viewer"), false);
+    assert.equal(hasRole(undefined, "viewer"), false);
+  });
+});
+
+describe("safeEqual", () => {
+  test("compares secrets of any length", () => {
+    assert.equal(safeEqual("Bearer abc", "Bearer abc"), true);
+    assert.equal(safeEqual("Bearer abc", "Bearer abd"), false);
+    assert.equal(safeEqual("", "Bearer abc"), false);
+  });
+});
+
+describe("API tokens", () => {
+  test("are stored only as their hash", () => {
+    const { token, tokenHash, tokenPrefix } = generateApiToken();
+    assert.match(token, /^bsd_/);
+    assert.equal(tokenHash, hashApiToken(token));
+    assert.ok(token.startsWith(tokenPrefix));
+    assert.notEqual(generateApiToken().token, token);
+  });
+
+  test("need the scope of the route they call", () => {
+    assert.equal(scopeForPath("/api/dashboard"), "dashboard:read");
+    assert.equal(scopeForPath("/api/sla/123"), "sla:read");
+    assert.equal(scopeForPath("/api/slaughter"), null);
+    assert.equal(scopeForPath("/api/users"), null);
+  });
+});
@@ -0,0 +1,71 @@
+const { test, describe, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backup-test-"));
+process.env.DATABASE_PATH = path.join(dir, "test.db");
+const database = require("../database");
+const { createBackupService } = require("../backup");
+
+after(() => {
+  database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const user = (username) => database.createUser({ username, passwordHash: "x", role: "viewer" });
+
+describe("createBackupService", () => {
+  test("restores the oldest backup when the directory is full", async () => {
+    const backups = createBackupService({ dir: path.join(dir, "backups"), keep: 2, intervalHours: 0 });
+    user("before");
+    const oldest = await backups.create("manual");
+    user("after");
+    await backups.create("scheduled");
+    assert.equal(backups.list().length, 2);
+
+    const before = await backups.restore(backups.pathOf(oldest.name));
+    assert.match(before.name, /-pre-restore\.db$/);
+    assert.equal(backups.list().length, 2);
+    assert.ok(backups.list().some(b => b.name === before.name));
+  });
+
+  test("restores the dashboard data but keeps users, API tokens and the audit log", async () => {
+    const backups = createBackupService({ dir: path.join(dir, "restore"), keep: 5, intervalHours: 0 });
+    const owner = user("owner");
+    const token = database.createApiToken({ userId: owner.id, name: "ci", tokenHash: "hash", tokenPrefix: "bsd_", scopes: ["read"] });
+    database.createMonitorGroup({ name: "Payments", matchMode: "any", rules: [] });
+    const snapshot = await backups.create("manual");
+
+    const users = database.countUsers();
+    database.revokeApiToken(token.id);
+    database.createMonitorGroup({ name: "Search", matchMode: "any", rules: [] });
+    database.addAuditEntry({ username: "owner", action: "token_revoked" });
+
+    await backups.restore(backups.pathOf(snapshot.name));
+    assert.deepEqual(database.getMonitorGroups().map(g => g.name), ["Payments"]);
+    assert.equal(database.countUsers(), users);
+    assert.ok(!database.getApiTokenByHash("hash"));
+    assert.equal(database.getAuditLog({ action: "token_revoked" }).length, 1);
+  });
+
+  test("redacts credentials in change log rows of older snapshots", async () => {
+    const backups = createBackupService({ dir: path.join(dir, "redact"), keep: 5, intervalHours: 0 });
+    // Stored the way versions without redaction did
+    database.saveMonitorConfigChanges([{
+      monitorId: "1",
+      account: null,
+      monitorName: "API",
+      changeType: "changed",
+      field: "request_headers",
+      oldValue: [{ name: "Authorization", value: "Bearer old" }],
+      newValue: [{ name: "Authorization", value: "Bearer new" }],
+    }]);
+    const snapshot = await backups.create("manual");
+
+    await backups.restore(backups.pathOf(snapshot.name));
+    const [change] = database.getMonitorConfigChanges({ field: "request_headers" }).changes;
+    assert.deepEqual(change.newValue, [{ name: "Authorization", value: "[redacted]" }]);
+  });
+});
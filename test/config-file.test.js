@@ -0,0 +1,119 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildConfigExport, renderConfig, parseConfigFile, planConfigImport, redactPlan } = require("../config-file");
+
+const urlPatterns = { production: ["api."], staging: ["staging."] };
+const groups = [{ id: 1, name: "Payments", matchMode: "any", rules: [{ field: "url", value: "billing" }] }];
+const monitors = [
+  {
+    id: "100",
+    account: "default",
+    attributes: { url: "https://api.example.com", pronounceable_name: "API", check_frequency: 60, status: "up" },
+  },
+  {
+    id: "200",
+    account: "default",
+    attributes: {
+      url: "https://internal.example.com",
+      request_headers: [{ id: "1", name: "Authorization", value: "Bearer secret" }],
+      auth_password: "hunter2",
+    },
+  },
+];
+const current = { urlPatterns, groups, monitors, defaultAccount: "default" };
+
+// Round trip through the file format, as an import of the export would
+const reimport = (config, format) => parseConfigFile(renderConfig(config, format).body, ["default"]);
+
+describe("buildConfigExport", () => {
+  test("leaves out state attributes and redacts credentials", () => {
+    const config = buildConfigExport({ urlPatterns, groups, monitors });
+    assert.deepEqual(config.monitors, [
+      { id: "100", account: "default", url: "https://api.example.com", pronounceable_name: "API", check_frequency: 60 },
+      {
+        id: "200",
+        account: "default",
+        url: "https://internal.example.com",
+        request_headers: [{ id: "1", name: "Authorization", value: "[redacted]" }],
+        auth_password: "[redacted]",
+      },
+    ]);
+    assert.deepEqual(config.settings.groups, [{ name: "Payments", matchMode: "any", rules: groups[0].rules }]);
+  });
+
+  for (const format of ["yaml", "json"]) {
+    test(`re-imports its own ${format} export without changes`, () => {
+      const { value, error } = reimport(buildConfigExport({ urlPatterns, groups, monitors }), format);
+      assert.equal(error, undefined);
+      const { value: plan } = planConfigImport(value, current);
+      assert.deepEqual([plan.urlPatterns, plan.groups, plan.monitors], [[], [], []]);
+      assert.deepEqual(plan.unchanged, { groups: 1, monitors: 2 });
+    });
+  }
+});
+
+describe("parseConfigFile", () => {
+  test("rejects invalid files", () => {
+    assert.match(parseConfigFile("a: [").error, /Invalid YAML/);
+    assert.match(parseConfigFile("- 1").error, /must contain an object/);
+    assert.match(parseConfigFile({ version: 2 }).error, /Unsupported version/);
+    assert.match(parseConfigFile({ monitors: [{ pronounceable_name: "No URL" }] }).error, /url is required/);
+    assert.match(parseConfigFile({ monitors: [{ id: 1, account: "other" }] }, ["default"]).error, /unknown account/);
+    assert.match(parseConfigFile({ monitors: [{ id: 1 }, { id: "1" }] }).error, /listed twice/);
+  });
+
+  test("keeps sections that aren't in the file", () => {
+    const { value } = parseConfigFile("monitors: []");
+    assert.deepEqual(value.settings, { urlPatterns: null, groups: null });
+  });
+});
+
+describe("planConfigImport", () => {
+  test("plans creates and partial updates, and lists unmanaged items", () => {
+    const { value: config } = parseConfigFile({
+      settings: { urlPatterns: { production: ["API."] }, groups: [] },
+      monitors: [{ id: "100", check_frequency: 30 }, { url: "https://new.example.com" }],
+    });
+    const { value: plan } = planConfigImport(config, current);
+
+    // Patterns are lower-cased, so only the emptied staging list changes
+    assert.deepEqual(plan.urlPatterns, [{ category: "staging", oldValue: ["staging."], newValue: [] }]);
+    assert.deepEqual(plan.unmanaged.groups, ["Payments"]);
+    assert.deepEqual(plan.monitors.map(m => [m.action, m.id, m.attributes]), [
+      ["update", "100", { check_frequency: 30 }],
+      ["create", null, { url: "https://new.example.com" }],
+    ]);
+    assert.equal(plan.monitors[1].account, "default");
+  });
+
+  test("keeps the current credentials where the file has redacted values", () => {
+    const { value: config } = parseConfigFile({
+      monitors: [{
+        id: "200",
+        request_headers: [{ name: "authorization", value: "[redacted]" }, { name: "X-Env", value: "prod" }],
+        auth_password: "[redacted]",
+      }],
+    });
+    const { value: plan } = planConfigImport(config, current);
+    assert.deepEqual(plan.monitors[0].attributes, {
+      request_headers: [{ name: "authorization", value: "Bearer secret" }, { name: "X-Env", value: "prod" }],
+    });
+
+    // What the user sees doesn't contain them
+    const [shown] = redactPlan(plan).monitors;
+    assert.deepEqual(shown.attributes.request_headers[0], { name: "authorization", value: "[redacted]" });
+    assert.ok(!JSON.stringify(shown).includes("Bearer secret"));
+  });
+
+  test("refuses redacted values it can't fill in", () => {
+    const { value: newMonitor } = parseConfigFile({ monitors: [{ url: "https://new.example.com", auth_password: "[redacted]" }] });
+    assert.match(planConfigImport(newMonitor, current).error, /auth_password is redacted/);
+    const { value: unknownHeader } = parseConfigFile({ monitors: [{ id: "200", request_headers: [{ name: "X-Key", value: "[redacted]" }] }] });
+    assert.match(planConfigImport(unknownHeader, current).error, /X-Key is redacted/);
+  });
+
+  test("refuses unknown monitor IDs", () => {
+    const { value: config } = parseConfigFile({ monitors: [{ id: "999", check_frequency: 30 }] });
+    assert.match(planConfigImport(config, current).error, /999 doesn't exist/);
+  });
+});
@@ -0,0 +1,85 @@
+const { test, describe, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "database-test-"));
+process.env.DATABASE_PATH = path.join(dir, "test.db");
+const database = require("../database");
+
+after(() => {
+  database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const record = (monitorId, status, changedAt) => database.recordStatusTransitions([{ id: monitorId, attributes: { status } }], changedAt);
+const nowMs = Date.parse("2026-02-10T00:00:00Z");
+
+describe("computeLocalSla", () => {
+  // Up from the day before, down 06:00-12:00 on Feb 2nd
+  record("1", "up", "2026-02-01T00:00:00.000Z");
+  record("1", "down", "2026-02-02T06:00:00.000Z");
+  record("1", "up", "2026-02-02T12:00:00.000Z");
+
+  test("computes availability and outages from tracked transitions", () => {
+    const sla = database.computeLocalSla("1", "2026-02-02", "2026-02-02", nowMs);
+    assert.equal(sla.availability, 75);
+    assert.equal(sla.numberOfIncidents, 1);
+    assert.equal(sla.totalDowntime, 6 * 3600);
+    assert.equal(sla.longestIncident, 6 * 3600);
+  });
+
+  test("carries the status from before the range into it", () => {
+    const sla = database.computeLocalSla("1", "2026-02-03", "2026-02-03", nowMs);
+    assert.equal(sla.availability, 100);
+    assert.equal(sla.numberOfIncidents, 0);
+  });
+
+  test("leaves maintenance time out of tracked time and downtime", () => {
+    const maintenance = [{ start: Date.parse("2026-02-02T06:00:00Z"), end: Date.parse("2026-02-02T09:00:00Z") }];
+    const sla = database.computeLocalSla("1", "2026-02-02", "2026-02-02", nowMs, maintenance);
+    assert.equal(sla.availability, 85.714);
+    assert.equal(sla.totalDowntime, 3 * 3600);
+    assert.equal(sla.maintenanceDowntime, 3 * 3600);
+  });
+
+  test("returns null without tracked data", () => {
+    assert.equal(database.computeLocalSla("unknown", "2026-02-02", "2026-02-02", nowMs), null);
+    assert.equal(database.computeLocalSla("1", "2026-02-11", "2026-02-12", nowMs), null);
+  });
+});
+
+describe("getStatusTransitionsBetween", () => {
+  test("groups transitions by monitor, oldest first", () => {
+    const byMonitor = database.getStatusTransitionsBetween("2026-02-02T00:00:00.000Z", "2026-02-03T00:00:00.000Z");
+    assert.deepEqual(byMonitor["1"].map(t => [t.oldStatus, t.newStatus]), [["up", "down"], ["down", "up"]]);
+  });
+});
+
+describe("searchIncidents", () => {
+  const incident = (id, name, cause) => ({
+    id,
+    attributes: { name, cause, url: "https://api.example.com", started_at: "2026-02-02T06:00:00.000Z", status: "Resolved" },
+    relationships: { monitor: { data: { id: "1" } } },
+  });
+  database.saveIncidents([
+    incident("i1", "Checkout API", "Timeout (30s)"),
+    incident("i2", "Search API", "Status 503 \"Service Unavailable\""),
+  ]);
+  const search = (q) => database.searchIncidents({ q }).incidents.map(i => i.id).sort();
+
+  test("matches every word as a prefix", () => {
+    assert.deepEqual(search("check"), ["i1"]);
+    assert.deepEqual(search("api timeout"), ["i1"]);
+    assert.deepEqual(search("api"), ["i1", "i2"]);
+  });
+
+  test("takes FTS operators and syntax literally", () => {
+    for (const q of ['"', 'api OR', 'NOT api', 'api AND', '(api', 'name:search', 'api*', '^api', '"unavailable']) {
+      assert.doesNotThrow(() => search(q), q);
+    }
+    assert.deepEqual(search("search NOT"), []);
+    assert.deepEqual(search('"service'), ["i2"]);
+  });
+});
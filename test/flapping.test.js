@@ -0,0 +1,110 @@
+const { test, describe, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// flapping.js reads from the database: point it at a scratch file before it is loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "flapping-test-"));
+process.env.DATABASE_PATH = path.join(dir, "test.db");
+const database = require("../database");
+const { buildNoiseRanking, createFlappingDetector } = require("../flapping");
+
+after(() => {
+  database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const fromMs = Date.parse("2026-01-01T00:00:00Z");
+const at = (minutes) => new Date(fromMs + minutes * 60000).toISOString();
+const monitor = (id) => ({ id, account: "default", attributes: { pronounceable_name: `Monitor ${id}` } });
+
+// Statuses one after another as transitions (the first is first-seen)
+const transitionsOf = (statuses, stepMinutes = 60) => statuses.map((status, index) => ({
+  oldStatus: index === 0 ? null : statuses[index - 1],
+  newStatus: status,
+  changedAt: at(index * stepMinutes),
+}));
+
+const incident = (monitorId, startMinutes, resolveMinutes) => ({
+  id: `${monitorId}-${startMinutes}`,
+  attributes: {
+    started_at: at(startMinutes),
+    resolved_at: resolveMinutes === null ? null : at(resolveMinutes),
+  },
+  relationships: { monitor: { data: { id: monitorId } } },
+});
+
+describe("buildNoiseRanking", () => {
+  test("counts up/down changes, skipping first-seen and other statuses", () => {
+    const [entry] = buildNoiseRanking({
+      transitions: { 1: transitionsOf(["up", "down", "validating", "up", "paused", "up", "down"]) },
+      incidents: [],
+      monitors: [monitor("1")],
+      fromMs,
+      toMs: fromMs + DAY_MS,
+    });
+    assert.equal(entry.transitions, 3);
+    assert.equal(entry.downTransitions, 2);
+    assert.equal(entry.statusTransitions, 3);
+  });
+
+  test("scores 50 at four changes per day", () => {
+    const [entry] = buildNoiseRanking({
+      transitions: { 1: transitionsOf(["up", "down", "up", "down", "up"]) },
+      incidents: [],
+      monitors: [monitor("1")],
+      fromMs,
+      toMs: fromMs + DAY_MS,
+    });
+    assert.equal(entry.transitionsPerDay, 4);
+    assert.equal(entry.noiseScore, 50);
+  });
+
+  test("counts incident start/resolve pairs when they saw more, with short outages", () => {
+    const [entry] = buildNoiseRanking({
+      transitions: {},
+      incidents: [incident("1", 10, 15), incident("1", 120, 300), incident("1", 600, null)],
+      monitors: [monitor("1")],
+      fromMs,
+      toMs: fromMs + DAY_MS,
+    });
+    assert.equal(entry.incidents, 3);
+    assert.equal(entry.transitions, 5);
+    assert.equal(entry.shortOutages, 1);
+  });
+
+  test("ranks the noisiest first and leaves out quiet monitors", () => {
+    const ranking = buildNoiseRanking({
+      transitions: {
+        1: transitionsOf(["up", "down", "up"]),
+        2: transitionsOf(["up", "down", "up", "down", "up"], 5),
+        3: transitionsOf(["up"]),
+      },
+      incidents: [],
+      monitors: [monitor("1"), monitor("2"), monitor("3")],
+      fromMs,
+      toMs: fromMs + 7 * DAY_MS,
+    });
+    assert.deepEqual(ranking.map(m => [m.monitorId, m.transitions, m.shortOutages]), [["2", 4, 2], ["1", 2, 0]]);
+  });
+});
+
+describe("createFlappingDetector", () => {
+  test("flags monitors over the threshold within the window and clears them later", () => {
+    const monitors = [monitor("10"), monitor("11")];
+    database.recordStatusTransitions([{ id: "10", attributes: { status: "up" } }, { id: "11", attributes: { status: "up" } }], at(0));
+    ["down", "up", "down", "up"].forEach((status, index) => {
+      database.recordStatusTransitions([{ id: "10", attributes: { status } }, { id: "11", attributes: { status: "up" } }], at(10 + index * 10));
+    });
+
+    const detector = createFlappingDetector({ getMonitors: () => monitors, windowHours: 24, minTransitions: 4 });
+    assert.deepEqual(detector.check(fromMs + HOUR_MS), { added: ["10"], cleared: [] });
+    assert.deepEqual(Object.keys(detector.flapping()), ["10"]);
+    assert.equal(detector.flapping()["10"].transitions, 4);
+
+    assert.deepEqual(detector.check(fromMs + 2 * DAY_MS), { added: [], cleared: ["10"] });
+  });
+});
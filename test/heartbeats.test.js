@@ -0,0 +1,76 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { isLocalHeartbeatId, localIdOf, parseHeartbeatInput, fromLocal } = require("../heartbeats");
+
+const now = Date.parse("2026-03-01T12:00:00Z");
+const minutesAgo = (minutes) => new Date(now - minutes * 60000).toISOString();
+
+// Local heartbeat as stored: expects a ping every 10 minutes, with 2 minutes of grace
+const local = (overrides = {}) => ({
+  id: 7,
+  account: "default",
+  name: "Nightly job",
+  period: 600,
+  grace: 120,
+  paused: false,
+  lastPingAt: null,
+  lastFailedAt: null,
+  pingCount: 0,
+  ...overrides,
+});
+
+describe("fromLocal", () => {
+  test("is pending until the first ping", () => {
+    const heartbeat = fromLocal(local(), now);
+    assert.equal(heartbeat.id, "local-7");
+    assert.equal(heartbeat.status, "pending");
+    assert.equal(heartbeat.expectedAt, null);
+  });
+
+  test("is up while the next ping is due within period plus grace", () => {
+    const heartbeat = fromLocal(local({ lastPingAt: minutesAgo(11) }), now);
+    assert.equal(heartbeat.status, "up");
+    assert.equal(heartbeat.statusChangedAt, minutesAgo(11));
+    assert.equal(heartbeat.expectedAt, minutesAgo(1));
+  });
+
+  test("goes down once the grace time has passed, from the deadline on", () => {
+    const heartbeat = fromLocal(local({ lastPingAt: minutesAgo(13) }), now);
+    assert.equal(heartbeat.status, "down");
+    assert.equal(heartbeat.statusChangedAt, minutesAgo(1));
+  });
+
+  test("is down after a failure ping until the next successful one", () => {
+    assert.equal(fromLocal(local({ lastPingAt: minutesAgo(5), lastFailedAt: minutesAgo(1) }), now).status, "down");
+    assert.equal(fromLocal(local({ lastPingAt: minutesAgo(1), lastFailedAt: minutesAgo(5) }), now).status, "up");
+    assert.equal(fromLocal(local({ lastFailedAt: minutesAgo(1) }), now).status, "down");
+  });
+
+  test("is paused regardless of pings", () => {
+    const heartbeat = fromLocal(local({ paused: true, lastPingAt: minutesAgo(60) }), now);
+    assert.equal(heartbeat.status, "paused");
+    assert.equal(heartbeat.expectedAt, null);
+  });
+});
+
+describe("parseHeartbeatInput", () => {
+  test("defaults grace to a fifth of the period and the account to the first one", () => {
+    assert.deepEqual(parseHeartbeatInput({ name: " Backup ", period: 3600 }, ["main", "other"]).value,
+      { name: "Backup", period: 3600, grace: 720, account: "main", paused: false });
+  });
+
+  test("rejects invalid input", () => {
+    assert.match(parseHeartbeatInput({}).error, /Name is required/);
+    assert.match(parseHeartbeatInput({ name: "x", period: 10 }).error, /period must be between/);
+    assert.match(parseHeartbeatInput({ name: "x", period: 60, grace: -1 }).error, /grace must be between/);
+    assert.match(parseHeartbeatInput({ name: "x", period: 60, account: "nope" }, ["main"]).error, /Unknown account/);
+  });
+});
+
+describe("local heartbeat IDs", () => {
+  test("are prefixed so they don't collide with BetterStack's", () => {
+    assert.equal(isLocalHeartbeatId("local-7"), true);
+    assert.equal(isLocalHeartbeatId("123"), false);
+    assert.equal(localIdOf("local-7"), 7);
+  });
+});
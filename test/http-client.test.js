@@ -0,0 +1,134 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createHttpClient, parseRetryAfter } = require("../http-client");
+
+// Local server answering each request with the next scripted { status, body, headers }
+const startScriptedServer = () => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    server.requests.push({ method: req.method, url: req.url });
+    const { status = 200, body = { ok: true }, headers = {} } = server.script.shift() || {};
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  });
+  server.script = [];
+  server.requests = [];
+  server.listen(0, "127.0.0.1", () => resolve(server));
+});
+
+describe("parseRetryAfter", () => {
+  test("reads seconds and HTTP dates", () => {
+    assert.equal(parseRetryAfter("3"), 3000);
+    const now = Date.parse("2026-01-01T00:00:00Z");
+    assert.equal(parseRetryAfter("Thu, 01 Jan 2026 00:00:10 GMT", now), 10000);
+  });
+
+  test("ignores missing and invalid values", () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter("soon"), null);
+  });
+});
+
+describe("createHttpClient", () => {
+  let server;
+  let url;
+
+  before(async () => {
+    server = await startScriptedServer();
+    url = `http://127.0.0.1:${server.address().port}/monitors`;
+  });
+
+  after(() => server.close());
+
+  const reset = (...script) => {
+    server.script = script;
+    server.requests = [];
+  };
+
+  test("retries GETs on server errors", async () => {
+    reset({ status: 500 }, { status: 503 }, { body: { data: [1] } });
+    const client = createHttpClient({ baseDelayMs: 1 });
+    assert.deepEqual(await client.request(url), { data: [1] });
+    assert.equal(server.requests.length, 3);
+    assert.equal(client.stats().endpoints["GET /monitors"].retries, 2);
+  });
+
+  test("lets other requests run while one waits for a retry", async () => {
+    reset({ status: 503 }, { body: { data: "second" } }, { body: { data: "first" } });
+    const client = createHttpClient({ maxConcurrency: 1, baseDelayMs: 20 });
+    const first = client.request(url);
+    const second = client.request(`${url}?second`);
+    assert.deepEqual(await Promise.all([first, second]), [{ data: "first" }, { data: "second" }]);
+    assert.deepEqual(server.requests.map(r => r.url), ["/monitors", "/monitors?second", "/monitors"]);
+  });
+
+  test("doesn't retry writes on server errors", async () => {
+    reset({ status: 500 });
+    const client = createHttpClient({ baseDelayMs: 1 });
+    await assert.rejects(client.request(url, { method: "POST", body: "{}" }), { status: 500 });
+    assert.equal(server.requests.length, 1);
+  });
+
+  test("doesn't retry client errors", async () => {
+    reset({ status: 404 });
+    const client = createHttpClient({ baseDelayMs: 1 });
+    await assert.rejects(client.request(url), { status: 404, retryable: false });
+    assert.equal(server.requests.length, 1);
+  });
+
+  test("opens the circuit after repeated failures", async () => {
+    reset({ status: 500 }, { status: 500 });
+    const client = createHttpClient({ maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 60000 });
+    await assert.rejects(client.request(url), { status: 500 });
+    await assert.rejects(client.request(url), { status: 500 });
+    await assert.rejects(client.request(url), { status: 503, message: /Circuit open/ });
+    assert.equal(server.requests.length, 2);
+    assert.equal(client.stats().circuit.state, "open");
+  });
+
+  test("doesn't open the circuit on rate limits", async () => {
+    reset({ status: 429 }, { status: 429 }, { status: 429 }, { body: { ok: true } });
+    const client = createHttpClient({ maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 60000 });
+    for (let i = 0; i < 3; i++) await assert.rejects(client.request(url), { status: 429 });
+    assert.equal(client.stats().circuit.state, "closed");
+    assert.deepEqual(await client.request(url), { ok: true });
+  });
+
+  test("closes the circuit when the half-open trial succeeds", async () => {
+    reset({ status: 500 }, { body: { ok: true } });
+    const client = createHttpClient({ maxRetries: 0, breakerThreshold: 1, breakerCooldownMs: 20 });
+    await assert.rejects(client.request(url), { status: 500 });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.deepEqual(await client.request(url), { ok: true });
+    assert.equal(client.stats().circuit.state, "closed");
+  });
+
+  test("closes the circuit when the half-open trial gets a client error", async () => {
+    reset({ status: 500 }, { status: 500 }, { status: 404 }, { body: { ok: true } });
+    const client = createHttpClient({ maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 20 });
+    await assert.rejects(client.request(url), { status: 500 });
+    await assert.rejects(client.request(url), { status: 500 });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await assert.rejects(client.request(url), { status: 404 });
+    assert.equal(client.stats().circuit.state, "closed");
+    assert.deepEqual(await client.request(url), { ok: true });
+    assert.equal(server.requests.length, 4);
+  });
+
+  test("closes the circuit when the half-open trial gets an invalid body", async () => {
+    reset({ status: 500 }, { body: "<html>" }, { body: { ok: true } });
+    const client = createHttpClient({ maxRetries: 0, breakerThreshold: 1, breakerCooldownMs: 20 });
+    await assert.rejects(client.request(url), { status: 500 });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await assert.rejects(client.request(url), { status: 502, message: /Invalid JSON/ });
+    assert.deepEqual(await client.request(url), { ok: true });
+  });
+
+  test("answers repeated GETs with an ETag from the cache on 304", async () => {
+    reset({ body: { data: "fresh" }, headers: { ETag: '"v1"' } }, { status: 304, body: "" });
+    const client = createHttpClient();
+    await client.request(url);
+    assert.deepEqual(await client.request(url), { data: "fresh" });
+    assert.equal(client.stats().endpoints["GET /monitors"].notModified, 1);
+  });
+});
@@ -0,0 +1,30 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { createLimiter } = require("../limiter");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("createLimiter", () => {
+  test("runs at most `limit` tasks at once, in order", async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const started = [];
+    const task = (id) => async () => {
+      started.push(id);
+      peak = Math.max(peak, ++active);
+      await sleep(5);
+      active--;
+      return id;
+    };
+    assert.deepEqual(await Promise.all([1, 2, 3, 4, 5].map(id => limit(task(id)))), [1, 2, 3, 4, 5]);
+    assert.equal(peak, 2);
+    assert.deepEqual(started, [1, 2, 3, 4, 5]);
+  });
+
+  test("passes on rejections and frees the slot", async () => {
+    const limit = createLimiter(1);
+    await assert.rejects(limit(async () => { throw new Error("boom"); }), /boom/);
+    assert.equal(await limit(async () => "next"), "next");
+  });
+});
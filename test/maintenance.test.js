@@ -0,0 +1,99 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseMaintenanceInput,
+  expandOccurrences,
+  maintenanceByMonitor,
+} = require("../maintenance");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const utc = (iso) => Date.parse(iso);
+
+const windowOf = (overrides) => ({
+  startsAt: "2026-01-05T02:00",
+  durationMinutes: 60,
+  timezone: "UTC",
+  recurrence: "none",
+  until: null,
+  monitorIds: ["1"],
+  groupIds: [],
+  ...overrides,
+});
+
+describe("parseMaintenanceInput", () => {
+  test("normalizes a valid window", () => {
+    const { value } = parseMaintenanceInput({
+      name: " Deploy ",
+      startsAt: "2026-01-05T02:00",
+      durationMinutes: 30,
+      recurrence: "weekly",
+      monitorIds: ["1", "1", " 2 "],
+    });
+    assert.equal(value.name, "Deploy");
+    assert.equal(value.timezone, "UTC");
+    assert.deepEqual(value.monitorIds, ["1", "2"]);
+  });
+
+  test("rejects invalid windows", () => {
+    const valid = { name: "x", startsAt: "2026-01-05T02:00", durationMinutes: 30, monitorIds: ["1"] };
+    assert.match(parseMaintenanceInput({ ...valid, startsAt: "tomorrow" }).error, /startsAt/);
+    assert.match(parseMaintenanceInput({ ...valid, durationMinutes: 0 }).error, /durationMinutes/);
+    assert.match(parseMaintenanceInput({ ...valid, timezone: "Mars/Base" }).error, /time zone/);
+    assert.match(parseMaintenanceInput({ ...valid, recurrence: "yearly" }).error, /recurrence/);
+    assert.match(parseMaintenanceInput({ ...valid, recurrence: "daily", until: "2025-12-31" }).error, /until/);
+    assert.match(parseMaintenanceInput({ ...valid, monitorIds: [] }).error, /at least one/);
+  });
+});
+
+describe("expandOccurrences", () => {
+  test("one-off windows only overlap their own range", () => {
+    const window = windowOf();
+    assert.deepEqual(expandOccurrences(window, utc("2026-01-05T00:00:00Z"), utc("2026-01-06T00:00:00Z")),
+      [{ start: utc("2026-01-05T02:00:00Z"), end: utc("2026-01-05T03:00:00Z") }]);
+    assert.deepEqual(expandOccurrences(window, utc("2026-01-06T00:00:00Z"), utc("2026-01-07T00:00:00Z")), []);
+  });
+
+  test("daily windows stop after until", () => {
+    const window = windowOf({ recurrence: "daily", until: "2026-01-07" });
+    const starts = expandOccurrences(window, utc("2026-01-01T00:00:00Z"), utc("2026-01-31T00:00:00Z"))
+      .map(o => new Date(o.start).toISOString());
+    assert.deepEqual(starts, ["2026-01-05T02:00:00.000Z", "2026-01-06T02:00:00.000Z", "2026-01-07T02:00:00.000Z"]);
+  });
+
+  test("weekly windows keep their wall-clock time across DST", () => {
+    const window = windowOf({ startsAt: "2026-03-23T02:00", recurrence: "weekly", timezone: "Europe/Berlin" });
+    const [before, after] = expandOccurrences(window, utc("2026-03-23T00:00:00Z"), utc("2026-04-01T00:00:00Z"));
+    assert.equal(new Date(before.start).toISOString(), "2026-03-23T01:00:00.000Z");
+    assert.equal(new Date(after.start).toISOString(), "2026-03-30T00:00:00.000Z");
+  });
+
+  test("monthly windows skip months without that day", () => {
+    const window = windowOf({ startsAt: "2026-01-31T02:00", recurrence: "monthly" });
+    const months = expandOccurrences(window, utc("2026-01-01T00:00:00Z"), utc("2026-06-01T00:00:00Z"))
+      .map(o => new Date(o.start).toISOString().slice(0, 10));
+    assert.deepEqual(months, ["2026-01-31", "2026-03-31", "2026-05-31"]);
+  });
+
+  test("includes an occurrence that started before the range and is still running", () => {
+    const window = windowOf({ startsAt: "2026-01-04T23:30", recurrence: "daily" });
+    const [first] = expandOccurrences(window, utc("2026-01-05T00:00:00Z"), utc("2026-01-05T12:00:00Z"));
+    assert.equal(first.start, utc("2026-01-04T23:30:00Z"));
+  });
+});
+
+describe("maintenanceByMonitor", () => {
+  test("merges overlapping windows per monitor, including group members", () => {
+    const windows = [
+      windowOf({ monitorIds: ["1"] }),
+      windowOf({ startsAt: "2026-01-05T02:30", monitorIds: [], groupIds: [7] }),
+    ];
+    const groups = [{ id: 7, matches: (monitor) => monitor.id !== "3" }];
+    const monitors = [{ id: "1" }, { id: "2" }, { id: "3" }];
+    const intervals = maintenanceByMonitor(windows, monitors, groups, utc("2026-01-05T00:00:00Z"), utc("2026-01-05T00:00:00Z") + DAY_MS);
+
+    assert.deepEqual(intervals["1"], [{ start: utc("2026-01-05T02:00:00Z"), end: utc("2026-01-05T03:30:00Z") }]);
+    assert.deepEqual(intervals["2"], [{ start: utc("2026-01-05T02:30:00Z"), end: utc("2026-01-05T03:30:00Z") }]);
+    assert.equal(intervals["3"], undefined);
+  });
+});
@@ -0,0 +1,77 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { diffAttributes, diffMonitorConfigs, parseChangeFilters, redactAttribute } = require("../monitor-changes");
+
+const monitor = (id, attributes, account = "default") => ({ id, account, attributes });
+
+describe("diffAttributes", () => {
+  test("lists changed configuration attributes, sorted by field", () => {
+    const before = monitor("1", { url: "https://a", check_frequency: 60, status: "up" });
+    const after = monitor("1", { url: "https://b", check_frequency: 30, status: "down" });
+    assert.deepEqual(diffAttributes(before, after), [
+      { field: "check_frequency", oldValue: 60, newValue: 30 },
+      { field: "url", oldValue: "https://a", newValue: "https://b" },
+    ]);
+  });
+
+  test("ignores reordered lists of plain values and object key order", () => {
+    const before = monitor("1", { regions: ["us", "eu"], request_headers: [{ name: "A", value: "1" }] });
+    const after = monitor("1", { regions: ["eu", "us"], request_headers: [{ value: "1", name: "A" }] });
+    assert.deepEqual(diffAttributes(before, after), []);
+  });
+
+  test("treats missing and null attributes alike", () => {
+    assert.deepEqual(diffAttributes(monitor("1", { team_name: null }), monitor("1", {})), []);
+  });
+});
+
+describe("diffMonitorConfigs", () => {
+  test("reports added, removed and changed monitors", () => {
+    const previous = [
+      monitor("1", { pronounceable_name: "API", check_frequency: 60 }),
+      monitor("2", { url: "https://gone" }),
+    ];
+    const current = [
+      monitor("1", { pronounceable_name: "API", check_frequency: 30 }),
+      monitor("3", { pronounceable_name: "New" }),
+    ];
+    assert.deepEqual(diffMonitorConfigs(previous, current), [
+      { monitorId: "1", account: "default", monitorName: "API", changeType: "changed", field: "check_frequency", oldValue: 60, newValue: 30 },
+      { monitorId: "3", account: "default", monitorName: "New", changeType: "added", field: null, oldValue: null, newValue: null },
+      { monitorId: "2", account: "default", monitorName: "https://gone", changeType: "removed", field: null, oldValue: null, newValue: null },
+    ]);
+  });
+
+  test("logs credential changes without their values", () => {
+    const before = monitor("1", { request_headers: [{ name: "Authorization", value: "Bearer old" }], auth_password: "old" });
+    const after = monitor("1", { request_headers: [{ name: "Authorization", value: "Bearer new" }], auth_password: "new" });
+    assert.deepEqual(diffMonitorConfigs([before], [after]).map(c => [c.field, c.oldValue, c.newValue]), [
+      ["auth_password", "[redacted]", "[redacted]"],
+      ["request_headers", [{ name: "Authorization", value: "[redacted]" }], [{ name: "Authorization", value: "[redacted]" }]],
+    ]);
+  });
+});
+
+describe("parseChangeFilters", () => {
+  test("applies defaults and bounds", () => {
+    const { value } = parseChangeFilters({ page: "0", perPage: "1000" });
+    assert.equal(value.page, 1);
+    assert.equal(value.perPage, 200);
+    assert.equal(value.changeType, null);
+  });
+
+  test("rejects unknown types and invalid dates", () => {
+    assert.match(parseChangeFilters({ type: "renamed" }).error, /type must be one of/);
+    assert.match(parseChangeFilters({ from: "yesterday" }).error, /from must be a date/);
+  });
+});
+
+describe("redactAttribute", () => {
+  test("hides header values and passwords, nothing else", () => {
+    assert.deepEqual(redactAttribute("request_headers", [{ name: "Authorization", value: "Bearer secret" }]),
+      [{ name: "Authorization", value: "[redacted]" }]);
+    assert.equal(redactAttribute("auth_password", "hunter2"), "[redacted]");
+    assert.equal(redactAttribute("auth_password", null), null);
+    assert.equal(redactAttribute("url", "https://a"), "https://a");
+  });
+});
@@ -0,0 +1,62 @@
+const { test, describe, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockServer } = require("../mock-server");
+const { createProvider } = require("../provider");
+
+describe("provider against mock-server.js", () => {
+  let mock;
+  let provider;
+
+  // Test controls live next to the API root
+  const control = (pathname, { method = "POST", body } = {}) => fetch(mock.apiUrl.replace("/api/v2", `/__mock${pathname}`), {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  before(async () => {
+    mock = await startMockServer(0, { monitorCount: 30, incidentCount: 10 });
+    provider = createProvider({ apiUrl: mock.apiUrl, apiToken: "test", baseDelayMs: 1, maxDelayMs: 5 });
+  });
+
+  afterEach(() => control("/reset"));
+
+  after(() => mock.server.close());
+
+  test("pages through monitors", async () => {
+    const first = await provider.fetchMonitorsPage(1, 20);
+    assert.equal(first.data.length, 20);
+    assert.match(first.pagination.next, /page=2/);
+
+    const second = await provider.fetchMonitorsPage(2, 20);
+    assert.equal(second.data.length, 10);
+    assert.equal(second.pagination.next, null);
+  });
+
+  test("sees changes made through the mock controls", async () => {
+    const { data: [monitor] } = await provider.fetchMonitorsPage(1, 1);
+    await control(`/monitors/${monitor.id}`, { body: { status: "down" } });
+    const { data: [changed] } = await provider.fetchMonitorsPage(1, 1);
+    assert.equal(changed.attributes.status, "down");
+  });
+
+  test("retries GETs through injected server errors", async () => {
+    await control("/faults", { body: { path: "/heartbeats", status: 503, count: 2 } });
+    const { data } = await provider.fetchHeartbeats();
+    assert.ok(data.length > 0);
+    assert.equal(provider.stats().endpoints["GET /heartbeats"].retries, 2);
+  });
+
+  test("surfaces upstream errors with their status", async () => {
+    await assert.rejects(provider.setMonitorPaused("999999", true), { status: 404 });
+    await control("/faults", { body: { path: "/monitors", method: "PATCH", status: 500 } });
+    const { data: [monitor] } = await provider.fetchMonitorsPage(1, 1);
+    await assert.rejects(provider.setMonitorPaused(monitor.id, true), { status: 500 });
+  });
+
+  test("writes through to the mock", async () => {
+    const { data: [monitor] } = await provider.fetchMonitorsPage(1, 1);
+    const { data } = await provider.updateMonitor(monitor.id, { check_frequency: 30 });
+    assert.equal(data.attributes.check_frequency, 30);
+  });
+});
@@ -0,0 +1,132 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { parseTargetList, createTargetPolicy, parseProxyRequest, sendRequest } = require("../proxy");
+
+const policyFor = ({ allow = "", deny = "", allowPrivate = false } = {}) => createTargetPolicy({
+  allowList: parseTargetList(allow),
+  denyList: parseTargetList(deny),
+  allowPrivate,
+});
+
+describe("parseTargetList", () => {
+  test("splits hosts and addresses", () => {
+    const list = parseTargetList("api.example.com, *.example.org, 10.1.0.0/16, 2001:db8::1");
+    assert.deepEqual(list.hosts, ["api.example.com", "*.example.org"]);
+    assert.equal(list.addresses.check("10.1.2.3", "ipv4"), true);
+    assert.equal(list.addresses.check("2001:db8::1", "ipv6"), true);
+    assert.equal(list.empty, false);
+    assert.equal(parseTargetList("").empty, true);
+  });
+
+  test("throws on an invalid CIDR", () => {
+    assert.throws(() => parseTargetList("10.0.0.0/33"), /invalid CIDR/);
+  });
+});
+
+describe("createTargetPolicy", () => {
+  test("refuses private, loopback and link-local addresses", () => {
+    const policy = policyFor();
+    for (const address of ["10.0.0.1", "127.0.0.1", "169.254.169.254", "192.168.1.1", "::1", "fe80::1"]) {
+      assert.throws(() => policy.checkAddress("internal.example.com", address), { status: 403 }, address);
+    }
+    assert.doesNotThrow(() => policy.checkAddress("example.com", "93.184.216.34"));
+  });
+
+  test("applies the IPv4 rules to IPv4-mapped IPv6 addresses", () => {
+    const policy = policyFor();
+    assert.throws(() => policy.checkAddress("x", "::ffff:127.0.0.1"), /private or link-local/);
+    assert.throws(() => policy.checkAddress("x", "::ffff:a9fe:a9fe"), /169\.254\.169\.254/);
+  });
+
+  test("lets allow-listed hosts use private addresses and refuses everything else", () => {
+    const policy = policyFor({ allow: "*.corp.example" });
+    assert.doesNotThrow(() => policy.checkAddress("status.corp.example", "10.0.0.5"));
+    assert.throws(() => policy.checkAddress("example.com", "93.184.216.34"), /not on the allow-list/);
+  });
+
+  test("deny-list wins over the allow-list", () => {
+    const policy = policyFor({ allow: "10.0.0.0/8", deny: "10.0.0.5, bad.example.com" });
+    assert.throws(() => policy.checkAddress("host", "10.0.0.5"), /deny-list/);
+    assert.throws(() => policy.checkHost("bad.example.com"), /deny-list/);
+    assert.doesNotThrow(() => policy.checkAddress("host", "10.0.0.6"));
+  });
+
+  test("allowPrivate lifts the private address rule", () => {
+    assert.doesNotThrow(() => policyFor({ allowPrivate: true }).checkAddress("localhost", "127.0.0.1"));
+  });
+});
+
+describe("parseProxyRequest", () => {
+  test("normalizes method, headers and the legacy authValue", () => {
+    const { value } = parseProxyRequest({
+      url: "https://example.com/health",
+      method: "post",
+      headers: [{ name: "X-Trace", value: "1" }],
+      authValue: "Bearer abc",
+      body: "{}",
+    });
+    assert.equal(value.method, "POST");
+    assert.deepEqual(value.headers, { "X-Trace": "1", Authorization: "Bearer abc" });
+    assert.equal(value.body, "{}");
+  });
+
+  test("rejects invalid input", () => {
+    assert.match(parseProxyRequest({ url: "file:///etc/passwd" }).error, /http\(s\) URL/);
+    assert.match(parseProxyRequest({ url: "https://example.com", method: "TRACE" }).error, /method/);
+    assert.match(parseProxyRequest({ url: "https://example.com", headers: { "X-A": "a\r\nB: b" } }).error, /single-line/);
+    assert.match(parseProxyRequest({ url: "https://example.com", body: "x" }).error, /can't have a body/);
+  });
+});
+
+describe("sendRequest", () => {
+  let server;
+  let baseUrl;
+
+  before(() => new Promise((resolve) => {
+    server = http.createServer((req, res) => {
+      if (req.url === "/redirect-metadata") {
+        res.writeHead(302, { Location: "http://169.254.169.254/latest/meta-data/" });
+        return res.end();
+      }
+      if (req.url === "/redirect") {
+        res.writeHead(302, { Location: "/headers" });
+        return res.end();
+      }
+      if (req.url === "/large") return res.end("x".repeat(10000));
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(req.headers));
+    });
+    server.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  }));
+
+  after(() => server.close());
+
+  const options = { maxBytes: 1024, maxRedirects: 5 };
+
+  test("refuses loopback targets by default", async () => {
+    await assert.rejects(sendRequest({ url: `${baseUrl}/headers` }, { ...options, policy: policyFor() }), { status: 403 });
+  });
+
+  test("checks every redirect hop", async () => {
+    const policy = policyFor({ allow: "127.0.0.1" });
+    await assert.rejects(sendRequest({ url: `${baseUrl}/redirect-metadata` }, { ...options, policy }),
+      { status: 403, message: /169\.254\.169\.254/ });
+  });
+
+  test("follows allowed redirects and reports them", async () => {
+    const response = await sendRequest({ url: `${baseUrl}/redirect` }, { ...options, policy: policyFor({ allowPrivate: true }) });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.redirects.map(r => r.status), [302]);
+    assert.equal(response.url, `${baseUrl}/headers`);
+  });
+
+  test("truncates bodies past maxBytes", async () => {
+    const response = await sendRequest({ url: `${baseUrl}/large` }, { ...options, policy: policyFor({ allowPrivate: true }) });
+    assert.equal(response.truncated, true);
+    assert.equal(response.body.length, 1024);
+  });
+});
@@ -0,0 +1,226 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+// Drives server.js end to end with MOCK_BETTERSTACK=true, against a scratch database
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer().listen(0, "127.0.0.1", () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+  server.on("error", reject);
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() returns something truthy
+const waitFor = async (check, { timeoutMs = 20000, intervalMs = 100 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check().catch(() => null);
+    if (result) return result;
+    await sleep(intervalMs);
+  }
+  throw new Error("Timed out waiting for the server");
+};
+
+describe("server against mock-server.js", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-test-"));
+  let child;
+  let baseUrl;
+  let mockUrl;
+  let cookie = "";
+
+  // session: Cookie header of the user to call as (default: the admin)
+  const api = async (pathname, { method = "GET", body, session = cookie, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: { Cookie: session, ...(body !== undefined ? { "Content-Type": "application/json" } : {}), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json(), headers: response.headers };
+  };
+
+  const login = async (username, password) => {
+    const response = await api("/api/login", { method: "POST", body: { username, password }, session: "" });
+    assert.equal(response.status, 200);
+    return response.headers.getSetCookie().map(c => c.split(";")[0]).join("; ");
+  };
+
+  // Create a user as the admin and log in as them; resolves with their session cookie
+  const sessionFor = async (username, role) => {
+    const created = await api("/api/users", { method: "POST", body: { username, password: "long-enough-password", role } });
+    assert.equal(created.status, 201);
+    return login(username, "long-enough-password");
+  };
+
+  before(async () => {
+    const port = await freePort();
+    const mockPort = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    mockUrl = `http://127.0.0.1:${mockPort}/__mock`;
+
+    child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        MOCK_BETTERSTACK: "true",
+        MOCK_BETTERSTACK_PORT: String(mockPort),
+        DATABASE_PATH: path.join(dir, "test.db"),
+        AUTH_USERNAME: "admin",
+        AUTH_PASSWORD: "test-password",
+        BACKUP_INTERVAL_HOURS: "0",
+      },
+      stdio: "ignore",
+    });
+
+    await waitFor(() => fetch(`${baseUrl}/api/status`).then(response => response.status === 401));
+
+    cookie = await login("admin", "test-password");
+
+    // The initial load runs in the background after startup
+    await waitFor(async () => {
+      const { body } = await api("/api/status");
+      return body.monitorsCount > 0 && !body.isLoading;
+    });
+  });
+
+  after(() => {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("refuses requests without a session", async () => {
+    const response = await fetch(`${baseUrl}/api/dashboard`);
+    assert.equal(response.status, 401);
+  });
+
+  test("rejects invalid credentials", async () => {
+    const { status } = await api("/api/login", { method: "POST", body: { username: "admin", password: "wrong" } });
+    assert.equal(status, 401);
+  });
+
+  test("serves the monitors loaded from the mock", async () => {
+    const { status, body } = await api("/api/dashboard");
+    assert.equal(status, 200);
+    assert.equal(body.stats.total, body.monitors.length);
+    assert.ok(body.monitors.length > 0);
+  });
+
+  test("picks up status changes on refresh", async () => {
+    const { body: { monitors } } = await api("/api/dashboard");
+    const monitor = monitors.find(m => m.attributes.status === "up");
+    await fetch(`${mockUrl}/monitors/${monitor.id}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ status: "down" }),
+    });
+
+    assert.equal((await api("/api/refresh", { method: "POST", body: {} })).status, 200);
+    await waitFor(async () => {
+      const { body } = await api("/api/dashboard");
+      return body.monitors.find(m => m.id === monitor.id).attributes.status === "down";
+    });
+
+    const { body } = await api(`/api/monitors/${monitor.id}/transitions`);
+    assert.equal(body.data.at(-1).newStatus, "down");
+  });
+
+  test("validates new users", async () => {
+    const { status, body } = await api("/api/users", { method: "POST", body: { username: "viewer1", password: 12345678, role: "viewer" } });
+    assert.equal(status, 400);
+    assert.match(body.error, /Password/);
+
+    const created = await api("/api/users", { method: "POST", body: { username: "viewer1", password: "long-enough-password", role: "viewer" } });
+    assert.equal(created.status, 201);
+    assert.equal((await api("/api/users", { method: "POST", body: { username: "viewer1", password: "long-enough-password", role: "viewer" } })).status, 409);
+  });
+
+  test("limits actions to the roles allowed to take them", async () => {
+    const viewer = await sessionFor("viewer2", "viewer");
+    const editor = await sessionFor("editor2", "editor");
+
+    assert.equal((await api("/api/dashboard", { session: viewer })).status, 200);
+    assert.equal((await api("/api/refresh", { method: "POST", body: {}, session: viewer })).status, 403);
+    assert.equal((await api("/api/refresh", { method: "POST", body: {}, session: editor })).status, 200);
+    assert.equal((await api("/api/users", { session: editor })).status, 403);
+    assert.equal((await api("/api/admin/backups", { session: editor })).status, 403);
+    assert.equal((await api("/api/users")).status, 200);
+  });
+
+  test("ends the access of disabled users", async () => {
+    const session = await sessionFor("leaver", "viewer");
+    const { body: { data: users } } = await api("/api/users");
+    const { id } = users.find(u => u.username === "leaver");
+    assert.equal((await api(`/api/users/${id}`, { method: "PATCH", body: { disabled: true } })).status, 200);
+    assert.equal((await api("/api/dashboard", { session })).status, 401);
+  });
+
+  test("lets API tokens call only the GET routes of their scopes", async () => {
+    const created = await api("/api/tokens", { method: "POST", body: { name: "ci", scopes: ["dashboard:read"] } });
+    assert.equal(created.status, 201);
+    const bearer = { session: "", headers: { Authorization: `Bearer ${created.body.data.token}` } };
+
+    assert.equal((await api("/api/dashboard", bearer)).status, 200);
+    const otherScope = await api("/api/sla", bearer);
+    assert.equal(otherScope.status, 403);
+    assert.match(otherScope.body.message, /sla:read/);
+    assert.equal((await api("/api/users", bearer)).status, 403);
+    assert.equal((await api("/api/refresh", { ...bearer, method: "POST", body: {} })).status, 403);
+
+    assert.equal((await api(`/api/tokens/${created.body.data.id}`, { method: "DELETE" })).status, 200);
+    assert.equal((await api("/api/dashboard", bearer)).status, 401);
+    assert.equal((await api("/api/dashboard", { session: "", headers: { Authorization: "Bearer bsd_unknown" } })).status, 401);
+  });
+
+  test("restores a backup without touching users or sessions", async () => {
+    const group = (name) => api("/api/groups", { method: "POST", body: { name, matchMode: "any", rules: [{ field: "name", value: name }] } });
+    assert.equal((await group("Before backup")).status, 201);
+    const { body: { data: backup } } = await api("/api/admin/backups", { method: "POST", body: {} });
+    assert.equal((await group("After backup")).status, 201);
+    const session = await sessionFor("late-user", "viewer");
+
+    assert.equal((await api("/api/admin/restore", { method: "POST", body: { name: "betterstack-missing.db" } })).status, 404);
+    // Refreshes (started by dashboard visits) make a restore wait
+    const restored = await waitFor(async () => {
+      const response = await api("/api/admin/restore", { method: "POST", body: { name: backup.name } });
+      return response.status === 409 ? null : response;
+    });
+    assert.equal(restored.status, 200);
+    assert.match(restored.body.backup.name, /-pre-restore\.db$/);
+
+    const { body: { data: groups } } = await api("/api/groups");
+    assert.deepEqual(groups.map(g => g.name).filter(name => name.endsWith("backup")), ["Before backup"]);
+    assert.equal((await api("/api/dashboard", { session })).status, 200);
+    assert.equal((await api("/api/users")).status, 200);
+  });
+
+  test("returns 404 for unknown monitors", async () => {
+    const { status } = await api("/api/monitors/999999/pause", { method: "POST", body: {} });
+    assert.equal(status, 404);
+    assert.equal((await api("/api/response-times/999999")).status, 404);
+    assert.equal((await api("/api/sla/999999")).status, 404);
+  });
+
+  test("serves the SLA of a known monitor", async () => {
+    const { body: { monitors } } = await api("/api/dashboard");
+    const { status, body } = await api(`/api/sla/${monitors[0].id}?from=2026-01-01&to=2026-01-31`);
+    assert.equal(status, 200);
+    assert.equal(body.data.monitorId, monitors[0].id);
+  });
+
+  test("serves response times per region and validates the range", async () => {
+    const { body: { monitors } } = await api("/api/dashboard");
+    const { status, body } = await api(`/api/response-times/${monitors[0].id}`);
+    assert.equal(status, 200);
+    assert.ok(Array.isArray(body.data));
+
+    assert.equal((await api(`/api/response-times/${monitors[0].id}?from=yesterday`)).status, 400);
+    assert.equal((await api(`/api/response-times/${monitors[0].id}?from=2026-02-02&to=2026-02-01`)).status, 400);
+  });
+});